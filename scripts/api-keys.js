@@ -0,0 +1,108 @@
+/**
+ * =============================================================================
+ * API KEY MANAGEMENT
+ * =============================================================================
+ *
+ * Creates and lists keys in the API key store (API_KEYS_PATH, default
+ * data/api-keys.json). A running server picks up changes within a few
+ * seconds.
+ *
+ * Usage:
+ *   npm run api-keys -- create --label "Mobile app" \
+ *     --scopes affirmations:read,emotions:read,emotions:write \
+ *     [--expires 2027-01-01] [--daily-tokens 500000] \
+ *     [--requests-per-window 300] [--claude-requests-per-window 60]
+ *
+ *   npm run api-keys -- list
+ *
+ * The full key is printed once, at creation. Only its hash is stored, so
+ * copy it somewhere safe - it can't be shown again.
+ *
+ * =============================================================================
+ */
+
+require('dotenv').config();
+
+const { config } = require('../src/config');
+const { API_KEY_SCOPES, loadApiKeys, createApiKey, listApiKeys } = require('../src/services/apiKeyStore');
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Reads a `--name value` option from the arguments.
+ *
+ * @param {string} name - Option name without dashes
+ * @returns {string|undefined} The value, if given
+ */
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Reads the limit overrides given as options.
+ *
+ * @returns {Object|null} Limits, or null if none were given
+ */
+function limitOptions() {
+  const limits = {};
+  for (const [name, flag] of [
+    ['requestsPerWindow', 'requests-per-window'],
+    ['claudeRequestsPerWindow', 'claude-requests-per-window'],
+    ['dailyTokens', 'daily-tokens'],
+  ]) {
+    const value = option(flag);
+    if (value !== undefined) {
+      limits[name] = Number(value);
+    }
+  }
+
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+/**
+ * Prints usage and exits.
+ */
+function usage() {
+  console.error('Usage:');
+  console.error('  node scripts/api-keys.js create --label <label> --scopes <scope,scope> [--expires <date>]');
+  console.error('    [--daily-tokens <n>] [--requests-per-window <n>] [--claude-requests-per-window <n>]');
+  console.error('  node scripts/api-keys.js list');
+  console.error(`\nScopes: ${API_KEY_SCOPES.join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  loadApiKeys({ watch: false });
+
+  if (command === 'create') {
+    const { key, secret } = createApiKey({
+      label: option('label'),
+      scopes: (option('scopes') || '').split(',').map((scope) => scope.trim()).filter(Boolean),
+      expiresAt: option('expires') || null,
+      limits: limitOptions(),
+    });
+
+    console.log(`✓ Created ${key.id} (${key.label}) in ${config.security.apiKeysPath}`);
+    console.log(`  Scopes:  ${key.scopes.join(', ')}`);
+    console.log(`  Expires: ${key.expiresAt || 'never'}`);
+    console.log(`  Limits:  ${key.limits ? JSON.stringify(key.limits) : 'defaults'}`);
+    console.log(`\n  ${secret}\n`);
+    console.log('This key will not be shown again.');
+  } else if (command === 'list') {
+    const keys = listApiKeys();
+    if (keys.length === 0) {
+      console.log(`No keys in ${config.security.apiKeysPath}`);
+    }
+    for (const key of keys) {
+      const state = key.enabled ? 'enabled' : 'disabled';
+      const limits = key.limits ? `  limits ${JSON.stringify(key.limits)}` : '';
+      console.log(`${key.id}  ${state}  expires ${key.expiresAt || 'never'}  [${key.scopes.join(', ')}]${limits}  ${key.label}`);
+    }
+  } else {
+    usage();
+  }
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,97 @@
+/**
+ * =============================================================================
+ * LOCAL WEBHOOK RECEIVER
+ * =============================================================================
+ *
+ * A tiny HTTP server that receives webhook deliveries from this API, checks
+ * their signatures and prints them. Use it to try webhooks locally or as a
+ * reference for verifying signatures in your own receiver.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=change-me node scripts/webhook-receiver.js
+ *
+ *   # In the API's .env:
+ *   WEBHOOK_SECRET=change-me
+ *   WEBHOOK_SUBSCRIPTIONS=[{"url":"http://localhost:4000/webhooks"}]
+ *
+ *   # Then send a test event:
+ *   curl -X POST http://localhost:3000/api/admin/webhooks/test
+ *
+ * Environment:
+ * - WEBHOOK_SECRET: Shared secret (required)
+ * - RECEIVER_PORT: Port to listen on (default 4000)
+ * - RECEIVER_FAIL_FIRST: Answer the first N deliveries with 503 (default 0),
+ *   to watch retries and backoff
+ *
+ * =============================================================================
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const crypto = require('crypto');
+
+const secret = process.env.WEBHOOK_SECRET;
+const port = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL_FIRST, 10) || 0;
+
+// Reject deliveries whose timestamp is older than this (replay protection)
+const MAX_AGE_SECONDS = 5 * 60;
+
+if (!secret) {
+  console.error('WEBHOOK_SECRET is required');
+  process.exit(1);
+}
+
+/**
+ * Verifies a delivery's signature and timestamp.
+ *
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw request body, exactly as received
+ * @returns {string|null} Why the delivery is invalid, or null if it is valid
+ */
+function verify(headers, body) {
+  const timestamp = Number(headers['x-webhook-timestamp']);
+  const signature = headers['x-webhook-signature'] || '';
+
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SECONDS) {
+    return 'missing or stale timestamp';
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+  // Compare in constant time (lengths must match for timingSafeEqual)
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return valid ? null : 'signature mismatch';
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const problem = verify(req.headers, body);
+
+    if (problem) {
+      console.warn(`✗ Rejected delivery: ${problem}`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`… Simulating failure for ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']})`);
+      res.writeHead(503).end();
+      return;
+    }
+
+    const event = JSON.parse(body);
+    console.log(`✓ ${event.type} (${event.id}) at ${event.createdAt}`);
+    console.log(JSON.stringify(event.data, null, 2));
+    res.writeHead(204).end();
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
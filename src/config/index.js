@@ -22,17 +22,108 @@
 // Load environment variables from .env file
 // This MUST be called before accessing process.env values
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Errors found while parsing structured (JSON) environment variables.
+ * Collected here and reported by validateConfig() alongside other errors.
+ */
+const parseErrors = [];
+
+/**
+ * Parses an environment variable containing JSON.
+ *
+ * @param {string} name - Environment variable name
+ * @param {*} fallback - Value to use if the variable is unset or invalid
+ * @returns {*} Parsed value, or the fallback
+ */
+function parseJsonEnv(name, fallback) {
+  const raw = process.env[name];
+
+  if (!raw || raw.trim().length === 0) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    parseErrors.push(`${name} must be valid JSON (${error.message})`);
+    return fallback;
+  }
+}
+
+/**
+ * Parses an integer environment variable where 0 is a meaningful value
+ * (e.g. API_MAX_RETRIES=0 disables retries), unlike `parseInt(...) || fallback`.
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use if the variable is unset or empty
+ * @returns {number} Parsed value (NaN if invalid; caught by validateConfig)
+ */
+function parseIntEnv(name, fallback) {
+  const raw = process.env[name];
+
+  if (raw === undefined || raw.trim().length === 0) {
+    return fallback;
+  }
+
+  return parseInt(raw, 10);
+}
+
+/**
+ * Default model prices in USD per 1 million tokens.
+ * NOTE: Prices change over time - verify against https://www.anthropic.com/pricing
+ * and override with MODEL_PRICING rather than editing code where possible.
+ */
+const DEFAULT_MODEL_PRICING = {
+  'claude-opus-4-5-20251101': { input: 5.00, output: 25.00 },
+  'claude-sonnet-4-20250514': { input: 3.00, output: 15.00 },
+  'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 },
+  'claude-3-5-sonnet-20241022': { input: 3.00, output: 15.00 },
+  'claude-3-opus-20240229': { input: 15.00, output: 75.00 },
+  'claude-3-sonnet-20240229': { input: 3.00, output: 15.00 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+};
+
+// Longest grace period for a rotated API key's old secret (30 days)
+const MAX_KEY_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+// How callers can authenticate (AUTH_MODE)
+const AUTH_MODES = ['api-key', 'jwt'];
+
+// Shortest JWT_SECRET accepted for HS256 (256 bits, as RFC 7518 requires)
+const MIN_JWT_SECRET_LENGTH = 32;
+
+// Request signing modes (REQUEST_SIGNING)
+const REQUEST_SIGNING_MODES = ['off', 'optional', 'required'];
+
+// Shortest request signing secret accepted
+const MIN_SIGNING_SECRET_LENGTH = 32;
 
 /**
  * Configuration object containing all application settings.
  * Values are loaded from environment variables with fallbacks to defaults.
  */
 const config = {
+  // ---------------------------------------------------------------------------
+  // LLM Provider Configuration
+  // ---------------------------------------------------------------------------
+  llm: {
+    // Which provider handles Claude requests:
+    // - anthropic: The real Anthropic API (requires ANTHROPIC_API_KEY)
+    // - mock: Offline canned responses for CI, demos and air-gapped setups
+    provider: (process.env.LLM_PROVIDER || 'anthropic').trim().toLowerCase(),
+
+    // Providers that can be selected with LLM_PROVIDER
+    validProviders: ['anthropic', 'mock'],
+  },
+
   // ---------------------------------------------------------------------------
   // Anthropic API Configuration
   // ---------------------------------------------------------------------------
   anthropic: {
-    // API key is REQUIRED - the app cannot function without it
+    // API key is REQUIRED when using the anthropic provider
     apiKey: process.env.ANTHROPIC_API_KEY,
 
     // Default model for Claude API requests
@@ -73,15 +164,32 @@ const config = {
       'claude-3-haiku-20240307',
     ],
 
+    // COST TRACKING: Price per 1M tokens (USD) for each valid model
+    // Override individual models with JSON, e.g.
+    //   MODEL_PRICING={"claude-sonnet-4-20250514":{"input":3,"output":15}}
+    pricing: {
+      ...DEFAULT_MODEL_PRICING,
+      ...parseJsonEnv('MODEL_PRICING', {}),
+    },
+
     // Retry configuration for API calls
     // These can be overridden for different reliability requirements
     retry: {
-      maxRetries: parseInt(process.env.API_MAX_RETRIES, 10) || 3,
+      maxRetries: parseIntEnv('API_MAX_RETRIES', 3),
       baseDelayMs: parseInt(process.env.API_RETRY_BASE_DELAY_MS, 10) || 1000,
       maxDelayMs: parseInt(process.env.API_RETRY_MAX_DELAY_MS, 10) || 10000,
     },
 
-    // Circuit breaker configuration
+    // Model fallback chain, most to least preferred (comma-separated)
+    // e.g. "claude-opus-4-5-20251101,claude-sonnet-4-20250514,claude-3-5-haiku-20241022"
+    // When a model's circuit is open or it is overloaded, requests move on to
+    // the next model in the chain. Empty = no fallback.
+    fallbackChain: (process.env.MODEL_FALLBACK_CHAIN || '')
+      .split(',')
+      .map((model) => model.trim())
+      .filter(Boolean),
+
+    // Circuit breaker configuration (one breaker per model)
     circuitBreaker: {
       failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5,
       resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || 30000,
@@ -112,11 +220,254 @@ const config = {
     maxBodySize: process.env.MAX_BODY_SIZE || '10kb',
   },
 
+  // ---------------------------------------------------------------------------
+  // Response Cache Configuration
+  // ---------------------------------------------------------------------------
+  cache: {
+    // COST PROTECTION: Serve identical requests from memory instead of
+    // calling Claude again. Set RESPONSE_CACHE_ENABLED=false to disable.
+    enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+
+    // How long a cached response stays valid
+    ttlMs: (parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || 300) * 1000,
+
+    // Maximum number of cached responses (least recently used are evicted)
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Conversation Session Configuration
+  // ---------------------------------------------------------------------------
+  conversations: {
+    // How long an idle conversation is kept before it is discarded
+    // Each new message extends the session by this amount
+    ttlMs: (parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 30) * 60 * 1000,
+
+    // SECURITY: Maximum number of live sessions held in memory
+    // The least recently used session is evicted when this is exceeded
+    maxSessions: parseInt(process.env.CONVERSATION_MAX_SESSIONS, 10) || 1000,
+
+    // COST PROTECTION: Maximum user/assistant exchanges sent to Claude
+    // Older exchanges are dropped first (they stay readable via GET)
+    maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 20,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Tool Use Configuration
+  // ---------------------------------------------------------------------------
+  tools: {
+    // COST PROTECTION: Maximum Claude calls in one tool-use loop
+    // (the last call is made with tools disabled so Claude must answer)
+    maxIterations: parseInt(process.env.TOOL_MAX_ITERATIONS, 10) || 5,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Structured Output Configuration
+  // ---------------------------------------------------------------------------
+  structuredOutput: {
+    // How many times Claude is re-asked (with the validation errors) when a
+    // structured response doesn't match its JSON Schema. 0 = never re-ask.
+    maxRetries: parseIntEnv('STRUCTURED_OUTPUT_MAX_RETRIES', 2),
+  },
+
+  // ---------------------------------------------------------------------------
+  // Outbound Call Queue Configuration
+  // ---------------------------------------------------------------------------
+  queue: {
+    // Maximum Claude API calls in flight at once (per process)
+    // Further calls wait in a queue instead of bursting upstream
+    maxConcurrent: parseInt(process.env.CLAUDE_MAX_CONCURRENT, 10) || 10,
+
+    // Maximum calls waiting for a slot; beyond this, requests get a 503
+    maxDepth: parseIntEnv('CLAUDE_QUEUE_MAX_DEPTH', 100),
+
+    // Maximum time a call waits for a slot before giving up with a 503
+    maxWaitMs: parseInt(process.env.CLAUDE_QUEUE_MAX_WAIT_MS, 10) || 10000,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Batch Endpoint Configuration
+  // ---------------------------------------------------------------------------
+  batch: {
+    // Maximum sub-requests in one POST /api/batch
+    maxSize: parseInt(process.env.BATCH_MAX_SIZE, 10) || 10,
+
+    // How many sub-requests of one batch run at the same time
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 3,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Prompt Template Configuration
+  // ---------------------------------------------------------------------------
+  prompts: {
+    // Directory of versioned prompt templates (<id>.v<version>.md)
+    // Relative paths resolve from the working directory
+    dir: process.env.PROMPTS_DIR
+      ? path.resolve(process.env.PROMPTS_DIR)
+      : path.join(__dirname, '..', 'prompts'),
+
+    // Reload templates when files in the directory change, so prompt wording
+    // can be updated without a restart. Set to false to load once at startup.
+    hotReload: process.env.PROMPTS_HOT_RELOAD !== 'false',
+
+    // A/B experiments, as a JSON array of
+    // { "id": "...", "template": "<template id>",
+    //   "variants": [{ "id": "...", "version": 1, "weight": 50 }, ...] }
+    // A variant without a version uses the latest; weight defaults to 1
+    experiments: parseJsonEnv('PROMPT_EXPERIMENTS', []),
+  },
+
+  // ---------------------------------------------------------------------------
+  // Localization Configuration
+  // ---------------------------------------------------------------------------
+  i18n: {
+    // Locale used when a request has no `lang` parameter and no acceptable
+    // Accept-Language. Must have a catalog in src/locales (en, es, de, ja).
+    defaultLocale: (process.env.DEFAULT_LOCALE || 'en').toLowerCase(),
+  },
+
+  // ---------------------------------------------------------------------------
+  // Safety Configuration
+  // ---------------------------------------------------------------------------
+  safety: {
+    // Screen emotion and affirmation requests for crisis language and answer
+    // them with crisis hotlines instead of a generated response.
+    // SAFETY: Only disable if screening happens upstream of this API.
+    enabled: process.env.SAFETY_CHECK_ENABLED !== 'false',
+
+    // Region whose hotlines are returned when the request doesn't give one
+    // (ISO 3166-1 alpha-2 code from src/data/crisisResources.json, or INTL)
+    defaultRegion: (process.env.SAFETY_DEFAULT_REGION || 'INTL').toUpperCase(),
+  },
+
+  // ---------------------------------------------------------------------------
+  // Output Moderation Configuration (negative affirmations)
+  // ---------------------------------------------------------------------------
+  moderation: {
+    // Check generated negative affirmations before they reach the client and
+    // regenerate any that are rejected
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+
+    // JSON rule set (patterns rejected outright, or weighted toward the
+    // cruelty score). Relative paths resolve from the working directory
+    rulesPath: process.env.MODERATION_RULES_PATH
+      ? path.resolve(process.env.MODERATION_RULES_PATH)
+      : path.join(__dirname, '..', 'data', 'moderationRules.json'),
+
+    // Cruelty score (0-10) at or above which a reply is rejected; applies to
+    // both the local rules and the classifier
+    crueltyThreshold: parseIntEnv('MODERATION_CRUELTY_THRESHOLD', 6),
+
+    // How many times a rejected reply is regenerated before giving up (502)
+    maxRegenerations: parseIntEnv('MODERATION_MAX_REGENERATIONS', 2),
+
+    // COST: A second Claude call per reply that passed the local rules.
+    // Off by default; a cheap, fast model is plenty for classification.
+    classifierEnabled: process.env.MODERATION_CLASSIFIER_ENABLED === 'true',
+    classifierModel: process.env.MODERATION_CLASSIFIER_MODEL || 'claude-3-5-haiku-20241022',
+  },
+
+  // ---------------------------------------------------------------------------
+  // Async Job Configuration (Prefer: respond-async)
+  // ---------------------------------------------------------------------------
+  jobs: {
+    // How long a finished job (and its result) stays available for polling
+    ttlMs: (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000,
+
+    // SECURITY: Maximum jobs held in memory (queued, running and finished)
+    // The oldest finished job is evicted when this is exceeded
+    maxJobs: parseInt(process.env.JOB_MAX_JOBS, 10) || 1000,
+
+    // How many jobs run at the same time; the rest wait as "queued"
+    maxRunning: parseInt(process.env.JOB_MAX_RUNNING, 10) || 5,
+
+    // Deadline for a job once it starts running. Unlike REQUEST_TIMEOUT_MS,
+    // this isn't bounded by how long a client can keep a connection open.
+    timeoutMs: parseInt(process.env.JOB_TIMEOUT_MS, 10) || 300000,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Outbound Webhook Configuration
+  // ---------------------------------------------------------------------------
+  webhooks: {
+    // Where events are delivered, as a JSON array of
+    // { "url": "...", "events": ["circuit.open", ...], "secret": "...", "id": "..." }
+    // `events` defaults to all events; `secret` defaults to WEBHOOK_SECRET
+    subscriptions: parseJsonEnv('WEBHOOK_SUBSCRIPTIONS', []),
+
+    // SECURITY: Shared secret used to sign deliveries (HMAC-SHA256)
+    secret: process.env.WEBHOOK_SECRET || '',
+
+    // Delivery attempts per event and subscription (first try included)
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+
+    // Backoff before the first retry; doubles on each further retry
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 1000,
+
+    // How long a receiver has to respond to one attempt
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+
+    // Number of recent deliveries kept for GET /api/admin/webhooks/deliveries
+    deliveryLogSize: parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE, 10) || 200,
+
+    // usage.threshold_crossed fires once per usage window (1 hour) for each
+    // of these total token counts
+    tokenThresholds: (process.env.WEBHOOK_TOKEN_THRESHOLDS || '')
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map(Number),
+
+    // auth.repeated_failures fires when one client IP sends this many invalid
+    // API keys within the window
+    authFailureThreshold: parseInt(process.env.AUTH_FAILURE_ALERT_THRESHOLD, 10) || 5,
+    authFailureWindowMs: (parseInt(process.env.AUTH_FAILURE_ALERT_WINDOW_MINUTES, 10) || 5) * 60 * 1000,
+  },
+
+  // ---------------------------------------------------------------------------
+  // Spend Budget Configuration
+  // ---------------------------------------------------------------------------
+  budgets: {
+    // COST PROTECTION: Hard spend limits in USD (0 or unset = no limit)
+    // Requests are rejected once the worst-case cost would exceed a budget
+    dailyUsd: parseFloat(process.env.BUDGET_DAILY_USD) || 0,
+    monthlyUsd: parseFloat(process.env.BUDGET_MONTHLY_USD) || 0,
+
+    // Log a warning the first time spend crosses each percentage
+    warningThresholds: (process.env.BUDGET_WARNING_THRESHOLDS || '50,80')
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map(Number),
+  },
+
+  // ---------------------------------------------------------------------------
+  // Usage Ledger Configuration
+  // ---------------------------------------------------------------------------
+  ledger: {
+    // Record every Claude call in an append-only JSON Lines file
+    // Set USAGE_LEDGER_ENABLED=false to disable (e.g. read-only filesystems)
+    enabled: process.env.USAGE_LEDGER_ENABLED !== 'false',
+
+    // Where the ledger is written (relative paths resolve from the working directory)
+    filePath: path.resolve(process.env.USAGE_LEDGER_PATH || 'data/usage-ledger.jsonl'),
+  },
+
+  // ---------------------------------------------------------------------------
+  // Admin Audit Log Configuration
+  // ---------------------------------------------------------------------------
+  audit: {
+    // Every admin action (key management, test webhooks) is appended here
+    filePath: path.resolve(process.env.AUDIT_LOG_PATH || 'data/audit-log.jsonl'),
+  },
+
   // ---------------------------------------------------------------------------
   // Rate Limiting Configuration
   // ---------------------------------------------------------------------------
   rateLimit: {
-    // Maximum requests per window per IP address
+    // Maximum requests per window per API key (per IP address for requests
+    // without a valid key). Keys can override this and the Claude API limit
+    // (see API_KEY_LIMITS in services/apiKeyStore.js).
     max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
 
     // Time window in milliseconds (converted from minutes)
@@ -126,6 +477,11 @@ const config = {
     // This helps control costs and prevent abuse
     claudeApiMax: parseInt(process.env.CLAUDE_API_RATE_LIMIT_MAX, 10) || 30,
     claudeApiWindowMs: (parseInt(process.env.CLAUDE_API_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+
+    // COST PROTECTION: Input + output tokens each API key or token subject
+    // may use per UTC day, counted from actual API usage (0 = unlimited).
+    // Keys can override it.
+    keyDailyTokenQuota: parseIntEnv('API_KEY_DAILY_TOKEN_QUOTA', 0),
   },
 
   // ---------------------------------------------------------------------------
@@ -154,13 +510,83 @@ const config = {
     // If set, requests must include this key in the X-API-Key header
     apiKey: process.env.API_KEY || null,
 
+    // JSON file of hashed per-client keys with scopes (see services/apiKeyStore.js).
+    // API_KEY, if set, still works and has every scope.
+    apiKeysPath: path.resolve(process.env.API_KEYS_PATH || 'data/api-keys.json'),
+
+    // How long a rotated key's old secret keeps working, by default
+    // (POST /api/admin/keys/:id/rotate can ask for a different grace period)
+    keyRotationGraceSeconds: parseIntEnv('API_KEY_ROTATION_GRACE_SECONDS', 24 * 60 * 60),
+
     // Whether to require API key authentication
     requireApiKey: process.env.REQUIRE_API_KEY === 'true',
 
+    // How callers authenticate: 'api-key' (API_KEY and the key store, when
+    // REQUIRE_API_KEY=true) or 'jwt' (bearer tokens from your identity
+    // provider, always required; see the jwt section below)
+    authMode: process.env.AUTH_MODE || 'api-key',
+
+    // Whether protected routes authenticate callers at all
+    authRequired: process.env.AUTH_MODE === 'jwt' || process.env.REQUIRE_API_KEY === 'true',
+
+    // Whether keys are accepted in the ?api_key= query parameter (off by
+    // default, and always off while REQUEST_SIGNING is enabled)
+    // SECURITY: URLs end up in proxy and access logs; prefer headers
+    allowQueryApiKey: process.env.ALLOW_QUERY_API_KEY === 'true',
+
     // Trusted proxy count (for when behind reverse proxy/load balancer)
     // SECURITY: Set this correctly to ensure proper IP detection for rate limiting
     trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 1,
   },
+
+  // ---------------------------------------------------------------------------
+  // JWT Authentication Configuration (AUTH_MODE=jwt)
+  // ---------------------------------------------------------------------------
+  jwt: {
+    // HS256 shared secret (at least 32 characters)
+    secret: process.env.JWT_SECRET || null,
+
+    // Local JWKS file with the identity provider's public keys (RS256, ES256)
+    jwksPath: process.env.JWT_JWKS_PATH ? path.resolve(process.env.JWT_JWKS_PATH) : null,
+
+    // Required `aud` and `iss` values (unset = not checked)
+    audience: process.env.JWT_AUDIENCE || null,
+    issuer: process.env.JWT_ISSUER || null,
+
+    // Leeway for `exp` and `nbf`, for clock drift between servers
+    clockSkewSeconds: parseIntEnv('JWT_CLOCK_SKEW_SECONDS', 30),
+
+    // Claim holding the caller's scopes: a space-separated string (OAuth 2
+    // `scope`) or an array (e.g. `permissions`)
+    scopesClaim: process.env.JWT_SCOPES_CLAIM || 'scope',
+
+    // Optional translation of identity provider scopes into API scopes, e.g.
+    // {"wellbeing.read": ["affirmations:read", "emotions:read"]}
+    // Values not in the map are used as they are
+    scopeMap: parseJsonEnv('JWT_SCOPE_MAP', {}),
+
+    // Claim identifying the caller (req.user.sub)
+    subjectClaim: process.env.JWT_SUBJECT_CLAIM || 'sub',
+  },
+
+  // ---------------------------------------------------------------------------
+  // Request Signing Configuration (HMAC-SHA256, see middleware/security.js)
+  // ---------------------------------------------------------------------------
+  requestSigning: {
+    // 'off', 'optional' (signed requests are verified, unsigned ones use
+    // the API key as usual) or 'required' (every protected request must be
+    // signed; static keys are refused)
+    mode: process.env.REQUEST_SIGNING || 'off',
+
+    // Signing secret per API key id ("env" for API_KEY), e.g.
+    // {"key_3f9a1c2b7d4e": "..."}. Kept out of the key store, which only
+    // holds hashes: verifying an HMAC needs the secret itself.
+    secrets: parseJsonEnv('REQUEST_SIGNING_SECRETS', {}),
+
+    // How far X-Timestamp may be from the server clock. Nonces are
+    // remembered for as long as a timestamp stays acceptable.
+    maxSkewSeconds: parseIntEnv('REQUEST_SIGNING_MAX_SKEW_SECONDS', 300),
+  },
 };
 
 /**
@@ -180,8 +606,13 @@ function validateConfig() {
   // Required Configuration
   // ---------------------------------------------------------------------------
 
-  // Check for required Anthropic API key
-  if (!config.anthropic.apiKey) {
+  // Check the selected LLM provider exists
+  if (!config.llm.validProviders.includes(config.llm.provider)) {
+    errors.push(`LLM_PROVIDER must be one of: ${config.llm.validProviders.join(', ')}`);
+  }
+
+  // The Anthropic API key is only needed when calling the real API
+  if (config.llm.provider === 'anthropic' && !config.anthropic.apiKey) {
     errors.push('ANTHROPIC_API_KEY is required but not set in environment variables');
   }
 
@@ -228,6 +659,250 @@ function validateConfig() {
     errors.push('MAX_PROMPT_LENGTH must be at least 100 characters');
   }
 
+  // Every selectable model needs a price so costs are never silently $0
+  config.anthropic.validModels.forEach((model) => {
+    const price = config.anthropic.pricing[model];
+    if (!price || typeof price.input !== 'number' || typeof price.output !== 'number' ||
+        price.input < 0 || price.output < 0) {
+      errors.push(`MODEL_PRICING for "${model}" must have non-negative numeric "input" and "output" prices`);
+    }
+  });
+
+  const fallbackChain = config.anthropic.fallbackChain;
+  fallbackChain.forEach((model) => {
+    if (!config.anthropic.validModels.includes(model)) {
+      errors.push(`MODEL_FALLBACK_CHAIN contains "${model}", which is not a supported model`);
+    }
+  });
+
+  if (new Set(fallbackChain).size !== fallbackChain.length) {
+    errors.push('MODEL_FALLBACK_CHAIN must not list a model more than once');
+  }
+
+  // Retries and the circuit breaker read these directly
+  const { retry, circuitBreaker } = config.anthropic;
+  if (isNaN(retry.maxRetries) || retry.maxRetries < 0) {
+    errors.push('API_MAX_RETRIES must be 0 or greater');
+  }
+
+  if (retry.baseDelayMs < 1 || retry.maxDelayMs < retry.baseDelayMs) {
+    errors.push('API_RETRY_BASE_DELAY_MS must be positive and no greater than API_RETRY_MAX_DELAY_MS');
+  }
+
+  if (circuitBreaker.failureThreshold < 1 || circuitBreaker.resetTimeoutMs < 1) {
+    errors.push('CIRCUIT_BREAKER_THRESHOLD and CIRCUIT_BREAKER_RESET_MS must be positive');
+  }
+
+  if (config.tools.maxIterations < 1) {
+    errors.push('TOOL_MAX_ITERATIONS must be at least 1');
+  }
+
+  if (isNaN(config.structuredOutput.maxRetries) || config.structuredOutput.maxRetries < 0) {
+    errors.push('STRUCTURED_OUTPUT_MAX_RETRIES must be 0 or greater');
+  }
+
+  if (config.queue.maxConcurrent < 1 || config.queue.maxWaitMs < 1) {
+    errors.push('CLAUDE_MAX_CONCURRENT and CLAUDE_QUEUE_MAX_WAIT_MS must be positive');
+  }
+
+  if (isNaN(config.queue.maxDepth) || config.queue.maxDepth < 0) {
+    errors.push('CLAUDE_QUEUE_MAX_DEPTH must be 0 or greater');
+  }
+
+  if (config.batch.maxSize < 1 || config.batch.concurrency < 1) {
+    errors.push('BATCH_MAX_SIZE and BATCH_CONCURRENCY must be at least 1');
+  }
+
+  if (!fs.existsSync(config.prompts.dir) || !fs.statSync(config.prompts.dir).isDirectory()) {
+    errors.push(`PROMPTS_DIR must be an existing directory (got ${config.prompts.dir})`);
+  }
+
+  if (!Array.isArray(config.prompts.experiments)) {
+    errors.push('PROMPT_EXPERIMENTS must be a JSON array');
+  } else {
+    const experimentIds = new Set();
+    const experimentTemplates = new Set();
+
+    config.prompts.experiments.forEach((experiment, index) => {
+      const label = `PROMPT_EXPERIMENTS[${index}]`;
+
+      if (!experiment || typeof experiment.id !== 'string' || !experiment.id) {
+        errors.push(`${label} must have an "id"`);
+        return;
+      }
+      if (experimentIds.has(experiment.id)) {
+        errors.push(`${label}: experiment id "${experiment.id}" is used more than once`);
+      }
+      experimentIds.add(experiment.id);
+
+      if (typeof experiment.template !== 'string' || !experiment.template) {
+        errors.push(`${label} must name a "template"`);
+      } else if (experimentTemplates.has(experiment.template)) {
+        errors.push(`${label}: template "${experiment.template}" already has an experiment (one per template)`);
+      }
+      experimentTemplates.add(experiment.template);
+
+      if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+        errors.push(`${label} must have at least two "variants"`);
+        return;
+      }
+
+      const variantIds = new Set();
+      experiment.variants.forEach((variant, variantIndex) => {
+        const variantLabel = `${label}.variants[${variantIndex}]`;
+
+        if (!variant || typeof variant.id !== 'string' || !variant.id) {
+          errors.push(`${variantLabel} must have an "id"`);
+          return;
+        }
+        if (variantIds.has(variant.id)) {
+          errors.push(`${variantLabel}: variant id "${variant.id}" is used more than once`);
+        }
+        variantIds.add(variant.id);
+
+        if (variant.version !== undefined && (!Number.isInteger(variant.version) || variant.version < 1)) {
+          errors.push(`${variantLabel}: "version" must be a positive integer`);
+        }
+        if (variant.weight !== undefined && (typeof variant.weight !== 'number' || !(variant.weight >= 0))) {
+          errors.push(`${variantLabel}: "weight" must be 0 or greater`);
+        }
+      });
+
+      if (experiment.variants.every((variant) => variant && variant.weight === 0)) {
+        errors.push(`${label}: at least one variant needs a weight above 0`);
+      }
+    });
+  }
+
+  if (!/^[a-z]{2,3}$/.test(config.i18n.defaultLocale) ||
+      !fs.existsSync(path.join(__dirname, '..', 'locales', `${config.i18n.defaultLocale}.json`))) {
+    errors.push(`DEFAULT_LOCALE must be a locale with a catalog in src/locales (got ${config.i18n.defaultLocale})`);
+  }
+
+  if (!/^([A-Z]{2}|INTL)$/.test(config.safety.defaultRegion)) {
+    errors.push(`SAFETY_DEFAULT_REGION must be a two-letter country code or INTL (got ${config.safety.defaultRegion})`);
+  }
+
+  if (!fs.existsSync(config.moderation.rulesPath)) {
+    errors.push(`MODERATION_RULES_PATH must point to an existing file (got ${config.moderation.rulesPath})`);
+  }
+
+  if (isNaN(config.moderation.crueltyThreshold) || config.moderation.crueltyThreshold < 1 ||
+      config.moderation.crueltyThreshold > 10) {
+    errors.push('MODERATION_CRUELTY_THRESHOLD must be between 1 and 10');
+  }
+
+  if (isNaN(config.moderation.maxRegenerations) || config.moderation.maxRegenerations < 0) {
+    errors.push('MODERATION_MAX_REGENERATIONS must be 0 or greater');
+  }
+
+  if (!config.anthropic.validModels.includes(config.moderation.classifierModel)) {
+    errors.push(`MODERATION_CLASSIFIER_MODEL "${config.moderation.classifierModel}" is not a supported model`);
+  }
+
+  if (config.jobs.maxJobs < 1 || config.jobs.maxRunning < 1 || config.jobs.timeoutMs < 1) {
+    errors.push('JOB_MAX_JOBS, JOB_MAX_RUNNING and JOB_TIMEOUT_MS must be positive');
+  }
+
+  if (!Array.isArray(config.webhooks.subscriptions)) {
+    errors.push('WEBHOOK_SUBSCRIPTIONS must be a JSON array');
+  } else {
+    config.webhooks.subscriptions.forEach((subscription, index) => {
+      const label = `WEBHOOK_SUBSCRIPTIONS[${index}]`;
+
+      if (!subscription || typeof subscription.url !== 'string' || !/^https?:\/\/[^\s]+$/i.test(subscription.url)) {
+        errors.push(`${label} must have an http(s) "url"`);
+        return;
+      }
+
+      if (subscription.events !== undefined &&
+          (!Array.isArray(subscription.events) || subscription.events.some((event) => typeof event !== 'string'))) {
+        errors.push(`${label}.events must be an array of event names`);
+      }
+
+      if (!subscription.secret && !config.webhooks.secret) {
+        errors.push(`${label} needs a "secret" (or set WEBHOOK_SECRET) so deliveries can be signed`);
+      }
+    });
+  }
+
+  if (config.webhooks.tokenThresholds.some((tokens) => isNaN(tokens) || tokens <= 0)) {
+    errors.push('WEBHOOK_TOKEN_THRESHOLDS must be a comma-separated list of positive token counts');
+  }
+
+  if (config.conversations.maxTurns < 1) {
+    errors.push('CONVERSATION_MAX_TURNS must be at least 1');
+  }
+
+  if (config.budgets.dailyUsd < 0 || config.budgets.monthlyUsd < 0) {
+    errors.push('BUDGET_DAILY_USD and BUDGET_MONTHLY_USD must not be negative');
+  }
+
+  if (config.budgets.warningThresholds.some((percent) => isNaN(percent) || percent <= 0 || percent >= 100)) {
+    errors.push('BUDGET_WARNING_THRESHOLDS must be a comma-separated list of percentages between 0 and 100');
+  }
+
+  if (!Number.isInteger(config.rateLimit.keyDailyTokenQuota) || config.rateLimit.keyDailyTokenQuota < 0) {
+    errors.push('API_KEY_DAILY_TOKEN_QUOTA must be a non-negative integer (0 = unlimited)');
+  }
+
+  if (!Number.isInteger(config.security.keyRotationGraceSeconds) || config.security.keyRotationGraceSeconds < 0 || config.security.keyRotationGraceSeconds > MAX_KEY_ROTATION_GRACE_SECONDS) {
+    errors.push(`API_KEY_ROTATION_GRACE_SECONDS must be between 0 and ${MAX_KEY_ROTATION_GRACE_SECONDS} (30 days)`);
+  }
+
+  if (!AUTH_MODES.includes(config.security.authMode)) {
+    errors.push(`AUTH_MODE must be one of: ${AUTH_MODES.join(', ')}`);
+  }
+
+  if (config.security.authMode === 'jwt') {
+    if (!config.jwt.secret && !config.jwt.jwksPath) {
+      errors.push('AUTH_MODE=jwt needs JWT_SECRET (HS256) or JWT_JWKS_PATH (RS256/ES256)');
+    }
+    if (config.jwt.secret && config.jwt.secret.length < MIN_JWT_SECRET_LENGTH) {
+      errors.push(`JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} characters`);
+    }
+    if (!Number.isInteger(config.jwt.clockSkewSeconds) || config.jwt.clockSkewSeconds < 0 || config.jwt.clockSkewSeconds > 300) {
+      errors.push('JWT_CLOCK_SKEW_SECONDS must be between 0 and 300');
+    }
+    if (!config.jwt.scopeMap || typeof config.jwt.scopeMap !== 'object' || Array.isArray(config.jwt.scopeMap)) {
+      errors.push('JWT_SCOPE_MAP must be a JSON object of identity provider scope -> API scope(s)');
+    }
+    if (config.security.apiKey || config.security.requireApiKey) {
+      warnings.push('AUTH_MODE=jwt ignores API_KEY, REQUIRE_API_KEY and the API key store');
+    }
+  }
+
+  if (!REQUEST_SIGNING_MODES.includes(config.requestSigning.mode)) {
+    errors.push(`REQUEST_SIGNING must be one of: ${REQUEST_SIGNING_MODES.join(', ')}`);
+  } else if (config.requestSigning.mode !== 'off') {
+    if (config.security.authMode !== 'api-key' || !config.security.requireApiKey) {
+      errors.push('REQUEST_SIGNING needs API key authentication (REQUIRE_API_KEY=true and AUTH_MODE=api-key)');
+    }
+
+    const { secrets } = config.requestSigning;
+    if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets) || Object.keys(secrets).length === 0) {
+      errors.push('REQUEST_SIGNING_SECRETS must be a JSON object of API key id -> signing secret');
+    } else {
+      for (const [keyId, secret] of Object.entries(secrets)) {
+        if (keyId !== 'env' && !/^key_[a-f0-9]{12}$/.test(keyId)) {
+          errors.push(`REQUEST_SIGNING_SECRETS: "${keyId}" is not an API key id (key_<12 hex> or "env")`);
+        }
+        if (typeof secret !== 'string' || secret.length < MIN_SIGNING_SECRET_LENGTH) {
+          errors.push(`REQUEST_SIGNING_SECRETS["${keyId}"] must be at least ${MIN_SIGNING_SECRET_LENGTH} characters`);
+        }
+      }
+    }
+
+    const skew = config.requestSigning.maxSkewSeconds;
+    if (!Number.isInteger(skew) || skew < 1 || skew > 3600) {
+      errors.push('REQUEST_SIGNING_MAX_SKEW_SECONDS must be between 1 and 3600');
+    }
+
+    if (config.security.allowQueryApiKey) {
+      warnings.push('ALLOW_QUERY_API_KEY is ignored while REQUEST_SIGNING is enabled - keys in ?api_key= are refused');
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Security Warnings for Production
   // ---------------------------------------------------------------------------
@@ -237,11 +912,30 @@ function validateConfig() {
       warnings.push('CORS_ORIGIN is set to "*" in production - consider restricting to specific domains');
     }
 
-    if (!config.security.requireApiKey) {
+    if (!config.security.authRequired) {
       warnings.push('API_KEY authentication is disabled in production - consider enabling REQUIRE_API_KEY=true');
     }
+
+    if (config.security.authMode === 'jwt' && (!config.jwt.audience || !config.jwt.issuer)) {
+      warnings.push('JWT_AUDIENCE or JWT_ISSUER is not set - tokens issued for other applications will be accepted');
+    }
+
+    if (config.security.requireApiKey && config.security.allowQueryApiKey && config.requestSigning.mode === 'off') {
+      warnings.push('ALLOW_QUERY_API_KEY=true accepts keys in the ?api_key= query parameter, which ends up in proxy logs - have clients send X-API-Key instead');
+    }
+
+    if (config.llm.provider === 'mock') {
+      warnings.push('LLM_PROVIDER is set to "mock" in production - responses are canned, not generated by Claude');
+    }
+
+    if (!config.safety.enabled) {
+      warnings.push('SAFETY_CHECK_ENABLED is false in production - crisis language reaches Claude unscreened');
+    }
   }
 
+  // Structured environment variables that failed to parse
+  errors.push(...parseErrors);
+
   // ---------------------------------------------------------------------------
   // Output Results
   // ---------------------------------------------------------------------------
@@ -277,12 +971,17 @@ function isValidModel(model) {
  */
 function getSafeConfig() {
   return {
+    llm: {
+      provider: config.llm.provider,
+    },
     anthropic: {
       defaultModel: config.anthropic.defaultModel,
       defaultMaxTokens: config.anthropic.defaultMaxTokens,
       hardMaxTokens: config.anthropic.hardMaxTokens,
       maxPromptLength: config.anthropic.maxPromptLength,
       validModels: config.anthropic.validModels,
+      pricing: config.anthropic.pricing,
+      fallbackChain: config.anthropic.fallbackChain,
       apiKeyConfigured: !!config.anthropic.apiKey,
     },
     server: {
@@ -290,14 +989,91 @@ function getSafeConfig() {
       nodeEnv: config.server.nodeEnv,
       requestTimeoutMs: config.server.requestTimeoutMs,
     },
+    cache: {
+      enabled: config.cache.enabled,
+      ttlMs: config.cache.ttlMs,
+      maxEntries: config.cache.maxEntries,
+    },
+    conversations: {
+      ttlMs: config.conversations.ttlMs,
+      maxSessions: config.conversations.maxSessions,
+      maxTurns: config.conversations.maxTurns,
+    },
+    tools: {
+      maxIterations: config.tools.maxIterations,
+    },
+    structuredOutput: {
+      maxRetries: config.structuredOutput.maxRetries,
+    },
+    queue: {
+      maxConcurrent: config.queue.maxConcurrent,
+      maxDepth: config.queue.maxDepth,
+      maxWaitMs: config.queue.maxWaitMs,
+    },
+    batch: {
+      maxSize: config.batch.maxSize,
+      concurrency: config.batch.concurrency,
+    },
+    prompts: {
+      hotReload: config.prompts.hotReload,
+      experiments: Array.isArray(config.prompts.experiments) ? config.prompts.experiments.length : 0,
+    },
+    i18n: {
+      defaultLocale: config.i18n.defaultLocale,
+    },
+    safety: {
+      enabled: config.safety.enabled,
+      defaultRegion: config.safety.defaultRegion,
+    },
+    moderation: {
+      enabled: config.moderation.enabled,
+      crueltyThreshold: config.moderation.crueltyThreshold,
+      maxRegenerations: config.moderation.maxRegenerations,
+      classifierEnabled: config.moderation.classifierEnabled,
+      classifierModel: config.moderation.classifierModel,
+    },
+    jobs: {
+      ttlMs: config.jobs.ttlMs,
+      maxJobs: config.jobs.maxJobs,
+      maxRunning: config.jobs.maxRunning,
+      timeoutMs: config.jobs.timeoutMs,
+    },
+    webhooks: {
+      subscriptions: Array.isArray(config.webhooks.subscriptions) ? config.webhooks.subscriptions.length : 0,
+      secretConfigured: !!config.webhooks.secret,
+      maxAttempts: config.webhooks.maxAttempts,
+      tokenThresholds: config.webhooks.tokenThresholds,
+      authFailureThreshold: config.webhooks.authFailureThreshold,
+    },
+    budgets: {
+      dailyUsd: config.budgets.dailyUsd,
+      monthlyUsd: config.budgets.monthlyUsd,
+      warningThresholds: config.budgets.warningThresholds,
+    },
+    ledger: {
+      enabled: config.ledger.enabled,
+    },
     rateLimit: {
       max: config.rateLimit.max,
       windowMs: config.rateLimit.windowMs,
       claudeApiMax: config.rateLimit.claudeApiMax,
+      keyDailyTokenQuota: config.rateLimit.keyDailyTokenQuota,
     },
     security: {
       requireApiKey: config.security.requireApiKey,
+      authMode: config.security.authMode,
+      allowQueryApiKey: config.security.allowQueryApiKey,
       apiKeyConfigured: !!config.security.apiKey,
+      apiKeysPath: config.security.apiKeysPath,
+      keyRotationGraceSeconds: config.security.keyRotationGraceSeconds,
+    },
+    requestSigning: {
+      mode: config.requestSigning.mode,
+      keyIds: Object.keys(config.requestSigning.secrets || {}),
+      maxSkewSeconds: config.requestSigning.maxSkewSeconds,
+    },
+    audit: {
+      filePath: config.audit.filePath,
     },
   };
 }
@@ -308,4 +1084,5 @@ module.exports = {
   validateConfig,
   isValidModel,
   getSafeConfig,
+  MAX_KEY_ROTATION_GRACE_SECONDS,
 };
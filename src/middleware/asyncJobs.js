@@ -0,0 +1,126 @@
+/**
+ * =============================================================================
+ * ASYNC RESPONSE MIDDLEWARE (Prefer: respond-async)
+ * =============================================================================
+ *
+ * Lets any Claude-backed POST run as a background job instead of holding the
+ * connection open. Clients opt in per request with the standard Prefer
+ * header (RFC 7240):
+ *
+ *   POST /api/emotions/custom
+ *   Prefer: respond-async
+ *
+ *   HTTP/1.1 202 Accepted
+ *   Location: /api/jobs/job_3f9a...
+ *   Preference-Applied: respond-async
+ *
+ * The request is then handled in-process by the same route handler as a
+ * synchronous request, with the job's own deadline (JOB_TIMEOUT_MS) instead
+ * of REQUEST_TIMEOUT_MS. Its status code and body become the job's result,
+ * available from GET /api/jobs/:id.
+ *
+ * Requests without the header are untouched, and servers may ignore a
+ * preference, so clients must handle a normal 200 response as well.
+ *
+ * =============================================================================
+ */
+
+const { submitJob, serializeJob } = require('../services/jobStore');
+const { createSubRequest, dispatchRequest } = require('./dispatch');
+const { getCallerId } = require('./security');
+
+// Suggested polling interval sent as Retry-After while a job is unfinished
+const POLL_INTERVAL_SECONDS = 2;
+
+/**
+ * Checks whether the client asked for an asynchronous response.
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the Prefer header contains respond-async
+ */
+function prefersAsync(req) {
+  const prefer = req.headers.prefer || '';
+
+  return prefer
+    .split(',')
+    .some((preference) => preference.split(';')[0].trim().toLowerCase() === 'respond-async');
+}
+
+/**
+ * Creates middleware that turns `Prefer: respond-async` POSTs into jobs.
+ *
+ * Mount it directly in front of the router it should hand requests to, at
+ * the same path, e.g. router.use('/emotions', respondAsync(emotions), emotions).
+ *
+ * @param {Function} targetRouter - Router that handles the request in the background
+ * @returns {Function} Express middleware
+ */
+function respondAsync(targetRouter) {
+  return (req, res, next) => {
+    if (req.method !== 'POST' || !prefersAsync(req)) {
+      return next();
+    }
+
+    // Snapshot what routing will have changed (or torn down) by the time the
+    // job runs: the URL within this mount point and the client's address
+    const { url, originalUrl, baseUrl, ip } = req;
+
+    // Jobs always produce a JSON result - never an event stream or another job
+    const headers = { ...req.headers, accept: 'application/json' };
+    delete headers.prefer;
+
+    const details = {
+      method: req.method,
+      path: originalUrl.split('?')[0],
+      requestId: req.id,
+      owner: getCallerId(req),
+    };
+
+    let job;
+    try {
+      job = submitJob(details, ({ signal, deadline }) => {
+        const subReq = createSubRequest(req, {
+          url,
+          originalUrl,
+          baseUrl,
+          params: {},
+          query: { ...req.query },
+          body: { ...req.body },
+          headers,
+          deadline,
+          // Aborted when the job is cancelled; routes pass it on to Claude calls
+          signal,
+        });
+        Object.defineProperty(subReq, 'ip', { value: ip });
+        delete subReq.body.stream;
+        delete subReq.query.stream;
+
+        return dispatchRequest(targetRouter, subReq);
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    const location = `/api/jobs/${job.id}`;
+
+    res.status(202)
+      .set({
+        'Location': location,
+        'Preference-Applied': 'respond-async',
+        'Retry-After': String(POLL_INTERVAL_SECONDS),
+      })
+      .json({
+        success: true,
+        job: serializeJob(job),
+        links: {
+          self: location,
+        },
+      });
+  };
+}
+
+module.exports = {
+  respondAsync,
+  prefersAsync,
+  POLL_INTERVAL_SECONDS,
+};
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * IN-PROCESS REQUEST DISPATCH
+ * =============================================================================
+ *
+ * Runs a request through an Express router without a network round trip and
+ * captures the response. Used by POST /api/batch (sub-requests) and by async
+ * jobs (Prefer: respond-async), so both go through exactly the same rate
+ * limiting, validation and route handlers as a standalone request.
+ *
+ * =============================================================================
+ */
+
+const { EventEmitter } = require('events');
+const { notFoundHandler, globalErrorHandler } = require('./errorHandler');
+
+/**
+ * Minimal in-memory stand-in for an Express response.
+ *
+ * Implements just enough of the response API for the rate limiter, route
+ * handlers and the global error handler, and captures what they send.
+ */
+class CapturedResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.body = undefined;
+    this.headersSent = false;
+    this.writableEnded = false;
+    this.locals = {};
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  getHeader(name) {
+    return this.headers[name.toLowerCase()];
+  }
+
+  set(name, value) {
+    return this.setHeader(name, value);
+  }
+
+  append(name, value) {
+    const existing = this.getHeader(name);
+    return this.setHeader(name, existing ? [].concat(existing, value) : value);
+  }
+
+  json(body) {
+    return this.send(body);
+  }
+
+  send(body) {
+    this.body = body;
+    return this.end();
+  }
+
+  end() {
+    this.headersSent = true;
+    this.writableEnded = true;
+    this.emit('finish');
+    this.emit('done');
+    return this;
+  }
+}
+
+/**
+ * Derives a request from an existing one.
+ *
+ * The new request inherits everything (client IP, auth, headers...) except
+ * the overridden fields. Callers must override at least method, url,
+ * originalUrl, baseUrl, params, query, body and headers.
+ *
+ * @param {Object} req - The request to derive from
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} The derived request
+ */
+function createSubRequest(req, overrides) {
+  return Object.assign(Object.create(req), overrides);
+}
+
+/**
+ * Runs a request through a router and captures the response.
+ *
+ * @param {Function} router - Router to run the request through
+ * @param {Object} subReq - Request from createSubRequest()
+ * @returns {Promise<CapturedResponse>} Resolves once a response has been sent
+ */
+function dispatchRequest(router, subReq) {
+  const subRes = new CapturedResponse();
+
+  return new Promise((resolve) => {
+    subRes.once('done', () => resolve(subRes));
+
+    // Errors and unknown routes get the same responses as standalone requests
+    const handleError = (err) => globalErrorHandler(err, subReq, subRes, () => {});
+    router(subReq, subRes, (err) => {
+      if (err) {
+        handleError(err);
+      } else {
+        notFoundHandler(subReq, subRes, handleError);
+      }
+    });
+  });
+}
+
+module.exports = {
+  CapturedResponse,
+  createSubRequest,
+  dispatchRequest,
+};
@@ -17,6 +17,7 @@
  */
 
 const { config } = require('../config');
+const { translate, translateFor } = require('../services/i18n');
 
 /**
  * Custom error class for API errors.
@@ -25,6 +26,9 @@ const { config } = require('../config');
  * Usage:
  *   throw new ApiError(404, 'Resource not found');
  *   throw new ApiError(400, 'Invalid input', { field: 'email' });
+ *
+ * Errors created with localizedError() also carry a catalog key, so clients
+ * get the message in their language (see services/i18n.js).
  */
 class ApiError extends Error {
   /**
@@ -45,19 +49,42 @@ class ApiError extends Error {
   }
 }
 
+/**
+ * Creates an ApiError whose message comes from the translation catalogs.
+ * The error's own message is the English text (for logs); the global error
+ * handler sends clients the translation for their locale.
+ *
+ * Usage:
+ *   throw localizedError(404, 'errors.conversationNotFound', { id });
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {string} key - Catalog key, e.g. "errors.notFound"
+ * @param {Object} [params] - Placeholder values for the message
+ * @param {Object} [data] - Additional error data
+ * @returns {ApiError} The error
+ */
+function localizedError(statusCode, key, params = {}, data = null) {
+  const error = new ApiError(statusCode, translate('en', key, params), data);
+  error.messageKey = key;
+  error.messageParams = params;
+
+  return error;
+}
+
 /**
  * Factory functions for common error types.
  * These provide a clean, consistent way to create errors throughout the app.
+ * Without a message, the (localized) generic message for the status is used.
  */
 const Errors = {
-  badRequest: (message, data) => new ApiError(400, message || 'Bad Request', data),
-  unauthorized: (message) => new ApiError(401, message || 'Unauthorized'),
-  forbidden: (message) => new ApiError(403, message || 'Forbidden'),
-  notFound: (message) => new ApiError(404, message || 'Not Found'),
-  methodNotAllowed: (message) => new ApiError(405, message || 'Method Not Allowed'),
-  tooManyRequests: (message) => new ApiError(429, message || 'Too Many Requests'),
-  internal: (message) => new ApiError(500, message || 'Internal Server Error'),
-  serviceUnavailable: (message) => new ApiError(503, message || 'Service Unavailable'),
+  badRequest: (message, data) => (message ? new ApiError(400, message, data) : localizedError(400, 'errors.badRequest', {}, data)),
+  unauthorized: (message) => (message ? new ApiError(401, message) : localizedError(401, 'errors.unauthorized')),
+  forbidden: (message) => (message ? new ApiError(403, message) : localizedError(403, 'errors.forbidden')),
+  notFound: (message) => (message ? new ApiError(404, message) : localizedError(404, 'errors.notFound')),
+  methodNotAllowed: (message) => (message ? new ApiError(405, message) : localizedError(405, 'errors.methodNotAllowed')),
+  tooManyRequests: (message) => (message ? new ApiError(429, message) : localizedError(429, 'errors.tooManyRequests')),
+  internal: (message) => (message ? new ApiError(500, message) : localizedError(500, 'errors.internal')),
+  serviceUnavailable: (message) => (message ? new ApiError(503, message) : localizedError(503, 'errors.serviceUnavailable')),
 };
 
 /**
@@ -69,7 +96,7 @@ const Errors = {
  * @param {Function} next - Express next middleware function
  */
 function notFoundHandler(req, res, next) {
-  next(Errors.notFound(`Route ${req.method} ${req.originalUrl} not found`));
+  next(localizedError(404, 'errors.routeNotFound', { method: req.method, url: req.originalUrl }));
 }
 
 /**
@@ -125,7 +152,8 @@ function globalErrorHandler(err, req, res, next) {
   const errorResponse = {
     success: false,
     error: {
-      message: err.message,
+      // Translated for the client when the error has a catalog key
+      message: err.messageKey ? translateFor(req, err.messageKey, err.messageParams) : err.message,
       statusCode: statusCode,
     },
   };
@@ -135,6 +163,11 @@ function globalErrorHandler(err, req, res, next) {
     errorResponse.error.details = err.data;
   }
 
+  // Tell clients when to try again (e.g. exhausted spend budgets)
+  if (err.retryAfterSeconds) {
+    res.set('Retry-After', String(err.retryAfterSeconds));
+  }
+
   // In development, include stack trace for debugging
   if (config.server.isDevelopment) {
     errorResponse.error.stack = err.stack;
@@ -181,11 +214,15 @@ function asyncHandler(fn) {
  */
 function timeoutHandler(timeout = 30000) {
   return (req, res, next) => {
+    // Record when this request times out, so downstream work (e.g. Claude
+    // API retries) can stop before the client has given up
+    req.deadline = Date.now() + timeout;
+
     // Set the timeout
     req.setTimeout(timeout, () => {
       // Check if response has already been sent
       if (!res.headersSent) {
-        next(new ApiError(408, 'Request timeout'));
+        next(localizedError(408, 'errors.requestTimeout'));
       }
     });
     next();
@@ -196,6 +233,7 @@ function timeoutHandler(timeout = 30000) {
 module.exports = {
   ApiError,
   Errors,
+  localizedError,
   notFoundHandler,
   globalErrorHandler,
   asyncHandler,
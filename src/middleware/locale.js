@@ -0,0 +1,35 @@
+/**
+ * =============================================================================
+ * LOCALE MIDDLEWARE
+ * =============================================================================
+ *
+ * Tells clients and caches which language a response is in.
+ *
+ * The locale itself is worked out on demand from each request (see
+ * services/i18n.js), so this middleware only sets headers:
+ * - Content-Language: the locale of messages and generated text
+ * - Vary: Accept-Language, so shared caches don't serve one client's
+ *   language to another
+ *
+ * =============================================================================
+ */
+
+const { resolveLocale } = require('../services/i18n');
+
+/**
+ * Sets the Content-Language and Vary headers for the request's locale.
+ * Must run after the body parsers, so a `lang` in a JSON body counts.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function contentLanguage(req, res, next) {
+  res.setHeader('Content-Language', resolveLocale(req));
+  res.vary('Accept-Language');
+  next();
+}
+
+module.exports = {
+  contentLanguage,
+};
@@ -0,0 +1,93 @@
+/**
+ * =============================================================================
+ * CRISIS SCREENING MIDDLEWARE
+ * =============================================================================
+ *
+ * Runs the crisis language check (services/safety.js) on the `context` and
+ * `prompt` of every emotion and affirmation request, before validation and
+ * before any persona prompt is rendered.
+ *
+ * When it triggers, the route handler is skipped and Claude is never
+ * called. The client gets a 200 response with a supportive message and
+ * hotlines for its region, flagged with `safety.triggered`:
+ *
+ *   {
+ *     "success": true,
+ *     "safety": {
+ *       "triggered": true,
+ *       "category": "suicide",
+ *       "matchedFields": ["context"],
+ *       "message": "It sounds like you may be going through...",
+ *       "region": "US",
+ *       "regionName": "United States",
+ *       "emergencyNumber": "911",
+ *       "resources": [{ "name": "988 Suicide & Crisis Lifeline", ... }]
+ *     }
+ *   }
+ *
+ * Clients pick the region with a `region` parameter (query or body, ISO
+ * 3166-1 alpha-2 code); otherwise SAFETY_DEFAULT_REGION applies. The message
+ * is in the request's language (`lang` or Accept-Language). Streaming
+ * requests get the same body as a single `done` event.
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+const { detectCrisisLanguage, buildSafetyResponse } = require('../services/safety');
+const { resolveLocale } = require('../services/i18n');
+const { wantsEventStream, sendDoneEvent } = require('./streaming');
+const { endpointName } = require('./validation');
+
+/**
+ * Reads a request field from the JSON body, falling back to the query string.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} field - Field name
+ * @returns {*} The value, if any
+ */
+function requestField(req, field) {
+  return req.body?.[field] ?? req.query[field];
+}
+
+/**
+ * Screens requests for crisis language and answers them with crisis
+ * resources instead of a generated response.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function screenForCrisis(req, res, next) {
+  if (!config.safety.enabled) {
+    return next();
+  }
+
+  const detection = detectCrisisLanguage({
+    context: requestField(req, 'context'),
+    prompt: requestField(req, 'prompt'),
+  });
+
+  if (!detection) {
+    return next();
+  }
+
+  const region = requestField(req, 'region');
+  const body = {
+    success: true,
+    safety: buildSafetyResponse(detection, typeof region === 'string' ? region : undefined, resolveLocale(req)),
+  };
+
+  // Never log the text itself
+  console.warn(`[${req.id}] Safety check triggered on ${endpointName(req)} (${detection.category} in ${detection.fields.join(', ')})`);
+
+  if (wantsEventStream(req)) {
+    return sendDoneEvent(res, body);
+  }
+
+  res.json(body);
+}
+
+module.exports = {
+  screenForCrisis,
+};
@@ -4,11 +4,19 @@
  * =============================================================================
  *
  * This module provides security-related middleware for the Express application.
- * It includes API key authentication, request sanitization, and security headers.
+ * It includes API key or JWT authentication, request sanitization, and
+ * security headers.
  *
  * BEST PRACTICES DEMONSTRATED:
- * - API key authentication for protected endpoints
+ * - API key authentication for protected endpoints, or bearer tokens from
+ *   an identity provider (AUTH_MODE=jwt, see services/jwt.js)
+ * - Callers identified before rate limiting, so limits are counted per
+ *   key or user
+ * - Per-key scopes, declared by the routes that need them
+ * - Optional HMAC request signing with timestamps and single-use nonces
+ *   (no static secret on the wire, no replays)
  * - Timing-safe comparison to prevent timing attacks
+ * - Alerting (webhook) on repeated failed authentication from one client
  * - Request ID generation for tracing
  * - Input sanitization
  * - Security headers configuration
@@ -18,18 +26,94 @@
 
 const crypto = require('crypto');
 const { config } = require('../config');
-const { Errors } = require('./errorHandler');
+const { Errors, localizedError } = require('./errorHandler');
+const { emitEvent } = require('../services/webhooks');
+const { ENV_API_KEY, hasApiKeys, verifyApiKey, getApiKey } = require('../services/apiKeyStore');
+const { verifyJwt } = require('../services/jwt');
 
 // =============================================================================
 // API KEY AUTHENTICATION
 // =============================================================================
 
+/**
+ * Checks the key a request presents against API_KEY and the key store.
+ *
+ * @param {string} [providedKey] - Key as sent by the client
+ * @returns {{ status: 'valid'|'expired'|'disabled'|'invalid', key?: Object }}
+ *   The outcome. For a valid key, `key` is what becomes req.apiKey.
+ */
+function authenticate(providedKey) {
+  // Use timing-safe comparison to prevent timing attacks
+  // Timing attacks can reveal information about the secret key by measuring
+  // how long the comparison takes
+  if (config.security.apiKey && timingSafeEqual(providedKey, config.security.apiKey)) {
+    return { status: 'valid', key: ENV_API_KEY };
+  }
+
+  const { status, key, previousSecret } = verifyApiKey(providedKey);
+
+  // usingPreviousSecret: the client sent a rotated key's old secret, which
+  // stops working at previousSecretExpiresAt
+  return status === 'valid'
+    ? { status, key: { ...key, usingPreviousSecret: previousSecret } }
+    : { status, key };
+}
+
+/**
+ * Middleware that identifies the caller without enforcing anything. Runs
+ * before the rate limiters so they can count requests per key or user
+ * rather than per IP address (many clients can share one IP behind NAT or
+ * a proxy).
+ *
+ * Sets req.apiKey when the request presents a valid key, or req.user when
+ * it presents a valid token (AUTH_MODE=jwt). Missing and bad credentials
+ * are left for requireAuth to reject on the routes that require them.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function identifyCaller(req, res, next) {
+  if (config.security.authMode === 'jwt') {
+    const token = getBearerToken(req);
+    if (token) {
+      const { status, user } = verifyJwt(token);
+      if (status === 'valid') {
+        req.user = user;
+      }
+    }
+    return next();
+  }
+
+  // Signed requests are verified by apiKeyAuth, once the body has been read
+  // (so the general rate limiter counts them per IP address)
+  const staticKeysAccepted = config.security.requireApiKey && config.requestSigning.mode !== 'required';
+  const providedKey = staticKeysAccepted ? getProvidedApiKey(req) : undefined;
+
+  if (providedKey) {
+    const { status, key } = authenticate(providedKey);
+    if (status === 'valid') {
+      req.apiKey = key;
+    }
+  }
+
+  next();
+}
+
 /**
  * Middleware to authenticate requests using API key.
  *
  * When enabled (REQUIRE_API_KEY=true), this middleware checks for a valid
  * API key in the X-API-Key header. Requests without a valid key are rejected.
  *
+ * Keys come from the key store (API_KEYS_PATH, see services/apiKeyStore.js)
+ * or the single API_KEY environment variable, which has every scope. On
+ * success, req.apiKey holds the key's id, label, scopes and expiry - never
+ * the secret - so logs and stats can name the caller.
+ *
+ * With REQUEST_SIGNING enabled, requests may (or, when it is 'required',
+ * must) be signed instead of carrying the key - see verifySignedRequest.
+ *
  * SECURITY FEATURES:
  * - Timing-safe comparison prevents timing attacks
  * - Generic error messages prevent information leakage
@@ -45,46 +129,188 @@ function apiKeyAuth(req, res, next) {
     return next();
   }
 
-  // Skip authentication if no API key is configured (misconfiguration warning)
-  if (!config.security.apiKey) {
+  // Reject everything if no key is configured (misconfiguration warning)
+  if (!config.security.apiKey && !hasApiKeys()) {
     console.warn(
-      'WARNING: REQUIRE_API_KEY is true but API_KEY is not set. ' +
+      'WARNING: REQUIRE_API_KEY is true but neither API_KEY nor API_KEYS_PATH has a key. ' +
       'All requests will be rejected.'
     );
     throw Errors.internal('Server authentication misconfigured');
   }
 
+  // Signed request: the signature identifies the key
+  if (config.requestSigning.mode !== 'off' && req.headers['x-signature'] !== undefined) {
+    req.apiKey = verifySignedRequest(req);
+    return next();
+  }
+
+  if (config.requestSigning.mode === 'required') {
+    throw localizedError(401, 'errors.signatureRequired');
+  }
+
+  // Already identified (by identifyCaller)
+  if (req.apiKey) {
+    return next();
+  }
+
   // Get API key from request headers
-  // Support multiple header formats for flexibility
-  const providedKey =
-    req.headers['x-api-key'] ||           // Standard custom header
-    req.headers['authorization']?.replace(/^Bearer\s+/i, '') || // Bearer token
-    req.query.api_key;                    // Query parameter (less secure, but sometimes needed)
+  const providedKey = getProvidedApiKey(req);
 
   // Check if API key was provided
   if (!providedKey) {
-    throw Errors.unauthorized(
-      'API key required. Include X-API-Key header with your request.'
-    );
+    throw localizedError(401, 'errors.apiKeyRequired');
   }
 
-  // Use timing-safe comparison to prevent timing attacks
-  // Timing attacks can reveal information about the secret key by measuring
-  // how long the comparison takes
-  const isValid = timingSafeEqual(providedKey, config.security.apiKey);
+  const { status, key } = authenticate(providedKey);
 
-  if (!isValid) {
+  if (status === 'expired') {
+    console.warn(`Expired API key ${key.id} used from IP: ${req.ip}`);
+    throw localizedError(401, 'errors.apiKeyExpired');
+  }
+
+  if (status !== 'valid') {
     // Log failed authentication attempt (useful for security monitoring)
-    console.warn(`Invalid API key attempt from IP: ${req.ip}`);
+    console.warn(`Invalid API key attempt from IP: ${req.ip}${key ? ` (disabled key ${key.id})` : ''}`);
+    recordAuthFailure(req);
 
     // Use generic message to prevent information leakage
-    throw Errors.unauthorized('Invalid API key');
+    throw localizedError(401, 'errors.apiKeyInvalid');
   }
 
   // Authentication successful
+  req.apiKey = key;
   next();
 }
 
+/**
+ * Middleware to authenticate requests using a bearer token from the
+ * identity provider (AUTH_MODE=jwt).
+ *
+ * Tokens are only accepted in the Authorization header - never X-API-Key or
+ * the query string, where they would end up in proxy logs. On success,
+ * req.user holds the token's subject, API scopes, issuer and expiry.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function jwtAuth(req, res, next) {
+  // Already identified (by identifyCaller)
+  if (req.user) {
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    throw localizedError(401, 'errors.tokenRequired');
+  }
+
+  const { status, user, reason } = verifyJwt(token);
+
+  if (status === 'expired') {
+    console.warn(`Expired token used from IP: ${req.ip} (${reason})`);
+    throw localizedError(401, 'errors.tokenExpired');
+  }
+
+  if (status !== 'valid') {
+    // The reason stays in the logs; clients get a generic message
+    console.warn(`Invalid token from IP: ${req.ip} (${reason})`);
+    recordAuthFailure(req);
+    throw localizedError(401, 'errors.tokenInvalid');
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Middleware that authenticates with whichever scheme AUTH_MODE selects:
+ * apiKeyAuth (the default) or jwtAuth.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function requireAuth(req, res, next) {
+  return config.security.authMode === 'jwt' ? jwtAuth(req, res, next) : apiKeyAuth(req, res, next);
+}
+
+/**
+ * Creates middleware that requires the API key (or token) to hold a scope.
+ *
+ * Routes declare the scope they need where they are mounted, e.g.
+ *   router.use('/admin', requireScope('admin'), adminRoutes);
+ *
+ * Must run after requireAuth. Does nothing when authentication is disabled.
+ *
+ * @param {string} scope - Scope from API_KEY_SCOPES
+ * @returns {Function} Express middleware (403 if the key lacks the scope)
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const scopes = req.apiKey?.scopes || req.user?.scopes || [];
+    if (!config.security.authRequired || scopes.includes(scope)) {
+      return next();
+    }
+
+    const caller = req.user ? `User ${req.user.sub}` : `API key ${req.apiKey?.id}`;
+    console.warn(`[${req.id}] ${caller} lacks scope ${scope} for ${req.method} ${req.originalUrl.split('?')[0]}`);
+    throw localizedError(403, req.user ? 'errors.tokenInsufficientScope' : 'errors.insufficientScope', { scope });
+  };
+}
+
+/**
+ * Creates middleware that requires `<resource>:read` for GET requests and
+ * `<resource>:write` for everything else.
+ *
+ * @param {string} resource - Resource name, e.g. "emotions"
+ * @returns {Function} Express middleware
+ */
+function requireMethodScope(resource) {
+  const read = requireScope(`${resource}:read`);
+  const write = requireScope(`${resource}:write`);
+
+  return (req, res, next) => ((req.method === 'GET' || req.method === 'HEAD') ? read : write)(req, res, next);
+}
+
+/**
+ * Gets the API key a request presents, if any.
+ * Supports multiple header formats for flexibility. The ?api_key= query
+ * parameter only counts with ALLOW_QUERY_API_KEY=true and REQUEST_SIGNING=off.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} The key as sent (not validated)
+ */
+function getProvidedApiKey(req) {
+  return req.headers['x-api-key'] ||      // Standard custom header
+    req.headers['authorization']?.replace(/^Bearer\s+/i, '') || // Bearer token
+    (queryApiKeyAllowed() ? req.query.api_key : undefined); // Query parameter (less secure; opt-in)
+}
+
+/**
+ * Checks whether keys may be sent in the ?api_key= query parameter.
+ *
+ * SECURITY: URLs end up in proxy and access logs, so this is opt-in, and a
+ * server that signs requests never falls back to a key anyone could replay
+ * from a log line.
+ *
+ * @returns {boolean} True if ?api_key= is accepted
+ */
+function queryApiKeyAllowed() {
+  return config.security.allowQueryApiKey && config.requestSigning.mode === 'off';
+}
+
+/**
+ * Gets the bearer token from the Authorization header, if any.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} The token as sent (not verified)
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers['authorization'] || '');
+  return match ? match[1] : undefined;
+}
+
 /**
  * Performs a timing-safe string comparison.
  *
@@ -118,6 +344,243 @@ function timingSafeEqual(a, b) {
   return crypto.timingSafeEqual(bufA, bufB);
 }
 
+// =============================================================================
+// REQUEST SIGNING
+// =============================================================================
+
+/*
+ * With REQUEST_SIGNING=optional or required, server-to-server clients can
+ * sign each request with a per-key secret (REQUEST_SIGNING_SECRETS) instead
+ * of sending the key itself:
+ *
+ *   X-API-Key-Id: key_3f9a1c2b7d4e     (the key's public id, or "env")
+ *   X-Timestamp:  1792412712           (Unix seconds)
+ *   X-Nonce:      3b6f0c9e2a7d4f1e     (16-128 of A-Z a-z 0-9 _ -, never reused)
+ *   X-Signature:  sha256=<hex HMAC-SHA256 of the string below>
+ *
+ *   <METHOD>\n<path and query string>\n<timestamp>\n<nonce>\n<hex SHA-256 of the raw body>
+ *
+ * e.g. "POST\n/api/emotions/support?lang=es\n1792412712\n3b6f...\ne3b0c4..."
+ * (an empty body hashes to e3b0c442...b855). The request is rejected when
+ * the timestamp is more than REQUEST_SIGNING_MAX_SKEW_SECONDS away from the
+ * server clock, or the key has already used the nonce within that window -
+ * so a captured request can't be replayed or altered.
+ */
+
+// Headers and formats of a signed request
+const SIGNATURE_PATTERN = /^sha256=[a-f0-9]{64}$/;
+const TIMESTAMP_PATTERN = /^\d{1,12}$/;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Maximum nonces remembered at once (bounds memory under heavy signed traffic)
+const MAX_TRACKED_NONCES = 100000;
+
+/**
+ * Nonces seen recently, per key. A nonce only needs remembering while a
+ * request carrying it could still pass the timestamp check: for twice the
+ * allowed skew (a timestamp can be up to that far ahead or behind).
+ */
+const nonceStore = {
+  // "<keyId>:<nonce>" -> when it can be forgotten (ms); in insertion order,
+  // which is also expiry order
+  seen: new Map(),
+
+  /**
+   * Records a nonce.
+   *
+   * @param {string} keyId - Key the request was signed for
+   * @param {string} nonce - X-Nonce
+   * @returns {'ok'|'reused'|'full'} 'reused' if the key already used it
+   */
+  use(keyId, nonce) {
+    const now = Date.now();
+
+    for (const [entry, forgetAt] of this.seen) {
+      if (forgetAt > now) {
+        break;
+      }
+      this.seen.delete(entry);
+    }
+
+    const entry = `${keyId}:${nonce}`;
+    if (this.seen.has(entry)) {
+      return 'reused';
+    }
+
+    // Forgetting a live nonce would allow a replay, so refuse instead
+    if (this.seen.size >= MAX_TRACKED_NONCES) {
+      return 'full';
+    }
+
+    this.seen.set(entry, now + config.requestSigning.maxSkewSeconds * 2 * 1000);
+    return 'ok';
+  },
+};
+
+/**
+ * Builds the string a request's signature covers.
+ *
+ * @param {Object} req - Express request object (req.rawBody set by the body parsers)
+ * @param {string} timestamp - X-Timestamp
+ * @param {string} nonce - X-Nonce
+ * @returns {string} The string to sign
+ */
+function signingString(req, timestamp, nonce) {
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  return [req.method, req.originalUrl, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Looks up the key a signed request names.
+ *
+ * @param {string} keyId - X-API-Key-Id
+ * @returns {{ status: 'valid'|'expired'|'disabled'|'invalid', key?: Object }}
+ */
+function lookupSigningKey(keyId) {
+  if (keyId === ENV_API_KEY.id) {
+    return config.security.apiKey ? { status: 'valid', key: ENV_API_KEY } : { status: 'invalid' };
+  }
+
+  const key = getApiKey(keyId);
+  if (!key) {
+    return { status: 'invalid' };
+  }
+  if (!key.enabled) {
+    return { status: 'disabled', key };
+  }
+  if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+    return { status: 'expired', key };
+  }
+
+  return { status: 'valid', key };
+}
+
+/**
+ * Verifies a signed request (see REQUEST SIGNING above).
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} The key the request was signed for (becomes req.apiKey)
+ * @throws {ApiError} 401 if the signature, timestamp, nonce or key is not
+ *   acceptable; 503 if too many nonces are being tracked
+ */
+function verifySignedRequest(req) {
+  const keyId = req.headers['x-api-key-id'];
+  const timestamp = req.headers['x-timestamp'];
+  const nonce = req.headers['x-nonce'];
+  const signature = req.headers['x-signature'];
+
+  const reject = (reason, key = 'errors.signatureInvalid') => {
+    console.warn(`Rejected signed request from IP: ${req.ip} (${reason})`);
+    recordAuthFailure(req);
+    return localizedError(401, key);
+  };
+
+  if (typeof keyId !== 'string' || !TIMESTAMP_PATTERN.test(timestamp) ||
+      !NONCE_PATTERN.test(nonce) || !SIGNATURE_PATTERN.test(signature)) {
+    throw reject('missing or malformed signing headers');
+  }
+
+  const secret = Object.prototype.hasOwnProperty.call(config.requestSigning.secrets, keyId)
+    ? config.requestSigning.secrets[keyId]
+    : null;
+  if (!secret) {
+    throw reject(`no signing secret for ${keyId}`);
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > config.requestSigning.maxSkewSeconds) {
+    throw reject(`timestamp ${timestamp} outside the allowed window`, 'errors.signatureStale');
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(signingString(req, timestamp, nonce)).digest('hex')}`;
+  if (!timingSafeEqual(signature, expected)) {
+    throw reject(`bad signature for ${keyId}`);
+  }
+
+  const { status, key } = lookupSigningKey(keyId);
+  if (status === 'expired') {
+    console.warn(`Expired API key ${keyId} used from IP: ${req.ip} (signed request)`);
+    throw localizedError(401, 'errors.apiKeyExpired');
+  }
+  if (status !== 'valid') {
+    throw reject(`${status} key ${keyId}`, 'errors.apiKeyInvalid');
+  }
+
+  // Only a correctly signed request may use up a nonce
+  const outcome = nonceStore.use(keyId, nonce);
+  if (outcome === 'reused') {
+    throw reject(`nonce reused by ${keyId}`, 'errors.nonceReused');
+  }
+  if (outcome === 'full') {
+    console.warn(`[${req.id}] Too many request signing nonces in flight; rejecting signed request`);
+    throw Errors.serviceUnavailable();
+  }
+
+  return key;
+}
+
+// =============================================================================
+// AUTH FAILURE MONITORING
+// =============================================================================
+
+// Maximum client IPs tracked at once (bounds memory during a distributed attack)
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Counts failed authentication attempts per client IP in a fixed window.
+ *
+ * When one client reaches AUTH_FAILURE_ALERT_THRESHOLD failures within
+ * AUTH_FAILURE_ALERT_WINDOW_MINUTES, an auth.repeated_failures webhook event
+ * is emitted (once per window), so brute-force attempts are noticed quickly.
+ */
+const authFailureMonitor = {
+  clients: new Map(),
+
+  /**
+   * Records one failure for a client.
+   *
+   * @param {string} ip - Client IP address
+   * @param {string} path - Path of the rejected request
+   */
+  record(ip, path) {
+    const now = Date.now();
+    let client = this.clients.get(ip);
+
+    if (!client || now - client.windowStart >= config.webhooks.authFailureWindowMs) {
+      client = { windowStart: now, failures: 0, alerted: false };
+    }
+
+    client.failures++;
+
+    // Re-insert so the Map stays ordered by most recent activity
+    this.clients.delete(ip);
+    this.clients.set(ip, client);
+    while (this.clients.size > MAX_TRACKED_CLIENTS) {
+      this.clients.delete(this.clients.keys().next().value);
+    }
+
+    if (client.failures >= config.webhooks.authFailureThreshold && !client.alerted) {
+      client.alerted = true;
+      console.warn(`Repeated authentication failures from IP: ${ip} (${client.failures} attempts)`);
+      emitEvent('auth.repeated_failures', {
+        ip,
+        failures: client.failures,
+        windowStart: new Date(client.windowStart).toISOString(),
+        windowMinutes: config.webhooks.authFailureWindowMs / 60000,
+        lastPath: path,
+      });
+    }
+  },
+};
+
+/**
+ * Records a failed authentication attempt for the request's client.
+ *
+ * @param {Object} req - Express request object
+ */
+function recordAuthFailure(req) {
+  authFailureMonitor.record(req.ip || 'unknown', req.originalUrl.split('?')[0]);
+}
+
 // =============================================================================
 // REQUEST ID MIDDLEWARE
 // =============================================================================
@@ -308,15 +771,104 @@ function getClientIp(req) {
   return req.ip || req.connection?.remoteAddress || 'unknown';
 }
 
+// =============================================================================
+// CLIENT IDENTITY
+// =============================================================================
+
+// Longest X-Client-Id accepted; longer values are ignored
+const MAX_CLIENT_ID_LENGTH = 128;
+
+/**
+ * Gets a stable identity for the calling client, used to keep its prompt
+ * experiment variant the same from one request to the next.
+ *
+ * In order of preference:
+ * 1. The X-Client-Id header - lets an app that shares one API key among
+ *    many end users keep each user on one variant
+ * 2. The authenticated key's id (req.apiKey) or token subject (req.user)
+ * 3. The API key as sent, when authentication is disabled (hashed - the
+ *    key itself is never kept)
+ * 4. The client IP address
+ *
+ * NOTE: This is not authentication. Clients can choose their X-Client-Id,
+ * and so their variant.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} Client identity
+ */
+function getClientIdentity(req) {
+  const clientId = typeof req.headers['x-client-id'] === 'string' ? req.headers['x-client-id'].trim() : '';
+  if (clientId && clientId.length <= MAX_CLIENT_ID_LENGTH) {
+    return `client:${clientId}`;
+  }
+
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+
+  if (req.user) {
+    return `user:${req.user.sub}`;
+  }
+
+  const apiKey = getProvidedApiKey(req);
+  if (typeof apiKey === 'string' && apiKey) {
+    return `key:${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+  }
+
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Gets the key rate limits are counted under: the authenticated API key or
+ * token subject (set by identifyCaller), or the client IP for requests
+ * without one.
+ *
+ * Unlike getClientIdentity, this never trusts X-Client-Id or an
+ * unverified key - clients must not be able to pick a fresh counter.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} Rate limit key, e.g. "key:key_3f9a1c2b7d4e", "user:auth0|5f7c" or "ip:203.0.113.7"
+ */
+function rateLimitKey(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+  return req.user ? `user:${req.user.sub}` : `ip:${req.ip}`;
+}
+
+/**
+ * Gets the authenticated caller: the API key or token subject set by
+ * identifyCaller / requireAuth. Conversations and jobs record it as their
+ * owner, and only that caller may read or delete them.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} e.g. "key:key_3f9a1c2b7d4e" or "user:auth0|5f7c", or null without authentication
+ */
+function getCallerId(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+  return req.user ? `user:${req.user.sub}` : null;
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
 
 module.exports = {
+  identifyCaller,
   apiKeyAuth,
+  jwtAuth,
+  requireAuth,
+  requireScope,
+  requireMethodScope,
   requestId,
   sanitizeInput,
   additionalSecurityHeaders,
   getClientIp,
+  getClientIdentity,
+  rateLimitKey,
+  getCallerId,
+  recordAuthFailure,
   timingSafeEqual, // Exported for testing
 };
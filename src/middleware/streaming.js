@@ -0,0 +1,170 @@
+/**
+ * =============================================================================
+ * STREAMING (SERVER-SENT EVENTS) HELPERS
+ * =============================================================================
+ *
+ * This module lets Claude-backed routes relay text to the client as it is
+ * generated, instead of making the client wait for the whole completion.
+ *
+ * Clients opt in with either:
+ * - An `Accept: text/event-stream` header
+ * - A `stream=true` query parameter or `"stream": true` in the JSON body
+ *
+ * EVENT FORMAT:
+ *   event: delta   data: { "text": "..." }            (zero or more)
+ *   event: done    data: { "success": true, ..., "metadata": { ... } }
+ *   event: error   data: { "success": false, "error": { ... } }
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Headers are only sent once the first event is ready, so validation and
+ *   circuit breaker errors still go through the normal JSON error handler
+ * - Upstream streams are aborted when the client disconnects (saves tokens)
+ * - Proxy buffering is disabled so events are delivered immediately
+ *
+ * =============================================================================
+ */
+
+const { streamMessage, buildResponseMetadata } = require('../services/claudeService');
+const { endpointName } = require('./validation');
+const { getCallerId } = require('./security');
+
+/**
+ * Checks whether the client asked for a streaming response.
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the response should be sent as Server-Sent Events
+ */
+function wantsEventStream(req) {
+  const streamParam = req.body?.stream ?? req.query.stream;
+
+  if (streamParam === true || streamParam === 'true' || streamParam === '1') {
+    return true;
+  }
+
+  const accept = req.headers.accept || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Writes a single Server-Sent Event.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Opens the event stream by sending the SSE response headers.
+ *
+ * @param {Object} res - Express response object
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  // Override the no-store header set globally; SSE clients expect no-cache
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable response buffering in nginx and similar proxies
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+}
+
+/**
+ * Sends a complete response as a single `done` event, for requests that
+ * asked for a stream but are answered without calling Claude.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendDoneEvent(res, data) {
+  openEventStream(res);
+  writeEvent(res, 'done', data);
+  res.end();
+}
+
+/**
+ * Streams a Claude completion to the client as Server-Sent Events.
+ *
+ * Errors raised before any event is written (validation, open circuit) are
+ * rethrown so asyncHandler can pass them to the global error handler.
+ * Errors after the stream has opened are sent as an `error` event.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} messageOptions - Options passed to streamMessage (requestId,
+ *   endpoint, deadline and callerId default to the request's)
+ * @param {Object} [doneFields] - Extra fields to include in the final `done` event
+ * @returns {Promise<void>}
+ */
+async function streamCompletion(req, res, messageOptions, doneFields = {}) {
+  const controller = new AbortController();
+  let opened = false;
+
+  // Stop generating (and paying for) tokens nobody will read
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  const ensureOpen = () => {
+    if (!opened) {
+      openEventStream(res);
+      opened = true;
+    }
+  };
+
+  try {
+    const response = await streamMessage({
+      requestId: req.id,
+      endpoint: endpointName(req),
+      deadline: req.deadline,
+      // Count the tokens toward the caller's daily quota
+      callerId: getCallerId(req),
+      ...messageOptions,
+      signal: controller.signal,
+      onText: (text) => {
+        ensureOpen();
+        writeEvent(res, 'delta', { text });
+      },
+    });
+
+    ensureOpen();
+    writeEvent(res, 'done', {
+      success: true,
+      ...doneFields,
+      metadata: buildResponseMetadata(response),
+    });
+    res.end();
+  } catch (error) {
+    // Client disconnected - nothing left to tell them
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    // Nothing sent yet, so a normal JSON error response is still possible
+    if (!opened) {
+      throw error;
+    }
+
+    console.error(`[${req.id}] Stream failed after partial response: ${error.message}`);
+    writeEvent(res, 'error', {
+      success: false,
+      error: {
+        message: error.message,
+        statusCode: error.statusCode || 502,
+      },
+    });
+    res.end();
+  }
+}
+
+module.exports = {
+  wantsEventStream,
+  sendDoneEvent,
+  streamCompletion,
+};
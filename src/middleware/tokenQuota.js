@@ -0,0 +1,68 @@
+/**
+ * =============================================================================
+ * TOKEN QUOTA MIDDLEWARE
+ * =============================================================================
+ *
+ * Enforces each caller's daily token quota (services/tokenQuota.js) on the
+ * routes that call Claude, and reports it alongside the request rate limits
+ * as a named policy in the standard RateLimit headers:
+ *
+ *   RateLimit-Policy: "general"; q=100; w=900; pk=:...:,
+ *                     "claude"; q=30; w=900; pk=:...:,
+ *                     "daily-tokens"; q=200000; w=86400
+ *   RateLimit: "general"; r=97; t=840, "claude"; r=28; t=840,
+ *              "daily-tokens"; r=154321; t=36000
+ *
+ * `r` is the number of tokens left today and `t` the seconds until the
+ * quota resets (UTC midnight). Once `r` reaches 0, requests get a 429 with
+ * a Retry-After header.
+ *
+ * API keys and token subjects (AUTH_MODE=jwt) each have their own quota.
+ * Callers without a quota, and anonymous requests, get no daily-tokens
+ * policy.
+ *
+ * =============================================================================
+ */
+
+const { effectiveLimits } = require('../services/apiKeyStore');
+const { getKeyQuota, tokenQuotaExceededError } = require('../services/tokenQuota');
+const { getCallerId } = require('./security');
+
+// Policy name in the RateLimit headers
+const POLICY_NAME = 'daily-tokens';
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Rejects requests from callers that have used today's token quota, and
+ * adds the quota to the RateLimit headers. Must run after authentication.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function enforceTokenQuota(req, res, next) {
+  const { dailyTokens } = effectiveLimits(req.apiKey || req.user);
+  if (!dailyTokens) {
+    return next();
+  }
+
+  const callerId = getCallerId(req);
+  const quota = getKeyQuota(callerId, dailyTokens);
+  const resetSeconds = Math.max(0, Math.ceil((quota.resetsAt.getTime() - Date.now()) / 1000));
+
+  if (!res.headersSent) {
+    res.append('RateLimit-Policy', `"${POLICY_NAME}"; q=${quota.limit}; w=${DAY_SECONDS}`);
+    res.append('RateLimit', `"${POLICY_NAME}"; r=${quota.remaining}; t=${resetSeconds}`);
+  }
+
+  if (quota.remaining <= 0) {
+    console.warn(`[${req.id}] ${callerId} has used its daily token quota (${quota.used}/${quota.limit})`);
+    throw tokenQuotaExceededError(quota);
+  }
+
+  next();
+}
+
+module.exports = {
+  enforceTokenQuota,
+};
@@ -13,12 +13,39 @@
  * - Clear, user-friendly error messages
  * - Sanitization of user input
  * - Type coercion for query parameters
+ * - Messages in the client's language (see services/i18n.js)
  *
  * =============================================================================
  */
 
 const { body, query, validationResult } = require('express-validator');
 const { config } = require('../config');
+const { getClientIdentity, getCallerId } = require('./security');
+const {
+  SUPPORTED_LOCALES,
+  matchLocale,
+  resolveLocale,
+  translate,
+  translateFor,
+  canonicalEmotion,
+  localizedEmotionNames,
+} = require('../services/i18n');
+
+/**
+ * Builds a validation message function that translates a catalog key into
+ * the request's language (express-validator calls it with the request).
+ *
+ * @param {string} key - Catalog key, e.g. "validation.maxTokens"
+ * @param {Object|Function} [params] - Placeholder values, or a function of
+ *   the request's locale returning them
+ * @returns {Function} Message function for withMessage()
+ */
+function localized(key, params = {}) {
+  return (value, { req }) => {
+    const locale = resolveLocale(req);
+    return translate(locale, key, typeof params === 'function' ? params(locale) : params);
+  };
+}
 
 /**
  * Middleware to handle validation results.
@@ -48,7 +75,7 @@ function handleValidationErrors(req, res, next) {
   // Return 400 Bad Request with error details
   return res.status(400).json({
     success: false,
-    error: 'Validation failed',
+    error: translateFor(req, 'validation.failed'),
     details: formattedErrors,
   });
 }
@@ -64,50 +91,50 @@ const validateModelQuery = query('model')
   .isString()
   .trim()
   .isIn(config.anthropic.validModels)
-  .withMessage(`Model must be one of: ${config.anthropic.validModels.join(', ')}`);
+  .withMessage(localized('validation.model', { models: config.anthropic.validModels.join(', ') }));
 
 const validateModelBody = body('model')
   .optional()
   .isString()
   .trim()
   .isIn(config.anthropic.validModels)
-  .withMessage(`Model must be one of: ${config.anthropic.validModels.join(', ')}`);
+  .withMessage(localized('validation.model', { models: config.anthropic.validModels.join(', ') }));
 
 // Validate maxTokens parameter (optional)
 const validateMaxTokensQuery = query('maxTokens')
   .optional()
   .isInt({ min: 1, max: 8192 })
-  .withMessage('maxTokens must be an integer between 1 and 8192')
+  .withMessage(localized('validation.maxTokens', { min: 1, max: 8192 }))
   .toInt(); // Convert string to integer
 
 const validateMaxTokensBody = body('maxTokens')
   .optional()
   .isInt({ min: 1, max: 8192 })
-  .withMessage('maxTokens must be an integer between 1 and 8192')
+  .withMessage(localized('validation.maxTokens', { min: 1, max: 8192 }))
   .toInt();
 
 // Validate temperature parameter (optional)
 const validateTemperatureQuery = query('temperature')
   .optional()
   .isFloat({ min: 0, max: 1 })
-  .withMessage('temperature must be a number between 0 and 1')
+  .withMessage(localized('validation.temperature', { min: 0, max: 1 }))
   .toFloat(); // Convert string to float
 
 const validateTemperatureBody = body('temperature')
   .optional()
   .isFloat({ min: 0, max: 1 })
-  .withMessage('temperature must be a number between 0 and 1')
+  .withMessage(localized('validation.temperature', { min: 0, max: 1 }))
   .toFloat();
 
 // Validate prompt/message in POST body (required for custom prompts)
 const validatePromptBody = body('prompt')
   .exists({ checkFalsy: true })
-  .withMessage('prompt is required')
+  .withMessage(localized('validation.promptRequired'))
   .isString()
-  .withMessage('prompt must be a string')
+  .withMessage(localized('validation.promptString'))
   .trim()
   .isLength({ min: 1, max: 10000 })
-  .withMessage('prompt must be between 1 and 10000 characters');
+  .withMessage(localized('validation.promptLength', { min: 1, max: 10000 }));
 
 // Validate optional context/topic parameter
 const validateContextQuery = query('context')
@@ -115,7 +142,7 @@ const validateContextQuery = query('context')
   .isString()
   .trim()
   .isLength({ max: 500 })
-  .withMessage('context must be at most 500 characters')
+  .withMessage(localized('validation.contextLength', { max: 500 }))
   .escape(); // Sanitize to prevent XSS
 
 const validateContextBody = body('context')
@@ -123,26 +150,47 @@ const validateContextBody = body('context')
   .isString()
   .trim()
   .isLength({ max: 500 })
-  .withMessage('context must be at most 500 characters');
+  .withMessage(localized('validation.contextLength', { max: 500 }));
 
 // Validate emotion/mood parameter
 const validEmotions = ['happy', 'sad', 'anxious', 'angry', 'stressed', 'lonely', 'excited', 'neutral'];
 
+// Localized names ("triste", "traurig", "悲しい") are mapped to these first;
+// the error message lists the names in the client's language
+const emotionMessage = localized('validation.emotion', (locale) => ({
+  emotions: localizedEmotionNames(locale, validEmotions).join(', '),
+}));
+
 const validateEmotionQuery = query('emotion')
   .optional()
   .isString()
   .trim()
   .toLowerCase()
+  .customSanitizer(canonicalEmotion)
   .isIn(validEmotions)
-  .withMessage(`emotion must be one of: ${validEmotions.join(', ')}`);
+  .withMessage(emotionMessage);
 
 const validateEmotionBody = body('emotion')
   .optional()
   .isString()
   .trim()
   .toLowerCase()
+  .customSanitizer(canonicalEmotion)
   .isIn(validEmotions)
-  .withMessage(`emotion must be one of: ${validEmotions.join(', ')}`);
+  .withMessage(emotionMessage);
+
+// Validate language parameter (optional; region subtags like es-MX are accepted)
+const langMessage = localized('validation.lang', { locales: SUPPORTED_LOCALES.join(', ') });
+
+const validateLangQuery = query('lang')
+  .optional()
+  .custom((value) => matchLocale(value) !== null)
+  .withMessage(langMessage);
+
+const validateLangBody = body('lang')
+  .optional()
+  .custom((value) => matchLocale(value) !== null)
+  .withMessage(langMessage);
 
 /**
  * Pre-built validation chains for common endpoint types.
@@ -156,6 +204,7 @@ const validateGetParams = [
   validateTemperatureQuery,
   validateContextQuery,
   validateEmotionQuery,
+  validateLangQuery,
   handleValidationErrors,
 ];
 
@@ -166,6 +215,7 @@ const validatePostParams = [
   validateTemperatureBody,
   validateContextBody,
   validateEmotionBody,
+  validateLangBody,
   handleValidationErrors,
 ];
 
@@ -175,6 +225,7 @@ const validatePostWithPrompt = [
   validateModelBody,
   validateMaxTokensBody,
   validateTemperatureBody,
+  validateLangBody,
   handleValidationErrors,
 ];
 
@@ -199,9 +250,48 @@ function extractParams(req) {
     context: params.context || null,
     emotion: params.emotion || null,
     prompt: params.prompt || null,
+    // Honor standard cache directives: skip the response cache on request
+    noCache: wantsFreshResponse(req),
+    // Request tracking (not user-supplied) for logs and usage breakdowns
+    requestId: req.id,
+    endpoint: endpointName(req),
+    // When the HTTP request times out; retries must finish before this
+    deadline: req.deadline,
+    // Aborts in-flight Claude calls (set for async jobs, which can be cancelled)
+    signal: req.signal,
+    // Who is calling, for sticky prompt experiment assignment
+    clientKey: getClientIdentity(req),
+    // Authenticated API key or token subject, for daily token quotas and usage breakdowns
+    callerId: getCallerId(req),
+    // Language for the reply (lang parameter, then Accept-Language)
+    locale: resolveLocale(req),
   };
 }
 
+/**
+ * Gets a stable name for the matched route, e.g. "GET /api/emotions/support".
+ * Uses the route pattern rather than the URL so IDs and query strings
+ * don't split usage statistics.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} Route name
+ */
+function endpointName(req) {
+  const routePath = req.route?.path ?? req.path;
+  return `${req.method} ${req.baseUrl}${routePath}`;
+}
+
+/**
+ * Checks whether the client asked to bypass the response cache.
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if Cache-Control or Pragma contains no-cache/no-store
+ */
+function wantsFreshResponse(req) {
+  const directives = `${req.headers['cache-control'] || ''} ${req.headers.pragma || ''}`;
+  return /no-cache|no-store/i.test(directives);
+}
+
 // Export validation middleware and helpers
 module.exports = {
   handleValidationErrors,
@@ -209,6 +299,7 @@ module.exports = {
   validatePostParams,
   validatePostWithPrompt,
   extractParams,
+  endpointName,
   validEmotions,
   // Export individual validators for custom combinations
   validators: {
@@ -223,5 +314,7 @@ module.exports = {
     contextBody: validateContextBody,
     emotionQuery: validateEmotionQuery,
     emotionBody: validateEmotionBody,
+    langQuery: validateLangQuery,
+    langBody: validateLangBody,
   },
 };
@@ -0,0 +1,441 @@
+/**
+ * =============================================================================
+ * ADMIN ROUTES
+ * =============================================================================
+ *
+ * Operational endpoints for the people running the API.
+ *
+ * Endpoints:
+ * - GET    /api/admin/webhooks            - Subscriptions and delivery counters
+ * - GET    /api/admin/webhooks/deliveries - Recent deliveries with every attempt
+ * - POST   /api/admin/webhooks/test       - Send a webhook.test event
+ * - GET    /api/admin/keys                - List API keys
+ * - POST   /api/admin/keys                - Create a key (secret returned once)
+ * - GET    /api/admin/keys/:id            - One key
+ * - POST   /api/admin/keys/:id/rotate     - New secret, old one kept for a grace period
+ * - POST   /api/admin/keys/:id/limits     - Per-key rate limits and daily token quota
+ * - POST   /api/admin/keys/:id/disable    - Reject the key until re-enabled
+ * - POST   /api/admin/keys/:id/enable     - Accept a disabled key again
+ * - DELETE /api/admin/keys/:id            - Delete a key for good
+ * - GET    /api/admin/audit               - Who did what, newest first
+ *
+ * SECURITY: Mounted behind API key authentication and the `admin` scope.
+ * Like /api/stats, these reveal operational details - enable
+ * REQUIRE_API_KEY in production. Subscription secrets and key hashes are
+ * never returned, and every action that changes something is written to
+ * the audit log (services/auditLog.js).
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { config, MAX_KEY_ROTATION_GRACE_SECONDS } = require('../config');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  API_KEY_SCOPES,
+  API_KEY_LIMITS,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  rotateApiKey,
+  setApiKeyEnabled,
+  setApiKeyLimits,
+  deleteApiKey,
+  validateKeyLimits,
+  effectiveLimits,
+} = require('../services/apiKeyStore');
+const { AUDIT_ACTIONS, recordAdminAction, readAuditLog } = require('../services/auditLog');
+const {
+  EVENT_TYPES,
+  emitEvent,
+  getDeliveries,
+  listSubscriptions,
+  getWebhookStats,
+} = require('../services/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Sends a 400 response in the same format as the validation middleware.
+ *
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} errors - { field, message } problems
+ */
+function sendValidationErrors(res, errors) {
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors,
+  });
+}
+
+/**
+ * Checks the `limits` of a request body.
+ *
+ * @param {*} limits - Limits from the body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowNull=false] - Accept null values (reset to the default)
+ * @returns {Array<Object>} { field, message } problems
+ */
+function limitErrors(limits, { allowNull = false } = {}) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return [{ field: 'limits', message: `limits must be an object with any of: ${API_KEY_LIMITS.join(', ')}` }];
+  }
+
+  const checked = Object.fromEntries(Object.entries(limits).filter(([, value]) => !(allowNull && value === null)));
+  return validateKeyLimits(checked).map((message) => ({ field: 'limits', message: message.replace(/"/g, '') }));
+}
+
+/**
+ * Sends a 404 response for an unknown key id.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} id - Key id from the URL
+ */
+function sendKeyNotFound(res, id) {
+  res.status(404).json({
+    success: false,
+    error: `API key ${id} not found`,
+  });
+}
+
+/**
+ * GET /api/admin/webhooks
+ *
+ * Lists configured subscriptions (without secrets), the events they can
+ * subscribe to and delivery counters.
+ */
+router.get('/webhooks', (req, res) => {
+  res.json({
+    success: true,
+    subscriptions: listSubscriptions(),
+    eventTypes: EVENT_TYPES,
+    stats: getWebhookStats(),
+  });
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ *
+ * Lists recent deliveries, newest first, with the payload and the outcome
+ * of every attempt. Only the last WEBHOOK_DELIVERY_LOG_SIZE are kept.
+ *
+ * Query Parameters (all optional):
+ * - status: pending, delivered or failed
+ * - event: Event type, e.g. circuit.open
+ * - limit: Maximum deliveries to return (default 50)
+ *
+ * Example: GET /api/admin/webhooks/deliveries?status=failed
+ */
+router.get('/webhooks/deliveries', (req, res) => {
+  const { status, event } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  const errors = [];
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    errors.push({ field: 'status', message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  if (event !== undefined && !EVENT_TYPES.includes(event)) {
+    errors.push({ field: 'event', message: `event must be one of: ${EVENT_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > config.webhooks.deliveryLogSize) {
+    errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${config.webhooks.deliveryLogSize}` });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors,
+    });
+  }
+
+  const deliveries = getDeliveries({ status, event, limit });
+
+  res.json({
+    success: true,
+    count: deliveries.length,
+    deliveries,
+  });
+});
+
+/**
+ * POST /api/admin/webhooks/test
+ *
+ * Sends a webhook.test event to every subscription, whatever events it
+ * lists. Use it to check a receiver's URL and signature verification.
+ * Returns 202: delivery happens in the background - poll the deliveries
+ * endpoint for the outcome.
+ */
+router.post('/webhooks/test', (req, res) => {
+  const deliveries = emitEvent('webhook.test', {
+    message: 'Test event from the Claude Emotions API',
+    requestId: req.id,
+  }, { allSubscriptions: true });
+
+  if (deliveries.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No webhook subscriptions are configured (WEBHOOK_SUBSCRIPTIONS)',
+    });
+  }
+
+  recordAdminAction(req, 'webhook.test', { details: { deliveries: deliveries.length } });
+
+  res.status(202).json({
+    success: true,
+    deliveries: deliveries.map(({ id, eventId, subscriptionId, url }) => ({ id, eventId, subscriptionId, url })),
+  });
+});
+
+// =============================================================================
+// API KEYS
+// =============================================================================
+
+/**
+ * GET /api/admin/keys
+ *
+ * Lists every key in the key store (API_KEYS_PATH) without secrets or
+ * hashes. The API_KEY environment variable isn't listed: it can't be
+ * managed from here.
+ */
+router.get('/keys', (req, res) => {
+  const keys = listApiKeys();
+
+  res.json({
+    success: true,
+    count: keys.length,
+    keys,
+    scopes: API_KEY_SCOPES,
+    limits: API_KEY_LIMITS,
+  });
+});
+
+/**
+ * POST /api/admin/keys
+ *
+ * Creates a key. The response is the only time the full key is shown.
+ *
+ * Request Body:
+ * - label: Who or what the key is for (required, max 100 chars)
+ * - scopes: Array of scopes (required, see GET /api/admin/keys)
+ * - expiresAt: ISO 8601 expiry in the future (optional; default never)
+ * - limits: Overrides of the default limits (optional), any of
+ *   requestsPerWindow, claudeRequestsPerWindow, dailyTokens (0 = unlimited)
+ *
+ * Example:
+ *   { "label": "Mobile app", "scopes": ["emotions:read", "emotions:write"], "expiresAt": "2027-01-01",
+ *     "limits": { "dailyTokens": 500000 } }
+ */
+router.post('/keys', (req, res) => {
+  const { label, scopes, expiresAt, limits } = req.body || {};
+
+  const errors = [];
+  if (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH) {
+    errors.push({ field: 'label', message: `label is required (max ${MAX_LABEL_LENGTH} characters)` });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    errors.push({ field: 'scopes', message: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` });
+  }
+  if (expiresAt != null && (typeof expiresAt !== 'string' || !(Date.parse(expiresAt) > Date.now()))) {
+    errors.push({ field: 'expiresAt', message: 'expiresAt must be an ISO 8601 date in the future' });
+  }
+  if (limits != null) {
+    errors.push(...limitErrors(limits));
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const { key, secret } = createApiKey({ label, scopes, expiresAt, limits });
+  recordAdminAction(req, 'key.create', {
+    target: key.id,
+    details: { label: key.label, scopes: key.scopes, expiresAt: key.expiresAt, limits: key.limits || null },
+  });
+
+  res.status(201).json({
+    success: true,
+    key,
+    secret,
+    notice: 'Store this key now. It will not be shown again.',
+  });
+});
+
+/**
+ * GET /api/admin/keys/:id
+ *
+ * One key, without its secret or hash.
+ */
+router.get('/keys/:id', (req, res) => {
+  const key = getApiKey(req.params.id);
+  if (!key) {
+    return sendKeyNotFound(res, req.params.id);
+  }
+
+  res.json({ success: true, key });
+});
+
+/**
+ * POST /api/admin/keys/:id/rotate
+ *
+ * Gives the key a new secret, keeping its id, label and scopes. The old
+ * secret keeps working for the grace period so clients can switch over;
+ * /api/validate tells a client when it is still using the old one.
+ *
+ * Request Body:
+ * - graceSeconds: How long the old secret keeps working (optional;
+ *   default API_KEY_ROTATION_GRACE_SECONDS; 0 retires it immediately)
+ */
+router.post('/keys/:id/rotate', (req, res) => {
+  const { graceSeconds = config.security.keyRotationGraceSeconds } = req.body || {};
+
+  if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > MAX_KEY_ROTATION_GRACE_SECONDS) {
+    return sendValidationErrors(res, [{
+      field: 'graceSeconds',
+      message: `graceSeconds must be an integer between 0 and ${MAX_KEY_ROTATION_GRACE_SECONDS}`,
+    }]);
+  }
+
+  const rotated = rotateApiKey(req.params.id, graceSeconds);
+  if (!rotated) {
+    return sendKeyNotFound(res, req.params.id);
+  }
+
+  recordAdminAction(req, 'key.rotate', { target: req.params.id, details: { graceSeconds } });
+
+  res.json({
+    success: true,
+    key: rotated.key,
+    secret: rotated.secret,
+    notice: 'Store this key now. It will not be shown again.',
+  });
+});
+
+/**
+ * POST /api/admin/keys/:id/limits
+ *
+ * Changes the key's own rate limits and daily token quota. Limits not in
+ * the body are kept; null goes back to the default. Takes effect on the
+ * key's next request (requests already counted in the current window
+ * still count).
+ *
+ * Request Body (any of):
+ * - requestsPerWindow: Requests per RATE_LIMIT_WINDOW_MINUTES
+ * - claudeRequestsPerWindow: Claude requests per CLAUDE_API_RATE_LIMIT_WINDOW_MINUTES
+ * - dailyTokens: Input + output tokens per UTC day (0 = unlimited)
+ *
+ * Example:
+ *   { "claudeRequestsPerWindow": 120, "dailyTokens": 2000000 }
+ *
+ * Returns the key with its overrides (`key.limits`) and the limits now in
+ * effect (`effectiveLimits`).
+ */
+router.post('/keys/:id/limits', (req, res) => {
+  const changes = req.body || {};
+
+  const errors = limitErrors(changes, { allowNull: true });
+  if (errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push({ field: 'limits', message: `Set at least one of: ${API_KEY_LIMITS.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const key = setApiKeyLimits(req.params.id, changes);
+  if (!key) {
+    return sendKeyNotFound(res, req.params.id);
+  }
+
+  recordAdminAction(req, 'key.limits', { target: key.id, details: changes });
+
+  res.json({ success: true, key, effectiveLimits: effectiveLimits(key) });
+});
+
+/**
+ * POST /api/admin/keys/:id/disable
+ * POST /api/admin/keys/:id/enable
+ *
+ * Disabled keys are rejected (401) until enabled again. Unlike deleting,
+ * this is reversible and keeps the key's id in logs meaningful.
+ */
+for (const [action, enabled] of [['disable', false], ['enable', true]]) {
+  router.post(`/keys/:id/${action}`, (req, res) => {
+    const key = setApiKeyEnabled(req.params.id, enabled);
+    if (!key) {
+      return sendKeyNotFound(res, req.params.id);
+    }
+
+    recordAdminAction(req, `key.${action}`, { target: key.id });
+
+    res.json({ success: true, key });
+  });
+}
+
+/**
+ * DELETE /api/admin/keys/:id
+ *
+ * Deletes a key for good. Clients using it get 401 straight away.
+ */
+router.delete('/keys/:id', (req, res) => {
+  if (!deleteApiKey(req.params.id)) {
+    return sendKeyNotFound(res, req.params.id);
+  }
+
+  recordAdminAction(req, 'key.delete', { target: req.params.id });
+
+  res.json({ success: true, deleted: req.params.id });
+});
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+
+/**
+ * GET /api/admin/audit
+ *
+ * Admin actions, newest first, with who did them (key id, label and IP)
+ * and when.
+ *
+ * Query Parameters (all optional):
+ * - action: e.g. key.rotate
+ * - target: e.g. a key id
+ * - limit: Maximum entries to return (default 50, max 500)
+ *
+ * Example: GET /api/admin/audit?target=key_3f9a1c2b7d4e
+ */
+router.get('/audit', asyncHandler(async (req, res) => {
+  const { action, target } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  const errors = [];
+  if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+    errors.push({ field: 'action', message: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+  }
+  if (target !== undefined && typeof target !== 'string') {
+    errors.push({ field: 'target', message: 'target must be a string' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_ENTRIES) {
+    errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_AUDIT_ENTRIES}` });
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const entries = await readAuditLog({ action, target, limit });
+
+  res.json({
+    success: true,
+    count: entries.length,
+    entries,
+  });
+}));
+
+// Export the router
+module.exports = router;
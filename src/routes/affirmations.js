@@ -12,53 +12,44 @@
  * - Input validation and sanitization
  * - Defensive programming with try-catch
  * - Consistent response formatting
- * - System prompts for consistent AI behavior
+ * - Versioned prompt templates for consistent AI behavior
+ * - Crisis screening before any persona (especially the sarcastic one) runs
+ * - Output moderation of negative affirmations before they reach the client
  *
  * =============================================================================
  */
 
 const express = require('express');
 const router = express.Router();
-const { promptWithSystem } = require('../services/claudeService');
+const { promptWithSystem, buildResponseMetadata } = require('../services/claudeService');
+const { renderPrompt, requirePromptTemplates } = require('../services/promptRegistry');
+const { sendModeratedMessage } = require('../services/moderation');
+const { translateFor } = require('../services/i18n');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { screenForCrisis } = require('../middleware/safety');
 const { validateGetParams, validatePostParams, extractParams } = require('../middleware/validation');
 
 /**
- * System prompts define Claude's behavior for each endpoint.
- * These are carefully crafted to produce consistent, appropriate responses.
+ * Prompt templates used by each endpoint (see src/prompts).
  *
- * IMPORTANT: System prompts are crucial for:
+ * IMPORTANT: The system prompts are crucial for:
  * - Setting the tone and style of responses
  * - Constraining Claude to appropriate content
  * - Ensuring consistent output format
+ *
+ * They live in versioned template files so their wording can be tuned
+ * without a code change; the version used is reported in each response.
  */
-const SYSTEM_PROMPTS = {
-  positiveAffirmation: `You are a supportive, warm, and encouraging life coach.
-Your task is to generate ONE positive affirmation that is:
-- Uplifting and empowering
-- Personal and relatable
-- Focused on self-worth, growth, or resilience
-- Written in first person (starting with "I am", "I can", "I have", etc.)
-
-If a context or emotion is provided, tailor the affirmation to that specific situation.
-Respond with ONLY the affirmation itself - no explanations, no quotation marks, no preamble.`,
-
-  negativeAffirmation: `You are a dry, sarcastic comedian who gives hilariously pessimistic "affirmations."
-Your task is to generate ONE humorous negative affirmation that is:
-- Darkly funny but never cruel or truly harmful
-- Self-deprecating in a relatable way
-- Written in first or second person
-- Clearly satirical and over-the-top
+const TEMPLATES = {
+  positiveAffirmation: 'positive-affirmation',
+  negativeAffirmation: 'negative-affirmation',
+};
 
-Examples of the tone:
-- "You should probably just go back to bed."
-- "Your potential is limited, and that's okay."
-- "Today is a great day to lower your expectations."
-- "Embrace mediocrity - it's less work."
+requirePromptTemplates(Object.values(TEMPLATES));
 
-If a context is provided, make it relevant but keep it lighthearted.
-Respond with ONLY the affirmation itself - no explanations, no quotation marks, no preamble.`,
-};
+// Answer crisis language with hotlines instead of an affirmation
+// (see middleware/safety.js)
+router.use(screenForCrisis);
 
 // =============================================================================
 // POSITIVE AFFIRMATION ENDPOINTS
@@ -83,24 +74,16 @@ router.get(
   validateGetParams, // Apply validation middleware
   asyncHandler(async (req, res) => {
     // Extract and validate parameters from the request
-    const { model, maxTokens, temperature, context, emotion } = extractParams(req);
+    const { model, maxTokens, temperature, context, emotion, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
     // Build a contextual prompt if context/emotion provided
-    let userPrompt = 'Generate a positive affirmation.';
-
-    if (emotion) {
-      userPrompt = `Generate a positive affirmation for someone feeling ${emotion}.`;
-    }
-
-    if (context) {
-      userPrompt += ` Context: ${context}`;
-    }
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.positiveAffirmation, { emotion, context }, { clientKey, locale });
 
     // Call Claude API with system prompt for consistent behavior
     const response = await promptWithSystem(
-      SYSTEM_PROMPTS.positiveAffirmation,
+      systemPrompt,
       userPrompt,
-      { model, maxTokens, temperature }
+      { model, maxTokens, temperature, noCache, requestId, endpoint, deadline, signal, callerId, template }
     );
 
     // Return standardized success response
@@ -108,13 +91,7 @@ router.get(
       success: true,
       type: 'positive',
       affirmation: response.content,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
       // Include request params in response for debugging/transparency
       requestParams: {
         emotion: emotion || null,
@@ -149,24 +126,16 @@ router.post(
   validatePostParams, // Apply validation middleware for POST body
   asyncHandler(async (req, res) => {
     // Extract parameters (same logic works for both query and body)
-    const { model, maxTokens, temperature, context, emotion } = extractParams(req);
+    const { model, maxTokens, temperature, context, emotion, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
     // Build contextual prompt
-    let userPrompt = 'Generate a positive affirmation.';
-
-    if (emotion) {
-      userPrompt = `Generate a positive affirmation for someone feeling ${emotion}.`;
-    }
-
-    if (context) {
-      userPrompt += ` Context: ${context}`;
-    }
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.positiveAffirmation, { emotion, context }, { clientKey, locale });
 
     // Call Claude API
     const response = await promptWithSystem(
-      SYSTEM_PROMPTS.positiveAffirmation,
+      systemPrompt,
       userPrompt,
-      { model, maxTokens, temperature }
+      { model, maxTokens, temperature, noCache, requestId, endpoint, deadline, signal, callerId, template }
     );
 
     // Return success response
@@ -174,13 +143,7 @@ router.post(
       success: true,
       type: 'positive',
       affirmation: response.content,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
       requestParams: {
         emotion: emotion || null,
         context: context || null,
@@ -197,7 +160,9 @@ router.post(
  * GET /api/affirmations/negative
  *
  * Returns a humorous "negative" affirmation from Claude.
- * These are meant to be funny and self-deprecating, not genuinely harmful.
+ * These are meant to be funny and self-deprecating, not genuinely harmful;
+ * output moderation (services/moderation.js) rejects and regenerates any
+ * reply that isn't. `metadata.moderation` reports the attempts.
  *
  * Query Parameters (all optional):
  * - context: Topic for the humor (e.g., "monday morning")
@@ -211,40 +176,31 @@ router.get(
   '/negative',
   validateGetParams,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, context } = extractParams(req);
+    const { model, maxTokens, temperature, context, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
     // Build prompt with optional context
-    let userPrompt = 'Generate a humorous negative affirmation.';
-
-    if (context) {
-      userPrompt = `Generate a humorous negative affirmation about: ${context}`;
-    }
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.negativeAffirmation, { context }, { clientKey, locale });
 
     // Higher default temperature for more creative/funny responses
     const actualTemperature = temperature ?? 0.9;
 
-    const response = await promptWithSystem(
-      SYSTEM_PROMPTS.negativeAffirmation,
-      userPrompt,
-      { model, maxTokens, temperature: actualTemperature }
-    );
+    // Moderated: cruel or harmful replies are regenerated, never returned
+    const response = await sendModeratedMessage({
+      systemPrompt,
+      prompt: userPrompt,
+      model, maxTokens, temperature: actualTemperature, noCache, requestId, endpoint, deadline, signal, callerId, template,
+    });
 
     res.json({
       success: true,
       type: 'negative',
       affirmation: response.content,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
       requestParams: {
         context: context || null,
       },
       // Add a disclaimer since these are meant to be humorous
-      disclaimer: 'This is a humorous affirmation meant for entertainment purposes only.',
+      disclaimer: translateFor(req, 'affirmations.disclaimer'),
     });
   })
 );
@@ -264,37 +220,28 @@ router.post(
   '/negative',
   validatePostParams,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, context } = extractParams(req);
-
-    let userPrompt = 'Generate a humorous negative affirmation.';
+    const { model, maxTokens, temperature, context, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
-    if (context) {
-      userPrompt = `Generate a humorous negative affirmation about: ${context}`;
-    }
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.negativeAffirmation, { context }, { clientKey, locale });
 
     const actualTemperature = temperature ?? 0.9;
 
-    const response = await promptWithSystem(
-      SYSTEM_PROMPTS.negativeAffirmation,
-      userPrompt,
-      { model, maxTokens, temperature: actualTemperature }
-    );
+    // Moderated: cruel or harmful replies are regenerated, never returned
+    const response = await sendModeratedMessage({
+      systemPrompt,
+      prompt: userPrompt,
+      model, maxTokens, temperature: actualTemperature, noCache, requestId, endpoint, deadline, signal, callerId, template,
+    });
 
     res.json({
       success: true,
       type: 'negative',
       affirmation: response.content,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
       requestParams: {
         context: context || null,
       },
-      disclaimer: 'This is a humorous affirmation meant for entertainment purposes only.',
+      disclaimer: translateFor(req, 'affirmations.disclaimer'),
     });
   })
 );
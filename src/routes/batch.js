@@ -0,0 +1,217 @@
+/**
+ * =============================================================================
+ * BATCH ROUTE
+ * =============================================================================
+ *
+ * POST /api/batch runs several affirmation/emotion requests in one HTTP
+ * round trip - e.g. a mobile app fetching an affirmation, a quote, a wellness
+ * tip and mood support on launch.
+ *
+ * Each sub-request is dispatched in-process through the real route stack:
+ * the Claude API rate limiter, the route's validation and the same handler
+ * (and so the same sendMessage path) as a standalone request. Results come
+ * back in the order they were requested, each with its own status code.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - One code path: batch items behave exactly like standalone requests
+ * - Bounded parallelism (BATCH_CONCURRENCY) and batch size (BATCH_MAX_SIZE)
+ * - Every sub-request counts against the Claude API rate limit
+ * - Partial failure: one failed item doesn't fail the whole batch
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+const { config } = require('../config');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createSubRequest, dispatchRequest } = require('../middleware/dispatch');
+const { resolveLocale, translate } = require('../services/i18n');
+
+// Only these routes may be called from a batch
+const BATCHABLE_PREFIXES = ['/api/affirmations/', '/api/emotions/'];
+const BATCHABLE_METHODS = ['GET', 'POST'];
+
+/**
+ * Checks the shape of one sub-request.
+ *
+ * @param {*} item - Sub-request from the batch body
+ * @param {string} locale - Locale for the error message
+ * @returns {string|null} Error message, or null if the item is well-formed
+ */
+function validateItem(item, locale) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return translate(locale, 'validation.batchItem');
+  }
+
+  const method = String(item.method || 'GET').toUpperCase();
+  if (!BATCHABLE_METHODS.includes(method)) {
+    return translate(locale, 'validation.batchMethod', { methods: BATCHABLE_METHODS.join(', ') });
+  }
+
+  if (typeof item.path !== 'string' || item.path.includes('?') ||
+      !BATCHABLE_PREFIXES.some((prefix) => item.path.startsWith(prefix))) {
+    return translate(locale, 'validation.batchPath', { prefixes: BATCHABLE_PREFIXES.join(', ') });
+  }
+
+  if (item.params !== undefined && (typeof item.params !== 'object' || item.params === null || Array.isArray(item.params))) {
+    return translate(locale, 'validation.batchParams');
+  }
+
+  return null;
+}
+
+/**
+ * Runs one sub-request through the target router.
+ *
+ * The sub-request inherits everything from the batch request (client IP,
+ * auth, headers, deadline) except what identifies the route and its input.
+ *
+ * @param {Object} req - The batch request
+ * @param {Function} targetRouter - Router holding the batchable routes
+ * @param {Object} item - Validated sub-request
+ * @param {number} index - Position in the batch
+ * @returns {Promise<CapturedResponse>} Captured response
+ */
+function dispatchItem(req, targetRouter, item, index) {
+  const method = String(item.method || 'GET').toUpperCase();
+  const params = item.params || {};
+
+  // Batch items always get JSON back - never an event stream or an async job
+  const headers = { ...req.headers, accept: 'application/json' };
+  delete headers.prefer;
+
+  const subReq = createSubRequest(req, {
+    id: `${req.id}_${index}`,
+    method,
+    url: item.path.slice('/api'.length),
+    originalUrl: item.path,
+    baseUrl: '/api',
+    params: {},
+    // GET parameters arrive as strings, exactly like a real query string
+    query: method === 'GET'
+      ? Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)]))
+      : {},
+    body: method === 'POST' ? { ...params } : {},
+    headers,
+  });
+  delete subReq.body.stream;
+  delete subReq.query.stream;
+
+  return dispatchRequest(targetRouter, subReq);
+}
+
+/**
+ * Runs async tasks with at most `limit` running at once, preserving order.
+ *
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit - Maximum concurrent tasks
+ * @returns {Promise<Array>} Results in task order
+ */
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+/**
+ * Creates the batch router.
+ *
+ * @param {Function} targetRouter - Router with the Claude API rate limiter and
+ *   the batchable routes, mounted as they are under /api
+ * @returns {Object} Express router for /api/batch
+ */
+function createBatchRouter(targetRouter) {
+  const router = express.Router();
+
+  /**
+   * POST /api/batch
+   *
+   * Request Body:
+   * - requests: (required) Array of sub-requests, each with:
+   *   - method: "GET" or "POST" (defaults to GET)
+   *   - path: Route to call, e.g. "/api/affirmations/positive"
+   *   - params: (optional) Query parameters (GET) or body fields (POST)
+   *   - id: (optional) Client reference echoed back in the result
+   *
+   * Example Body:
+   * {
+   *   "requests": [
+   *     { "path": "/api/affirmations/positive", "params": { "emotion": "anxious" } },
+   *     { "path": "/api/emotions/motivational-quote" },
+   *     { "method": "POST", "path": "/api/emotions/support", "params": { "emotion": "anxious" } }
+   *   ]
+   * }
+   *
+   * Returns 200 with one result per sub-request, in order. Each result has
+   * the status code and body the route would have returned on its own.
+   */
+  router.post('/', asyncHandler(async (req, res) => {
+    const { requests } = req.body || {};
+    const locale = resolveLocale(req);
+
+    if (!Array.isArray(requests) || requests.length === 0 || requests.length > config.batch.maxSize) {
+      return res.status(400).json({
+        success: false,
+        error: translate(locale, 'validation.failed'),
+        details: [{
+          field: 'requests',
+          message: translate(locale, 'validation.batchSize', { max: config.batch.maxSize }),
+          value: Array.isArray(requests) ? `${requests.length} items` : typeof requests,
+        }],
+      });
+    }
+
+    const tasks = requests.map((item, index) => async () => {
+      const reference = item && typeof item === 'object' && item.id !== undefined ? { id: item.id } : {};
+      const problem = validateItem(item, locale);
+
+      if (problem) {
+        return {
+          index,
+          ...reference,
+          status: 400,
+          body: { success: false, error: translate(locale, 'validation.failed'), details: [{ field: `requests[${index}]`, message: problem }] },
+        };
+      }
+
+      const subRes = await dispatchItem(req, targetRouter, item, index);
+      const retryAfter = subRes.getHeader('retry-after');
+
+      return {
+        index,
+        ...reference,
+        status: subRes.statusCode,
+        ...(retryAfter !== undefined && { retryAfterSeconds: Number(retryAfter) }),
+        body: subRes.body,
+      };
+    });
+
+    const results = await runWithConcurrency(tasks, config.batch.concurrency);
+    const succeeded = results.filter((result) => result.status < 400).length;
+
+    res.json({
+      success: true,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+    });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createBatchRouter,
+};
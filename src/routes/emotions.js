@@ -8,20 +8,40 @@
  * - Emotional wellness tips
  * - Motivational quotes
  * - Custom emotional prompts
+ * - Multi-turn mood support conversations
  *
  * BEST PRACTICES DEMONSTRATED:
  * - Multiple endpoint patterns (analysis, generation, custom)
  * - Custom validation for specific routes
- * - Response streaming considerations
+ * - Optional Server-Sent Events streaming (support and custom endpoints)
+ * - Server-side tool use (support endpoint)
  * - Error handling in async contexts
+ * - Crisis screening before any prompt is sent to Claude
  *
  * =============================================================================
  */
 
 const express = require('express');
 const router = express.Router();
-const { promptWithSystem, sendMessage } = require('../services/claudeService');
-const { asyncHandler, Errors } = require('../middleware/errorHandler');
+const {
+  promptWithSystem,
+  sendMessage,
+  sendStructuredMessage,
+  buildResponseMetadata,
+} = require('../services/claudeService');
+const { renderPrompt, requirePromptTemplates } = require('../services/promptRegistry');
+const { asyncHandler, localizedError } = require('../middleware/errorHandler');
+const { wantsEventStream, streamCompletion } = require('../middleware/streaming');
+const { screenForCrisis } = require('../middleware/safety');
+const { getCallerId } = require('../middleware/security');
+const {
+  createConversation,
+  getConversation,
+  appendExchange,
+  deleteConversation,
+  buildHistory,
+  serializeSession,
+} = require('../services/conversationStore');
 const {
   validateGetParams,
   validatePostParams,
@@ -31,58 +51,46 @@ const {
 } = require('../middleware/validation');
 
 /**
- * System prompts for emotion-related endpoints.
+ * Server-side tools Claude may call from the mood support endpoint.
+ * Streaming responses don't use tools.
+ */
+const SUPPORT_TOOLS = ['breathing_exercise', 'crisis_resources', 'journal_prompt'];
+
+/**
+ * Prompt templates used by each endpoint (see src/prompts).
+ * The template ID and version used are reported in each response.
  */
-const SYSTEM_PROMPTS = {
-  moodSupport: `You are an empathetic and supportive emotional wellness assistant.
-Your role is to provide gentle, helpful support to someone experiencing the specified emotion.
-
-Guidelines:
-- Acknowledge their feelings without judgment
-- Offer 2-3 practical, actionable suggestions
-- Keep responses warm but concise (2-3 paragraphs max)
-- If the emotion is concerning (very sad, very anxious), gently suggest professional resources
-- Never diagnose or provide medical advice
-
-Format your response as:
-1. Acknowledgment of the feeling
-2. Brief supportive message
-3. 2-3 practical suggestions`,
-
-  motivationalQuote: `You are a motivational speaker and quote curator.
-Generate an inspiring quote that is:
-- Original OR from a well-known figure (attribute if from someone)
-- Relevant to the context or emotion if provided
-- Genuinely motivating, not cliché
-- Between 1-3 sentences
-
-Respond with the quote, followed by the attribution on a new line if applicable.
-Do not add any preamble or explanation.`,
-
-  wellnessTip: `You are a wellness and self-care expert.
-Provide ONE practical wellness tip that is:
-- Actionable and specific
-- Backed by general wellness principles
-- Easy to implement today
-- Related to the context/emotion if provided
-
-Format: Brief explanation of the tip (2-3 sentences), followed by a simple action step.
-Do not include medical advice or diagnoses.`,
-
-  emotionAnalysis: `You are an emotional intelligence expert.
-Analyze the provided text for emotional content and provide:
-1. Primary emotion detected
-2. Intensity level (low, moderate, high)
-3. Suggested supportive response type
-4. Brief reasoning (1-2 sentences)
-
-Respond in this exact JSON format:
-{
-  "primaryEmotion": "emotion name",
-  "intensity": "low|moderate|high",
-  "suggestedResponse": "affirmation|support|celebration|comfort",
-  "reasoning": "Brief explanation"
-}`,
+const TEMPLATES = {
+  moodSupport: 'mood-support',
+  motivationalQuote: 'motivational-quote',
+  wellnessTip: 'wellness-tip',
+  conversationSupport: 'conversation-support',
+  emotionAnalysis: 'emotion-analysis',
+  custom: 'custom',
+};
+
+requirePromptTemplates(Object.values(TEMPLATES));
+
+// Answer crisis language with hotlines instead of a generated response
+// (see middleware/safety.js)
+router.use(screenForCrisis);
+
+/**
+ * JSON Schemas for structured responses.
+ * Replies are validated against these before they reach the client.
+ */
+const RESPONSE_SCHEMAS = {
+  emotionAnalysis: {
+    type: 'object',
+    properties: {
+      primaryEmotion: { type: 'string', minLength: 1, maxLength: 50 },
+      intensity: { type: 'string', enum: ['low', 'moderate', 'high'] },
+      suggestedResponse: { type: 'string', enum: ['affirmation', 'support', 'celebration', 'comfort'] },
+      reasoning: { type: 'string', minLength: 1, maxLength: 500 },
+    },
+    required: ['primaryEmotion', 'intensity', 'suggestedResponse', 'reasoning'],
+    additionalProperties: false,
+  },
 };
 
 // =============================================================================
@@ -98,6 +106,12 @@ Respond in this exact JSON format:
  * - emotion: (required) Current emotion from validEmotions list
  * - context: (optional) Additional context
  * - model, maxTokens, temperature: (optional) API parameters
+ * - stream: (optional) "true" to receive Server-Sent Events
+ *
+ * Streaming is also enabled by an `Accept: text/event-stream` header.
+ *
+ * Non-streaming responses may use server-side tools; the response includes
+ * a `toolCalls` trace of every tool Claude called.
  *
  * Example: GET /api/emotions/support?emotion=anxious&context=upcoming+exam
  */
@@ -105,40 +119,45 @@ router.get(
   '/support',
   validateGetParams,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, context, emotion } = extractParams(req);
+    const { model, maxTokens, temperature, context, emotion, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
     // Emotion is required for this endpoint
     if (!emotion) {
-      throw Errors.badRequest(
-        'emotion parameter is required',
-        { validEmotions: validEmotions }
-      );
+      throw localizedError(400, 'errors.emotionParamRequired', {}, { validEmotions: validEmotions });
     }
 
     // Build the prompt
-    let userPrompt = `Provide supportive content for someone feeling ${emotion}.`;
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.moodSupport, { emotion, context }, { clientKey, locale });
 
-    if (context) {
-      userPrompt += ` Additional context: ${context}`;
+    const messageOptions = {
+      systemPrompt,
+      prompt: userPrompt,
+      model,
+      maxTokens: maxTokens || 500,
+      temperature: temperature || 0.7,
+      noCache,
+      requestId,
+      endpoint,
+      deadline,
+      signal,
+      callerId,
+      template,
+    };
+
+    // Relay text as it is generated if the client asked for a stream
+    if (wantsEventStream(req)) {
+      return streamCompletion(req, res, messageOptions, { emotion });
     }
 
-    const response = await promptWithSystem(
-      SYSTEM_PROMPTS.moodSupport,
-      userPrompt,
-      { model, maxTokens: maxTokens || 500, temperature: temperature || 0.7 }
-    );
+    // Claude may call tools (breathing exercise, crisis resources, journal prompt)
+    const response = await sendMessage({ ...messageOptions, tools: SUPPORT_TOOLS });
 
     res.json({
       success: true,
       emotion: emotion,
       support: response.content,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      toolCalls: response.toolCalls,
+      metadata: buildResponseMetadata(response),
     });
   })
 );
@@ -152,43 +171,49 @@ router.get(
  * - emotion: (required) Current emotion
  * - context: (optional) Detailed context
  * - model, maxTokens, temperature: (optional) API parameters
+ * - stream: (optional) true to receive Server-Sent Events
  */
 router.post(
   '/support',
   validatePostParams,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, context, emotion } = extractParams(req);
+    const { model, maxTokens, temperature, context, emotion, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
     if (!emotion) {
-      throw Errors.badRequest(
-        'emotion field is required in request body',
-        { validEmotions: validEmotions }
-      );
+      throw localizedError(400, 'errors.emotionFieldRequired', {}, { validEmotions: validEmotions });
     }
 
-    let userPrompt = `Provide supportive content for someone feeling ${emotion}.`;
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.moodSupport, { emotion, context }, { clientKey, locale });
 
-    if (context) {
-      userPrompt += ` Additional context: ${context}`;
+    const messageOptions = {
+      systemPrompt,
+      prompt: userPrompt,
+      model,
+      maxTokens: maxTokens || 500,
+      temperature: temperature || 0.7,
+      noCache,
+      requestId,
+      endpoint,
+      deadline,
+      signal,
+      callerId,
+      template,
+    };
+
+    // Relay text as it is generated if the client asked for a stream
+    if (wantsEventStream(req)) {
+      return streamCompletion(req, res, messageOptions, { emotion });
     }
 
-    const response = await promptWithSystem(
-      SYSTEM_PROMPTS.moodSupport,
-      userPrompt,
-      { model, maxTokens: maxTokens || 500, temperature: temperature || 0.7 }
-    );
+    // Claude may call tools (breathing exercise, crisis resources, journal prompt)
+    const response = await sendMessage({ ...messageOptions, tools: SUPPORT_TOOLS });
 
     res.json({
       success: true,
       emotion: emotion,
       support: response.content,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      toolCalls: response.toolCalls,
+      metadata: buildResponseMetadata(response),
     });
   })
 );
@@ -211,22 +236,14 @@ router.get(
   '/motivational-quote',
   validateGetParams,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, context, emotion } = extractParams(req);
+    const { model, maxTokens, temperature, context, emotion, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
-    let userPrompt = 'Generate an inspiring motivational quote.';
-
-    if (emotion) {
-      userPrompt = `Generate an inspiring quote for someone feeling ${emotion}.`;
-    }
-
-    if (context) {
-      userPrompt += ` Theme: ${context}`;
-    }
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.motivationalQuote, { emotion, context }, { clientKey, locale });
 
     const response = await promptWithSystem(
-      SYSTEM_PROMPTS.motivationalQuote,
+      systemPrompt,
       userPrompt,
-      { model, maxTokens: maxTokens || 200, temperature: temperature || 0.8 }
+      { model, maxTokens: maxTokens || 200, temperature: temperature || 0.8, noCache, requestId, endpoint, deadline, signal, callerId, template }
     );
 
     res.json({
@@ -234,13 +251,7 @@ router.get(
       quote: response.content,
       context: context || null,
       emotion: emotion || null,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
     });
   })
 );
@@ -263,22 +274,14 @@ router.get(
   '/wellness-tip',
   validateGetParams,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, context, emotion } = extractParams(req);
+    const { model, maxTokens, temperature, context, emotion, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
-    let userPrompt = 'Provide a practical wellness tip.';
-
-    if (emotion) {
-      userPrompt = `Provide a wellness tip for someone feeling ${emotion}.`;
-    }
-
-    if (context) {
-      userPrompt += ` Focus area: ${context}`;
-    }
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.wellnessTip, { emotion, context }, { clientKey, locale });
 
     const response = await promptWithSystem(
-      SYSTEM_PROMPTS.wellnessTip,
+      systemPrompt,
       userPrompt,
-      { model, maxTokens: maxTokens || 300, temperature: temperature || 0.7 }
+      { model, maxTokens: maxTokens || 300, temperature: temperature || 0.7, noCache, requestId, endpoint, deadline, signal, callerId, template }
     );
 
     res.json({
@@ -286,13 +289,7 @@ router.get(
       tip: response.content,
       focus: context || 'general',
       emotion: emotion || null,
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
     });
   })
 );
@@ -311,6 +308,9 @@ router.get(
  * - prompt: (required) Text to analyze for emotional content
  * - model, maxTokens, temperature: (optional) API parameters
  *
+ * The analysis is validated against RESPONSE_SCHEMAS.emotionAnalysis. Invalid
+ * replies are re-asked; if none is valid, the request fails with 502.
+ *
  * Example Body:
  * {
  *   "prompt": "I just got the promotion I've been working towards for two years!"
@@ -320,44 +320,34 @@ router.post(
   '/analyze',
   validatePostWithPrompt,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, prompt } = extractParams(req);
-
-    const response = await promptWithSystem(
-      SYSTEM_PROMPTS.emotionAnalysis,
-      `Analyze the emotional content of this text: "${prompt}"`,
-      { model, maxTokens: maxTokens || 300, temperature: temperature || 0.3 } // Lower temp for analysis
+    const { model, maxTokens, temperature, prompt, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
+
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.emotionAnalysis, { prompt }, { clientKey, locale });
+
+    // Throws a 502 unless Claude produces an analysis matching the schema
+    const response = await sendStructuredMessage(
+      {
+        systemPrompt,
+        prompt: userPrompt,
+        model,
+        maxTokens: maxTokens || 300,
+        temperature: temperature || 0.3, // Lower temp for analysis
+        noCache,
+        requestId,
+        endpoint,
+        deadline,
+        signal,
+        callerId,
+        template,
+      },
+      RESPONSE_SCHEMAS.emotionAnalysis
     );
 
-    // Attempt to parse the JSON response
-    let analysis;
-    try {
-      // Find JSON in the response (Claude might include extra text)
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      // If JSON parsing fails, return the raw response
-      // This is defensive - we handle cases where Claude doesn't format as expected
-      analysis = {
-        rawResponse: response.content,
-        parseError: 'Could not parse structured response',
-      };
-    }
-
     res.json({
       success: true,
-      analysis: analysis,
+      analysis: response.data,
       originalText: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''), // Truncate for privacy
-      metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
-      },
+      metadata: buildResponseMetadata(response),
     });
   })
 );
@@ -375,6 +365,7 @@ router.post(
  * Request Body:
  * - prompt: (required) Custom prompt text
  * - model, maxTokens, temperature: (optional) API parameters
+ * - stream: (optional) true to receive Server-Sent Events
  *
  * NOTE: This endpoint uses a general emotional wellness system prompt
  * to keep responses appropriate for the API's theme.
@@ -383,33 +374,202 @@ router.post(
   '/custom',
   validatePostWithPrompt,
   asyncHandler(async (req, res) => {
-    const { model, maxTokens, temperature, prompt } = extractParams(req);
+    const { model, maxTokens, temperature, prompt, noCache, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
 
     // Use a general wellness-focused system prompt
-    const systemPrompt = `You are a helpful emotional wellness assistant.
-Respond helpfully to the user's prompt while maintaining a supportive, positive tone.
-Keep responses concise and actionable when appropriate.
-Do not provide medical advice or diagnoses.`;
+    const { systemPrompt, prompt: userPrompt, template } = renderPrompt(TEMPLATES.custom, { prompt }, { clientKey, locale });
 
-    const response = await promptWithSystem(
+    const messageOptions = {
       systemPrompt,
-      prompt,
-      { model, maxTokens, temperature }
-    );
+      prompt: userPrompt,
+      model,
+      maxTokens,
+      temperature,
+      noCache,
+      requestId,
+      endpoint,
+      deadline,
+      signal,
+      callerId,
+      template,
+    };
+
+    // Relay text as it is generated if the client asked for a stream
+    if (wantsEventStream(req)) {
+      return streamCompletion(req, res, messageOptions);
+    }
+
+    const response = await sendMessage(messageOptions);
 
     res.json({
       success: true,
       response: response.content,
+      metadata: buildResponseMetadata(response),
+    });
+  })
+);
+
+// =============================================================================
+// CONVERSATION ENDPOINTS
+// =============================================================================
+
+/**
+ * Builds the system prompt for a conversation session.
+ *
+ * @param {Object} session - The conversation session
+ * @param {string} clientKey - Client identity, for prompt experiments
+ * @param {string} locale - Language to reply in (each message may set its own)
+ * @returns {{ systemPrompt: string, template: Object }} System prompt including
+ *   the session's emotion and context, and the template it came from
+ */
+function conversationSystemPrompt(session, clientKey, locale) {
+  return renderPrompt(TEMPLATES.conversationSupport, {
+    emotion: session.emotion,
+    context: session.context,
+  }, { clientKey, locale });
+}
+
+/**
+ * Looks up one of the caller's conversations or throws a 404.
+ *
+ * @param {Object} req - Express request object, with the conversation ID in req.params.id
+ * @returns {Object} The conversation session
+ * @throws {ApiError} If the conversation doesn't exist, has expired or belongs to another caller
+ */
+function findConversationOrThrow(req) {
+  const { id } = req.params;
+  const session = getConversation(id, getCallerId(req));
+
+  if (!session) {
+    throw localizedError(404, 'errors.conversationNotFound', { id });
+  }
+
+  return session;
+}
+
+/**
+ * POST /api/emotions/conversations
+ *
+ * Starts a new mood support conversation. History is kept on the server
+ * for CONVERSATION_TTL_MINUTES after the last message.
+ *
+ * Request Body:
+ * - emotion: (required) The emotion the conversation is about
+ * - context: (optional) Background context for the whole conversation
+ *
+ * Example Body:
+ * {
+ *   "emotion": "lonely",
+ *   "context": "Just moved to a new city"
+ * }
+ */
+router.post(
+  '/conversations',
+  validatePostParams,
+  asyncHandler(async (req, res) => {
+    const { context, emotion } = extractParams(req);
+
+    if (!emotion) {
+      throw localizedError(400, 'errors.emotionFieldRequired', {}, { validEmotions: validEmotions });
+    }
+
+    const session = createConversation({ emotion, context, owner: getCallerId(req) });
+
+    res.status(201).json({
+      success: true,
+      conversation: serializeSession(session),
+    });
+  })
+);
+
+/**
+ * POST /api/emotions/conversations/:id/messages
+ *
+ * Sends a message in an existing conversation. The full turn history is
+ * sent to Claude, with the oldest exchanges trimmed if it would exceed
+ * CONVERSATION_MAX_TURNS or MAX_PROMPT_LENGTH.
+ *
+ * Request Body:
+ * - prompt: (required) The user's message
+ * - model, maxTokens, temperature: (optional) API parameters
+ */
+router.post(
+  '/conversations/:id/messages',
+  validatePostWithPrompt,
+  asyncHandler(async (req, res) => {
+    const session = findConversationOrThrow(req);
+    const { model, maxTokens, temperature, prompt, requestId, endpoint, deadline, signal, clientKey, locale, callerId } = extractParams(req);
+
+    const { messages, droppedTurns } = buildHistory(session, prompt);
+    const { systemPrompt, template } = conversationSystemPrompt(session, clientKey, locale);
+
+    const response = await sendMessage({
+      systemPrompt,
+      template,
+      messages,
+      model,
+      maxTokens: maxTokens || 500,
+      temperature: temperature || 0.7,
+      requestId,
+      endpoint,
+      deadline,
+      signal,
+      callerId,
+      // Every turn continues a unique history; caching would only waste memory
+      noCache: true,
+    });
+
+    // Only record the exchange once Claude has replied successfully
+    appendExchange(session, prompt, response.content);
+
+    res.json({
+      success: true,
+      conversation: serializeSession(session),
+      reply: response.content,
       metadata: {
-        model: response.metadata.model,
-        tokens: {
-          input: response.metadata.inputTokens,
-          output: response.metadata.outputTokens,
-        },
+        ...buildResponseMetadata(response),
+        // Number of earlier turns left out of this request to fit the limits
+        historyTrimmed: droppedTurns,
       },
     });
   })
 );
 
+/**
+ * GET /api/emotions/conversations/:id
+ *
+ * Returns a conversation and its full message history.
+ */
+router.get(
+  '/conversations/:id',
+  asyncHandler(async (req, res) => {
+    const session = findConversationOrThrow(req);
+
+    res.json({
+      success: true,
+      conversation: serializeSession(session, true),
+    });
+  })
+);
+
+/**
+ * DELETE /api/emotions/conversations/:id
+ *
+ * Erases a conversation and its history immediately.
+ */
+router.delete(
+  '/conversations/:id',
+  asyncHandler(async (req, res) => {
+    const session = findConversationOrThrow(req);
+    deleteConversation(session.id);
+
+    res.json({
+      success: true,
+      deleted: true,
+      id: session.id,
+    });
+  })
+);
+
 // Export the router
 module.exports = router;
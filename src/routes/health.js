@@ -11,6 +11,11 @@
  * - API information endpoints for discoverability
  * - Token usage monitoring for cost control
  * - Circuit breaker status for reliability monitoring
+ * - Outbound call queue depth and wait times
+ * - Async job counts (Prefer: respond-async)
+ * - Per-key token usage and top consumers
+ * - Webhook delivery counters
+ * - Supported locales listed for discoverability
  * - Environment-aware response detail levels
  * - No authentication required for basic health checks
  *
@@ -23,10 +28,29 @@ const { config, getSafeConfig } = require('../config');
 const { validEmotions } = require('../middleware/validation');
 const {
   getTokenStats,
-  getCircuitBreakerState,
+  getCircuitBreakerStates,
   resetTokenStats,
   resetCircuitBreaker,
+  getFallbackModels,
+  getProvider,
 } = require('../services/claudeService');
+const { getConversationStats } = require('../services/conversationStore');
+const { getJobStats } = require('../services/jobStore');
+const { getWebhookStats } = require('../services/webhooks');
+const { getPromptRegistryStatus } = require('../services/promptRegistry');
+const { getExperimentStats, resetExperimentStats } = require('../services/experiments');
+const { getSafetyStats } = require('../services/safety');
+const { listLocales } = require('../services/i18n');
+const { requireAuth, requireScope } = require('../middleware/security');
+const { API_KEY_SCOPES } = require('../services/apiKeyStore');
+const { getModerationStats, resetModerationStats } = require('../services/moderation');
+const { getCacheStats, resetCache } = require('../services/responseCache');
+const { queryUsage, GROUP_BY_OPTIONS } = require('../services/usageLedger');
+const { getBudgetStatus } = require('../services/budget');
+const { getTokenQuotaStats } = require('../services/tokenQuota');
+const { getQueueStats, resetQueueStats } = require('../services/callQueue');
+const { listTools } = require('../services/tools');
+const { asyncHandler } = require('../middleware/errorHandler');
 
 // =============================================================================
 // HEALTH CHECK ENDPOINTS
@@ -61,14 +85,20 @@ router.get('/health', (req, res) => {
  * - Environment information
  * - Memory usage
  * - Uptime
- * - Circuit breaker status
+ * - Circuit breaker status for every model
+ * - Outbound call queue load
  */
 router.get('/health/detailed', (req, res) => {
   // Get memory usage
   const memoryUsage = process.memoryUsage();
 
-  // Get circuit breaker status
-  const circuitBreaker = getCircuitBreakerState();
+  // Get circuit breaker status (one breaker per model)
+  const circuitBreakers = getCircuitBreakerStates();
+  const unhealthyModels = Object.keys(circuitBreakers)
+    .filter((model) => circuitBreakers[model].state !== 'CLOSED');
+
+  // Get outbound call queue status
+  const queue = getQueueStats();
 
   // Build the detailed health response
   const healthInfo = {
@@ -79,6 +109,7 @@ router.get('/health/detailed', (req, res) => {
       formatted: formatUptime(process.uptime()),
     },
     environment: config.server.nodeEnv,
+    llmProvider: config.llm.provider,
     memory: {
       heapUsed: formatBytes(memoryUsage.heapUsed),
       heapTotal: formatBytes(memoryUsage.heapTotal),
@@ -89,14 +120,25 @@ router.get('/health/detailed', (req, res) => {
       version: process.version,
       platform: process.platform,
     },
-    circuitBreaker: {
-      state: circuitBreaker.state,
-      failures: circuitBreaker.failures,
-      // Include warning if circuit is not closed
-      warning: circuitBreaker.state !== 'CLOSED'
-        ? 'Circuit breaker is not in normal state. Claude API may be experiencing issues.'
+    circuitBreakers: {
+      models: formatCircuitBreakers(circuitBreakers),
+      fallbackChain: config.anthropic.fallbackChain,
+      // Include warning if any circuit is not closed
+      warning: unhealthyModels.length > 0
+        ? `Circuit breaker is not in normal state for: ${unhealthyModels.join(', ')}. ` +
+          'Claude API may be experiencing issues.'
+        : null,
+    },
+    queue: {
+      ...queue,
+      // Include warning if calls are waiting for a slot
+      warning: queue.depth > 0
+        ? `${queue.depth} Claude API call(s) waiting for a slot (limit ${queue.maxConcurrent} concurrent).`
         : null,
     },
+    jobs: getJobStats(),
+    webhooks: getWebhookStats(),
+    prompts: getPromptRegistryStatus(),
   };
 
   // Only include sensitive info in development
@@ -114,21 +156,22 @@ router.get('/health/detailed', (req, res) => {
  * Returns 200 only if the service is ready to accept traffic.
  *
  * Checks:
- * - Circuit breaker is not open (API is reachable)
- * - API key is configured
+ * - The default model, or one of its fallbacks, has a circuit that isn't open
+ * - LLM provider is configured (API key set for the anthropic provider)
  */
 router.get('/health/ready', (req, res) => {
-  const circuitBreaker = getCircuitBreakerState();
+  const circuitBreakers = getCircuitBreakerStates();
   const issues = [];
 
-  // Check circuit breaker
-  if (circuitBreaker.state === 'OPEN') {
-    issues.push('Circuit breaker is OPEN - Claude API may be unavailable');
+  // Check circuit breakers: ready while any model can serve default requests
+  const servingModels = [config.anthropic.defaultModel, ...getFallbackModels(config.anthropic.defaultModel)];
+  if (servingModels.every((model) => circuitBreakers[model]?.state === 'OPEN')) {
+    issues.push(`Circuit breaker is OPEN for ${servingModels.join(', ')} - Claude API may be unavailable`);
   }
 
-  // Check API key configuration
-  if (!config.anthropic.apiKey) {
-    issues.push('Anthropic API key is not configured');
+  // Check the LLM provider has what it needs (e.g. API key for anthropic)
+  if (!getProvider().isConfigured()) {
+    issues.push(`LLM provider "${config.llm.provider}" is not configured (check ANTHROPIC_API_KEY)`);
   }
 
   if (issues.length > 0) {
@@ -149,6 +192,19 @@ router.get('/health/ready', (req, res) => {
 // MONITORING ENDPOINTS
 // =============================================================================
 
+/**
+ * Requires an API key (or token) with the `admin` scope for stats endpoints
+ * in production. (These routes are mounted before the protected /api router,
+ * so they authenticate here.)
+ */
+function statsAuthGuard(req, res, next) {
+  if (!config.server.isProduction) {
+    return next();
+  }
+
+  requireAuth(req, res, () => requireScope('admin')(req, res, next));
+}
+
 /**
  * GET /api/stats
  *
@@ -158,34 +214,25 @@ router.get('/health/ready', (req, res) => {
  * SECURITY: This endpoint should be protected in production
  * as it reveals usage information.
  */
-router.get('/api/stats', (req, res) => {
-  // In production, you might want to require authentication for this endpoint
-  if (config.server.isProduction && config.security.requireApiKey) {
-    // The apiKeyAuth middleware should handle this if applied,
-    // but we add an extra check here for safety
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required for stats endpoint in production',
-      });
-    }
-  }
-
+router.get('/api/stats', statsAuthGuard, (req, res) => {
   const tokenStats = getTokenStats();
-  const circuitBreaker = getCircuitBreakerState();
 
   res.json({
     success: true,
     stats: {
       tokens: tokenStats,
-      circuitBreaker: {
-        state: circuitBreaker.state,
-        consecutiveFailures: circuitBreaker.failures,
-        lastFailure: circuitBreaker.lastFailureTime
-          ? new Date(circuitBreaker.lastFailureTime).toISOString()
-          : null,
-      },
+      circuitBreakers: formatCircuitBreakers(getCircuitBreakerStates()),
+      budgets: getBudgetStatus(),
+      quotas: getTokenQuotaStats(),
+      queue: getQueueStats(),
+      cache: getCacheStats(),
+      conversations: getConversationStats(),
+      jobs: getJobStats(),
+      webhooks: getWebhookStats(),
+      prompts: getPromptRegistryStatus(),
+      experiments: getExperimentStats(),
+      safety: getSafetyStats(),
+      moderation: getModerationStats(),
       limits: {
         hardMaxTokens: config.anthropic.hardMaxTokens,
         maxPromptLength: config.anthropic.maxPromptLength,
@@ -196,10 +243,69 @@ router.get('/api/stats', (req, res) => {
   });
 });
 
+/**
+ * GET /api/stats/usage
+ *
+ * Aggregates the persistent usage ledger. Unlike /api/stats, which covers
+ * the current in-memory window, this reaches back across restarts.
+ *
+ * Query Parameters:
+ * - from (optional): ISO 8601 start time, inclusive
+ * - to (optional): ISO 8601 end time, exclusive
+ * - groupBy (optional): day (default), model, route, apiKey or caller (API key or token subject)
+ *
+ * SECURITY: This endpoint should be protected in production
+ * as it reveals usage information.
+ */
+router.get('/api/stats/usage', statsAuthGuard, asyncHandler(async (req, res) => {
+  const groupBy = req.query.groupBy || 'day';
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  const errors = [];
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    errors.push({ field: 'groupBy', message: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` });
+  }
+  if (from && Number.isNaN(from.getTime())) {
+    errors.push({ field: 'from', message: 'from must be an ISO 8601 date or timestamp' });
+  }
+  if (to && Number.isNaN(to.getTime())) {
+    errors.push({ field: 'to', message: 'to must be an ISO 8601 date or timestamp' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors,
+    });
+  }
+
+  if (!config.ledger.enabled) {
+    return res.status(404).json({
+      success: false,
+      error: 'Usage ledger is disabled (USAGE_LEDGER_ENABLED=false)',
+    });
+  }
+
+  const usage = await queryUsage({ from, to, groupBy });
+
+  res.json({
+    success: true,
+    range: {
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+    },
+    usage,
+    timestamp: new Date().toISOString(),
+  });
+}));
+
 /**
  * POST /api/stats/reset
  *
- * Resets API statistics (token counters, circuit breaker).
+ * Resets API statistics (token counters, circuit breaker, response cache,
+ * call queue counters, prompt experiment counters).
  * Useful for testing or after resolving issues.
  *
  * SECURITY: This endpoint should be protected and only
@@ -214,11 +320,15 @@ router.post('/api/stats/reset', (req, res) => {
     });
   }
 
-  const { resetTokens, resetCircuit } = req.body || {};
+  const { resetTokens, resetCircuit, resetResponseCache, resetQueue, resetExperiments, resetModeration } = req.body || {};
 
   const results = {
     tokensReset: false,
     circuitBreakerReset: false,
+    cacheReset: false,
+    queueStatsReset: false,
+    experimentStatsReset: false,
+    moderationStatsReset: false,
   };
 
   if (resetTokens !== false) {
@@ -231,6 +341,26 @@ router.post('/api/stats/reset', (req, res) => {
     results.circuitBreakerReset = true;
   }
 
+  if (resetResponseCache !== false) {
+    resetCache();
+    results.cacheReset = true;
+  }
+
+  if (resetQueue !== false) {
+    resetQueueStats();
+    results.queueStatsReset = true;
+  }
+
+  if (resetExperiments !== false) {
+    resetExperimentStats();
+    results.experimentStatsReset = true;
+  }
+
+  if (resetModeration !== false) {
+    resetModerationStats();
+    results.moderationStatsReset = true;
+  }
+
   res.json({
     success: true,
     message: 'Stats reset successfully',
@@ -256,12 +386,39 @@ router.get('/api/info', (req, res) => {
     version: '1.0.0',
     description: 'A REST API for emotion-based AI interactions powered by Claude',
     baseUrl: `http://localhost:${config.server.port}`,
+    llmProvider: config.llm.provider,
     features: {
       retryLogic: 'Automatic retry with exponential backoff for transient failures',
-      circuitBreaker: 'Prevents cascade failures when Claude API is unavailable',
+      circuitBreaker: 'Prevents cascade failures when Claude API is unavailable (one breaker per model)',
+      modelFallback: config.anthropic.fallbackChain.length > 0
+        ? `Falls back along ${config.anthropic.fallbackChain.join(' -> ')} when a model is unavailable`
+        : 'Disabled (set MODEL_FALLBACK_CHAIN to enable)',
       tokenTracking: 'Monitors token usage for cost control',
-      rateLimiting: 'Protects against abuse and controls costs',
+      rateLimiting: 'Counted per API key or token subject (per IP without one) and reported in the RateLimit and RateLimit-Policy headers',
+      tokenQuotas: config.rateLimit.keyDailyTokenQuota
+        ? `Each API key or token subject may use ${config.rateLimit.keyDailyTokenQuota} tokens per UTC day unless the key has its own quota`
+        : 'Only for API keys given a daily token quota (set API_KEY_DAILY_TOKEN_QUOTA for a default that also covers token subjects)',
       inputValidation: 'Comprehensive validation of all inputs',
+      streaming: 'Server-Sent Events for /api/emotions/support and /api/emotions/custom',
+      toolUse: `Claude can call server-side tools from /api/emotions/support (max ${config.tools.maxIterations} calls per request)`,
+      callQueue: `At most ${config.queue.maxConcurrent} concurrent Claude calls; excess requests queue briefly or get a 503`,
+      responseCache: 'Identical requests are served from cache; send Cache-Control: no-cache to bypass',
+      asyncJobs: 'Send Prefer: respond-async on any Claude-backed POST to get 202 Accepted and poll /api/jobs/:id',
+      webhooks: 'Signed webhook notifications for circuit breaker changes, usage thresholds and repeated auth failures',
+      promptTemplates: `Versioned prompt templates${config.prompts.hotReload ? ', reloaded when the files change' : ''}; responses report metadata.template`,
+      promptExperiments: 'A/B tests between prompt template versions (PROMPT_EXPERIMENTS); send X-Client-Id to keep each end user on one variant',
+      outputModeration: config.moderation.enabled
+        ? `Negative affirmations are checked against local rules${config.moderation.classifierEnabled ? ' and a classifier model' : ''} and regenerated (up to ${config.moderation.maxRegenerations} times) if rejected`
+        : 'Disabled (MODERATION_ENABLED=false)',
+      crisisScreening: config.safety.enabled
+        ? 'Emotion and affirmation requests mentioning suicide or self-harm get crisis hotlines (safety.triggered) instead of a generated response; pass region=US, GB, ... for local numbers'
+        : 'Disabled (SAFETY_CHECK_ENABLED=false)',
+      localization: 'Replies, emotion names and error messages in the requested language; pass lang=es (or send Accept-Language)',
+    },
+    localization: {
+      defaultLocale: config.i18n.defaultLocale,
+      parameter: 'lang (query or body), then the Accept-Language header',
+      locales: listLocales(),
     },
     documentation: {
       endpoints: {
@@ -301,7 +458,10 @@ router.get('/api/info', (req, res) => {
               model: 'Optional. Claude model to use',
               maxTokens: 'Optional. Maximum response length',
               temperature: 'Optional. Creativity level (0-1)',
+              stream: 'Optional. "true" (or Accept: text/event-stream) to stream as Server-Sent Events',
             },
+            // Non-streaming responses include a toolCalls trace
+            tools: listTools(),
           },
           motivationalQuote: {
             methods: ['GET'],
@@ -335,6 +495,9 @@ router.get('/api/info', (req, res) => {
               maxTokens: 'Optional. Maximum response length',
               temperature: 'Optional. Creativity level (0-1)',
             },
+            response: 'analysis: { primaryEmotion, intensity (low|moderate|high), ' +
+              'suggestedResponse (affirmation|support|celebration|comfort), reasoning }; ' +
+              '502 if Claude does not return a valid analysis',
           },
           custom: {
             methods: ['POST'],
@@ -345,8 +508,91 @@ router.get('/api/info', (req, res) => {
               model: 'Optional. Claude model to use',
               maxTokens: 'Optional. Maximum response length',
               temperature: 'Optional. Creativity level (0-1)',
+              stream: 'Optional. true (or Accept: text/event-stream) to stream as Server-Sent Events',
+            },
+          },
+          createConversation: {
+            methods: ['POST'],
+            path: '/api/emotions/conversations',
+            description: 'Start a multi-turn mood support conversation',
+            body: {
+              emotion: `Required. One of: ${validEmotions.join(', ')}`,
+              context: 'Optional. Background context for the conversation (max 500 chars)',
             },
           },
+          conversationMessage: {
+            methods: ['POST'],
+            path: '/api/emotions/conversations/:id/messages',
+            description: 'Send a message in a conversation (full history is sent to Claude)',
+            body: {
+              prompt: 'Required. The message text (max 10000 chars)',
+              model: 'Optional. Claude model to use',
+              maxTokens: 'Optional. Maximum response length',
+              temperature: 'Optional. Creativity level (0-1)',
+            },
+          },
+          conversation: {
+            methods: ['GET', 'DELETE'],
+            path: '/api/emotions/conversations/:id',
+            description: 'Read back or erase a conversation and its history',
+          },
+        },
+        batch: {
+          methods: ['POST'],
+          path: '/api/batch',
+          description: 'Run several affirmation/emotion requests in one call; results are returned in order',
+          body: {
+            requests: `Required. 1-${config.batch.maxSize} items of { method: "GET"|"POST", path: "/api/...", params: {}, id?: "..." }`,
+          },
+          notes: 'Each sub-request counts against the Claude API rate limit. Streaming is not available in batches.',
+        },
+        jobs: {
+          status: {
+            methods: ['GET'],
+            path: '/api/jobs/:id',
+            description: 'Status of an async job, with the result (status code and body) once finished',
+          },
+          cancel: {
+            methods: ['DELETE'],
+            path: '/api/jobs/:id',
+            description: 'Cancel a queued or running job, or discard a finished one',
+          },
+          notes: 'Created by sending Prefer: respond-async with a POST to /api/affirmations/*, /api/emotions/* or /api/batch. ' +
+            `Jobs run for up to ${config.jobs.timeoutMs / 1000}s and results are kept for ${config.jobs.ttlMs / 60000} minutes.`,
+        },
+        admin: {
+          webhooks: {
+            methods: ['GET'],
+            path: '/api/admin/webhooks',
+            description: 'Webhook subscriptions (without secrets), event types and delivery counters',
+          },
+          webhookDeliveries: {
+            methods: ['GET'],
+            path: '/api/admin/webhooks/deliveries',
+            description: 'Recent webhook deliveries with every attempt, newest first',
+            parameters: {
+              status: 'pending, delivered or failed (optional)',
+              event: 'Event type, e.g. circuit.open (optional)',
+              limit: 'Maximum deliveries to return (optional, default 50)',
+            },
+          },
+          webhookTest: {
+            methods: ['POST'],
+            path: '/api/admin/webhooks/test',
+            description: 'Send a webhook.test event to every subscription',
+          },
+        },
+        prompts: {
+          list: {
+            methods: ['GET'],
+            path: '/api/prompts',
+            description: 'Prompt templates, their versions and the version in use',
+          },
+          detail: {
+            methods: ['GET'],
+            path: '/api/prompts/:id',
+            description: 'One prompt template with the text of every version',
+          },
         },
         utility: {
           health: {
@@ -369,6 +615,16 @@ router.get('/api/info', (req, res) => {
             path: '/api/stats',
             description: 'API usage statistics and monitoring data',
           },
+          usage: {
+            methods: ['GET'],
+            path: '/api/stats/usage',
+            description: 'Historical usage from the persistent ledger',
+            parameters: {
+              from: 'ISO 8601 start time, inclusive (optional)',
+              to: 'ISO 8601 end time, exclusive (optional)',
+              groupBy: `One of: ${GROUP_BY_OPTIONS.join(', ')} (default: day)`,
+            },
+          },
           models: {
             methods: ['GET'],
             path: '/api/models',
@@ -381,9 +637,15 @@ router.get('/api/info', (req, res) => {
       defaultModel: config.anthropic.defaultModel,
       defaultMaxTokens: config.anthropic.defaultMaxTokens,
       hardMaxTokens: config.anthropic.hardMaxTokens,
-      authentication: config.security.requireApiKey
-        ? 'Required. Include X-API-Key header with your requests.'
-        : 'Not required (development mode)',
+      authentication: config.security.authMode === 'jwt'
+        ? 'Required. Include an Authorization: Bearer <token> header from your identity provider.'
+        : config.security.requireApiKey
+          ? 'Required. Include X-API-Key header with your requests.'
+          : 'Not required (development mode)',
+      requestSigning: config.requestSigning.mode === 'off'
+        ? 'Disabled'
+        : `${config.requestSigning.mode === 'required' ? 'Required' : 'Optional'}. Send X-API-Key-Id, X-Timestamp, X-Nonce and X-Signature (HMAC-SHA256) instead of the key; timestamps may be off by ${config.requestSigning.maxSkewSeconds}s`,
+      scopes: API_KEY_SCOPES,
     },
   });
 });
@@ -400,6 +662,7 @@ router.get('/api/models', (req, res) => {
     models: config.anthropic.validModels.map((model) => ({
       id: model,
       isDefault: model === config.anthropic.defaultModel,
+      pricingPer1M: config.anthropic.pricing[model],
     })),
     default: config.anthropic.defaultModel,
     limits: {
@@ -432,6 +695,24 @@ function formatBytes(bytes) {
   return `${size.toFixed(2)} ${units[unitIndex]}`;
 }
 
+/**
+ * Formats per-model circuit breaker states for monitoring responses.
+ *
+ * @param {Object} states - Breaker states keyed by model
+ * @returns {Object} States with ISO timestamps, keyed by model
+ */
+function formatCircuitBreakers(states) {
+  return Object.fromEntries(
+    Object.entries(states).map(([model, breaker]) => [model, {
+      state: breaker.state,
+      consecutiveFailures: breaker.failures,
+      lastFailure: breaker.lastFailureTime
+        ? new Date(breaker.lastFailureTime).toISOString()
+        : null,
+    }])
+  );
+}
+
 /**
  * Formats uptime seconds into a human-readable string.
  *
@@ -0,0 +1,117 @@
+/**
+ * =============================================================================
+ * ASYNC JOB ROUTES
+ * =============================================================================
+ *
+ * Status, results and cancellation for jobs created with
+ * `Prefer: respond-async` (see middleware/asyncJobs.js).
+ *
+ * Endpoints:
+ * - GET    /api/jobs/:id - Job status, and the result once finished
+ * - DELETE /api/jobs/:id - Cancel an unfinished job, or discard a finished one
+ *
+ * Polling doesn't call Claude, so these routes aren't behind the Claude API
+ * rate limiter. Only the API key or token subject that submitted a job can
+ * see or cancel it; to anyone else it doesn't exist.
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { asyncHandler, localizedError } = require('../middleware/errorHandler');
+const { POLL_INTERVAL_SECONDS } = require('../middleware/asyncJobs');
+const { getCallerId } = require('../middleware/security');
+const {
+  getJob,
+  cancelJob,
+  deleteJob,
+  isJobFinished,
+  serializeJob,
+} = require('../services/jobStore');
+
+/**
+ * Looks up one of the caller's jobs or throws a 404.
+ *
+ * @param {Object} req - Express request object, with the job ID in req.params.id
+ * @returns {Object} The job
+ * @throws {ApiError} 404 if the job doesn't exist, has expired or belongs to another caller
+ */
+function findJobOrThrow(req) {
+  const { id } = req.params;
+  const job = getJob(id, getCallerId(req));
+
+  if (!job) {
+    throw localizedError(404, 'errors.jobNotFound', { id });
+  }
+
+  return job;
+}
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns the job's status. Once it has succeeded or failed, `result` holds
+ * the status code and body the request would have returned synchronously.
+ * While the job is queued or running, Retry-After suggests when to poll again.
+ *
+ * Example Response (finished):
+ * {
+ *   "success": true,
+ *   "job": {
+ *     "id": "job_3f9a...",
+ *     "status": "succeeded",
+ *     "request": { "method": "POST", "path": "/api/emotions/custom" },
+ *     "result": { "status": 200, "body": { "success": true, "response": "..." } }
+ *   }
+ * }
+ */
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const job = findJobOrThrow(req);
+
+    if (!isJobFinished(job)) {
+      res.set('Retry-After', String(POLL_INTERVAL_SECONDS));
+    }
+
+    res.json({
+      success: true,
+      job: serializeJob(job),
+    });
+  })
+);
+
+/**
+ * DELETE /api/jobs/:id
+ *
+ * Cancels a queued or running job: its in-flight Claude calls are aborted
+ * and the job stays readable with status "cancelled" until it expires.
+ * Deleting a finished job discards it and its result immediately.
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const job = findJobOrThrow(req);
+
+    if (cancelJob(job)) {
+      return res.json({
+        success: true,
+        cancelled: true,
+        job: serializeJob(job),
+      });
+    }
+
+    deleteJob(job.id);
+
+    res.json({
+      success: true,
+      deleted: true,
+      id: job.id,
+    });
+  })
+);
+
+// Export the router
+module.exports = router;
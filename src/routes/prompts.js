@@ -0,0 +1,81 @@
+/**
+ * =============================================================================
+ * PROMPT TEMPLATE ROUTES
+ * =============================================================================
+ *
+ * Read-only view of the prompt template registry (services/promptRegistry.js),
+ * so content writers can check which version of each prompt is live after
+ * editing the files in PROMPTS_DIR.
+ *
+ * Endpoints:
+ * - GET /api/prompts     - Every template with its versions
+ * - GET /api/prompts/:id - One template, with the full text of each version
+ *
+ * These routes don't call Claude, so they aren't behind the Claude API
+ * rate limiter.
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { localizedError } = require('../middleware/errorHandler');
+const {
+  listPromptTemplates,
+  getPromptTemplate,
+  getPromptRegistryStatus,
+} = require('../services/promptRegistry');
+
+/**
+ * GET /api/prompts
+ *
+ * Lists templates, their versions and the version in use (the highest).
+ * `registry.errors` lists files that failed validation on the last reload;
+ * their last good version (if any) is still the one being served.
+ *
+ * Example Response:
+ * {
+ *   "success": true,
+ *   "templates": [
+ *     {
+ *       "id": "positive-affirmation",
+ *       "description": "One uplifting first-person affirmation...",
+ *       "variables": ["emotion", "context"],
+ *       "activeVersion": 2,
+ *       "versions": [{ "version": 1, "file": "positive-affirmation.v1.md", ... }, ...]
+ *     }
+ *   ],
+ *   "registry": { "hotReload": true, "lastLoadedAt": "...", "errors": [] }
+ * }
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    templates: listPromptTemplates(),
+    registry: getPromptRegistryStatus(),
+  });
+});
+
+/**
+ * GET /api/prompts/:id
+ *
+ * Returns one template with the system and user text of every version.
+ *
+ * Example: GET /api/prompts/mood-support
+ */
+router.get('/:id', (req, res) => {
+  const template = getPromptTemplate(req.params.id);
+
+  if (!template) {
+    throw localizedError(404, 'errors.promptTemplateNotFound', { id: req.params.id });
+  }
+
+  res.json({
+    success: true,
+    template,
+  });
+});
+
+// Export the router
+module.exports = router;
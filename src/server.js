@@ -16,19 +16,23 @@
  * │  2. Helmet (security headers)                                           │
  * │  3. Additional Security Headers                                         │
  * │  4. CORS (cross-origin requests)                                        │
- * │  5. General Rate Limiter (prevent abuse)                                │
+ * │  5. Caller Identification + General Rate Limiter (per key/user or IP)   │
  * │  6. Morgan (request logging)                                            │
  * │  7. JSON Parser (parse request bodies)                                  │
  * │  8. Input Sanitization (prevent injection)                              │
  * │  9. Timeout Handler (prevent hanging requests)                          │
- * │  10. API Key Authentication (on protected routes)                       │
- * │  11. Claude API Rate Limiter (cost control)                             │
+ * │  10. API Key or JWT Authentication (on protected routes)                │
+ * │  11. Claude API Rate Limiter + Daily Token Quota (cost control)         │
  * ├─────────────────────────────────────────────────────────────────────────┤
  * │  Routes:                                                                │
  * │  - /health, /health/detailed, /health/ready - Health checks             │
  * │  - /api/info, /api/models, /api/stats - API information & monitoring    │
  * │  - /api/affirmations/* - Positive/negative affirmations                 │
  * │  - /api/emotions/* - Emotion support, quotes, analysis                  │
+ * │  - /api/batch - Several of the above in one request                     │
+ * │  - /api/jobs/:id - Status of async (Prefer: respond-async) requests     │
+ * │  - /api/admin/webhooks - Webhook subscriptions and delivery log         │
+ * │  - /api/prompts - Prompt templates and their versions                   │
  * ├─────────────────────────────────────────────────────────────────────────┤
  * │  Error Handling:                                                        │
  * │  - 404 handler for undefined routes                                     │
@@ -38,7 +42,8 @@
  * BEST PRACTICES DEMONSTRATED:
  * - Security-first middleware configuration
  * - Proper middleware ordering (security → parsing → routes → errors)
- * - Multiple rate limiters (general + API-specific for cost control)
+ * - Multiple rate limiters (general + API-specific for cost control),
+ *   counted per API key with per-key overrides
  * - Request ID tracking for debugging
  * - Graceful shutdown handling
  * - Environment-based configuration
@@ -61,16 +66,36 @@ const rateLimit = require('express-rate-limit'); // Rate limiting
 const { config, validateConfig } = require('./config');
 const { notFoundHandler, globalErrorHandler, timeoutHandler } = require('./middleware/errorHandler');
 const {
-  apiKeyAuth,
+  identifyCaller,
+  requireAuth,
+  rateLimitKey,
+  requireScope,
+  requireMethodScope,
   requestId,
   sanitizeInput,
   additionalSecurityHeaders,
 } = require('./middleware/security');
+const { contentLanguage } = require('./middleware/locale');
+const { enforceTokenQuota } = require('./middleware/tokenQuota');
+const { translateFor } = require('./services/i18n');
 
 // Route modules
 const healthRoutes = require('./routes/health');
 const affirmationsRoutes = require('./routes/affirmations');
 const emotionsRoutes = require('./routes/emotions');
+const { createBatchRouter } = require('./routes/batch');
+const jobsRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
+const promptsRoutes = require('./routes/prompts');
+const { respondAsync } = require('./middleware/asyncJobs');
+const { flushLedger } = require('./services/usageLedger');
+const { flushAuditLog } = require('./services/auditLog');
+const { restoreSpendFromLedger } = require('./services/budget');
+const { loadPromptTemplates } = require('./services/promptRegistry');
+const { loadModerationRules } = require('./services/moderation');
+const { loadApiKeys, effectiveLimits } = require('./services/apiKeyStore');
+const { loadJwtKeys } = require('./services/jwt');
+const { restoreKeyUsageFromLedger } = require('./services/tokenQuota');
 
 // =============================================================================
 // CONFIGURATION VALIDATION
@@ -93,6 +118,35 @@ try {
   process.exit(1); // Exit with error code
 }
 
+/**
+ * Load the prompt templates the routes depend on.
+ * A missing or invalid template stops startup here rather than failing
+ * requests later. (Once running, bad edits are logged and skipped instead.)
+ */
+try {
+  const count = loadPromptTemplates();
+  console.log(`✓ Loaded ${count} prompt template version(s)`);
+} catch (error) {
+  console.error('✗ Prompt template validation failed:');
+  console.error(error.message);
+  process.exit(1);
+}
+
+/**
+ * Load the output moderation rules for negative affirmations.
+ * Without them the server would send unchecked replies, so it doesn't start.
+ */
+if (config.moderation.enabled) {
+  try {
+    const count = loadModerationRules();
+    console.log(`✓ Loaded ${count} moderation rule(s)`);
+  } catch (error) {
+    console.error('✗ Moderation rule validation failed:');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
 // =============================================================================
 // EXPRESS APP INITIALIZATION
 // =============================================================================
@@ -118,6 +172,36 @@ if (config.server.isProduction) {
   app.set('trust proxy', config.security.trustProxy);
 }
 
+/**
+ * Load the API key store (API_KEYS_PATH). An invalid file stops startup;
+ * a missing one just means no stored keys.
+ */
+try {
+  const count = loadApiKeys();
+  if (count > 0) {
+    console.log(`✓ Loaded ${count} API key(s)`);
+  }
+} catch (error) {
+  console.error('✗ API key file validation failed:');
+  console.error(error.message);
+  process.exit(1);
+}
+
+/**
+ * With AUTH_MODE=jwt, check JWT_SCOPE_MAP and load the identity provider's
+ * public keys (JWT_JWKS_PATH). Either being invalid stops startup.
+ */
+if (config.security.authMode === 'jwt') {
+  try {
+    const count = loadJwtKeys();
+    console.log(`✓ JWT authentication enabled${count > 0 ? ` (${count} JWKS key(s))` : ''}`);
+  } catch (error) {
+    console.error('✗ JWT configuration validation failed:');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
 // =============================================================================
 // REQUEST TRACKING MIDDLEWARE
 // =============================================================================
@@ -163,32 +247,47 @@ app.use(additionalSecurityHeaders);
  */
 app.use(cors({
   origin: config.cors.origin,
-  methods: ['GET', 'POST', 'OPTIONS'],  // Allowed HTTP methods
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID'], // Allowed headers
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],  // Allowed HTTP methods
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID', 'X-Client-Id', 'Prefer'], // Allowed headers
   credentials: true,  // Allow cookies to be sent
   maxAge: 86400,      // Cache preflight requests for 24 hours
 }));
 
+/**
+ * Identify the caller's API key or token (if it sent a valid one) so the
+ * rate limiters below can count per key or user. Nothing is rejected here;
+ * requireAuth does that on the protected routes.
+ */
+app.use(identifyCaller);
+
 /**
  * General rate limiting to prevent abuse and DoS attacks.
  *
- * Limits each IP to a certain number of requests per time window.
- * This is a general limit; Claude API endpoints have an additional stricter limit.
+ * Limits each API key (or, without a valid key, each IP) to a certain number
+ * of requests per time window. Keys can have their own limit
+ * (limits.requestsPerWindow). This is a general limit; Claude API endpoints
+ * have an additional stricter limit.
+ *
+ * Remaining requests are reported in the standard RateLimit and
+ * RateLimit-Policy headers (IETF draft 8), one named policy per limiter.
  *
  * SECURITY: Essential for any public API
  */
 const generalLimiter = rateLimit({
   windowMs: config.rateLimit.windowMs,  // Time window
-  max: config.rateLimit.max,            // Max requests per window
-  message: {
+  // Max requests per window (the key's own limit, or RATE_LIMIT_MAX)
+  max: (req) => effectiveLimits(req.apiKey).requestsPerWindow,
+  // A function, so the message is in the client's language
+  message: (req) => ({
     success: false,
-    error: 'Too many requests, please try again later.',
+    error: translateFor(req, 'errors.rateLimited'),
     retryAfter: Math.ceil(config.rateLimit.windowMs / 1000), // Seconds
-  },
-  standardHeaders: true,  // Return rate limit info in headers
-  legacyHeaders: false,   // Disable X-RateLimit-* headers
-  // Use request ID in rate limit key for better tracking
-  keyGenerator: (req) => req.ip,
+  }),
+  standardHeaders: 'draft-8', // Return rate limit info in headers
+  identifier: 'general',      // Policy name in the headers
+  legacyHeaders: false,       // Disable X-RateLimit-* headers
+  // Count per API key, falling back to the client IP
+  keyGenerator: rateLimitKey,
 });
 
 // Apply general rate limiting to all requests
@@ -202,24 +301,36 @@ app.use(generalLimiter);
  * - Accidental cost overruns from bugs or loops
  * - Intentional abuse from bad actors
  * - Runaway costs from misconfigured clients
+ *
+ * Like the general limiter it counts per API key, and keys can have their
+ * own limit (limits.claudeRequestsPerWindow).
  */
 const claudeApiLimiter = rateLimit({
   windowMs: config.rateLimit.claudeApiWindowMs,
-  max: config.rateLimit.claudeApiMax,
-  message: {
+  max: (req) => effectiveLimits(req.apiKey).claudeRequestsPerWindow,
+  message: (req) => ({
     success: false,
-    error: 'Claude API rate limit exceeded. This limit helps control costs.',
+    error: translateFor(req, 'errors.claudeRateLimited'),
     retryAfter: Math.ceil(config.rateLimit.claudeApiWindowMs / 1000),
-  },
-  standardHeaders: true,
+  }),
+  standardHeaders: 'draft-8',
+  identifier: 'claude',
   legacyHeaders: false,
-  keyGenerator: (req) => req.ip,
+  keyGenerator: rateLimitKey,
 });
 
 // =============================================================================
 // REQUEST PARSING MIDDLEWARE
 // =============================================================================
 
+/**
+ * Keeps the body exactly as received in req.rawBody: signed requests
+ * (REQUEST_SIGNING) sign a hash of these bytes, not of the parsed JSON.
+ */
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 /**
  * Parse JSON request bodies.
  *
@@ -231,6 +342,7 @@ const claudeApiLimiter = rateLimit({
 app.use(express.json({
   limit: config.server.maxBodySize,  // Max body size (prevents large payload attacks)
   strict: true,   // Only accept arrays and objects
+  verify: keepRawBody,
 }));
 
 /**
@@ -241,6 +353,7 @@ app.use(express.json({
 app.use(express.urlencoded({
   extended: true,
   limit: config.server.maxBodySize,
+  verify: keepRawBody,
 }));
 
 /**
@@ -251,6 +364,12 @@ app.use(express.urlencoded({
  */
 app.use(sanitizeInput);
 
+/**
+ * Content-Language header for the request's locale (`lang` parameter or
+ * Accept-Language). See services/i18n.js.
+ */
+app.use(contentLanguage);
+
 // =============================================================================
 // LOGGING MIDDLEWARE
 // =============================================================================
@@ -268,13 +387,15 @@ app.use(sanitizeInput);
  * BEST PRACTICE: Use 'combined' in production for full request details
  */
 if (config.server.nodeEnv !== 'test') {
-  // Custom token for request ID
+  // Custom tokens for request ID and the caller (API key id, or token subject)
   morgan.token('request-id', (req) => req.id || '-');
+  morgan.token('api-key', (req) => req.apiKey?.id || (req.user ? `user:${req.user.sub}` : '-'));
 
-  // Custom format that includes request ID
+  // Custom format that includes request ID and caller
+  // (in production: Apache combined format with the caller as the remote user)
   const logFormat = config.server.isDevelopment
-    ? ':method :url :status :response-time ms - :request-id'
-    : 'combined';
+    ? ':method :url :status :response-time ms - :request-id :api-key'
+    : ':remote-addr - :api-key [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"';
 
   app.use(morgan(logFormat));
 }
@@ -329,24 +450,31 @@ app.get('/', (req, res) => {
     endpoints: {
       affirmations: '/api/affirmations',
       emotions: '/api/emotions',
+      batch: '/api/batch',
+      jobs: '/api/jobs/:id',
+      prompts: '/api/prompts',
     },
     security: {
-      authentication: config.security.requireApiKey
-        ? 'API key required (X-API-Key header)'
-        : 'Not required (development mode)',
+      authentication: config.security.authMode === 'jwt'
+        ? 'Bearer token required (Authorization header)'
+        : config.security.requireApiKey
+          ? 'API key required (X-API-Key header)'
+          : 'Not required (development mode)',
     },
   });
 });
 
 // =============================================================================
-// ROUTES - PROTECTED (API key authentication + stricter rate limiting)
+// ROUTES - PROTECTED (authentication + stricter rate limiting)
 // =============================================================================
 
 /**
- * Apply API key authentication to all Claude API endpoints.
+ * Apply authentication to all Claude API endpoints.
  *
  * SECURITY: When REQUIRE_API_KEY=true, all requests to these endpoints
- * must include a valid API key in the X-API-Key header.
+ * must include a valid API key in the X-API-Key header; with AUTH_MODE=jwt,
+ * a valid bearer token from the identity provider. Each route group below
+ * declares the scope the caller needs (requireScope).
  *
  * This protects against:
  * - Unauthorized access to your API
@@ -355,15 +483,66 @@ app.get('/', (req, res) => {
  */
 const protectedRoutes = express.Router();
 
-// Apply API key authentication (checks REQUIRE_API_KEY config)
-protectedRoutes.use(apiKeyAuth);
+// Apply authentication (checks AUTH_MODE and REQUIRE_API_KEY config)
+protectedRoutes.use(requireAuth);
+
+/**
+ * Routes that call Claude, behind the stricter Claude API rate limiter and
+ * the caller's daily token quota (API_KEY_DAILY_TOKEN_QUOTA or the key's own
+ * limits.dailyTokens). Kept in their own router so /api/batch can dispatch
+ * sub-requests through exactly the same stack.
+ *
+ * Each route group is fronted by respondAsync: POSTs sent with
+ * `Prefer: respond-async` are accepted as background jobs (202) and handed
+ * to the group's router once a job slot is free.
+ */
+const claudeRoutes = express.Router();
+claudeRoutes.use(claudeApiLimiter);
+// Scopes: <group>:read for GET, <group>:write otherwise (checked before a job is accepted,
+// like the token quota)
+claudeRoutes.use('/affirmations', requireMethodScope('affirmations'), enforceTokenQuota, respondAsync(affirmationsRoutes), affirmationsRoutes);
+claudeRoutes.use('/emotions', requireMethodScope('emotions'), enforceTokenQuota, respondAsync(emotionsRoutes), emotionsRoutes);
 
-// Apply stricter rate limiting for Claude API calls (cost protection)
-protectedRoutes.use(claudeApiLimiter);
+/**
+ * POST /api/batch
+ *
+ * Mounted before the Claude API rate limiter: the batch itself isn't
+ * counted, but each of its sub-requests is (COST PROTECTION).
+ * A whole batch can also run as one async job.
+ */
+const batchRoutes = createBatchRouter(claudeRoutes);
+protectedRoutes.use('/batch', respondAsync(batchRoutes), batchRoutes);
+
+/**
+ * GET/DELETE /api/jobs/:id
+ *
+ * Polling and cancelling async jobs. Not behind the Claude API rate limiter:
+ * checking on a job doesn't call Claude. Only the key or token subject that
+ * submitted a job can see or cancel it (others get a 404); the scope was
+ * checked when the job was submitted.
+ */
+protectedRoutes.use('/jobs', jobsRoutes);
+
+/**
+ * /api/admin/*
+ *
+ * Operational endpoints (webhook subscriptions and delivery log).
+ * Not behind the Claude API rate limiter: they never call Claude.
+ * Requires the `admin` scope.
+ */
+protectedRoutes.use('/admin', requireScope('admin'), adminRoutes);
+
+/**
+ * GET /api/prompts[/:id]
+ *
+ * Prompt templates and their versions. Read-only and never calls Claude,
+ * so it is not behind the Claude API rate limiter. Requires `prompts:read`.
+ */
+protectedRoutes.use('/prompts', requireScope('prompts:read'), promptsRoutes);
 
 // Mount the protected routes
-protectedRoutes.use('/affirmations', affirmationsRoutes);
-protectedRoutes.use('/emotions', emotionsRoutes);
+// (the rate limiter in claudeRoutes also covers every route mounted after it)
+protectedRoutes.use(claudeRoutes);
 
 /**
  * GET /api/validate
@@ -376,22 +555,51 @@ protectedRoutes.use('/emotions', emotionsRoutes);
  *
  * Usage:
  *   curl -H "X-API-Key: your-key" http://localhost:3000/api/validate
+ *   curl -H "Authorization: Bearer <token>" http://localhost:3000/api/validate  (AUTH_MODE=jwt)
  *
  * Returns:
- *   - 200 with valid: true if the key is valid (or auth is disabled)
- *   - 401 if the key is invalid or missing (when auth is required)
+ *   - 200 with valid: true if the key is valid (or auth is disabled), plus
+ *     the key's id, label, scopes, expiry and limits - or, for a token,
+ *     its subject, scopes, issuer, expiry and limits
+ *   - 401 if the key or token is invalid or missing (when auth is required)
  */
 protectedRoutes.get('/validate', (req, res) => {
-  // If we reach this point, the API key was valid (or auth is disabled)
-  // The apiKeyAuth middleware would have rejected invalid keys
+  // If we reach this point, the API key or token was valid (or auth is
+  // disabled). The requireAuth middleware would have rejected invalid ones
+  const key = req.apiKey;
+  const user = req.user;
 
   res.json({
     success: true,
     valid: true,
-    message: config.security.requireApiKey
-      ? 'API key is valid'
-      : 'API key authentication is not enabled (development mode)',
-    authRequired: config.security.requireApiKey,
+    message: user
+      ? 'Token is valid'
+      : config.security.requireApiKey
+        ? 'API key is valid'
+        : 'API key authentication is not enabled (development mode)',
+    authRequired: config.security.authRequired,
+    ...(user && {
+      user: {
+        sub: user.sub,
+        scopes: user.scopes,
+        issuer: user.issuer,
+        expiresAt: user.expiresAt,
+        limits: effectiveLimits(user),
+      },
+    }),
+    ...(key && {
+      key: {
+        id: key.id,
+        label: key.label,
+        scopes: key.scopes,
+        expiresAt: key.expiresAt,
+        limits: effectiveLimits(key),
+      },
+    }),
+    // The client sent a rotated key's old secret: tell it to switch
+    ...(key?.usingPreviousSecret && {
+      warning: `This key has been rotated. The secret you sent stops working at ${key.previousSecretExpiresAt}; switch to the new one.`,
+    }),
     timestamp: new Date().toISOString(),
   });
 });
@@ -428,10 +636,20 @@ app.use(globalErrorHandler);
  * We store the server instance for graceful shutdown handling.
  */
 const server = app.listen(config.server.port, () => {
+  // Carry this month's spend across restarts so budgets stay enforced
+  restoreSpendFromLedger().catch((error) => {
+    console.error(`[Budget] Failed to restore spend from usage ledger: ${error.message}`);
+  });
+  // ...and today's per-caller token usage, so quotas do too
+  restoreKeyUsageFromLedger().catch((error) => {
+    console.error(`[Quota] Failed to restore token usage from usage ledger: ${error.message}`);
+  });
+
   console.log('='.repeat(70));
   console.log('  Claude AI Emotions API');
   console.log('='.repeat(70));
   console.log(`  Environment:     ${config.server.nodeEnv}`);
+  console.log(`  LLM Provider:    ${config.llm.provider}${config.llm.provider === 'mock' ? ' (offline canned responses)' : ''}`);
   console.log(`  Server:          http://localhost:${config.server.port}`);
   console.log(`  API Info:        http://localhost:${config.server.port}/api/info`);
   console.log(`  Health Check:    http://localhost:${config.server.port}/health`);
@@ -439,13 +657,23 @@ const server = app.listen(config.server.port, () => {
   console.log(`  Stats:           http://localhost:${config.server.port}/api/stats`);
   console.log('-'.repeat(70));
   console.log('  Security:');
-  console.log(`    API Key Auth:  ${config.security.requireApiKey ? 'ENABLED' : 'DISABLED'}`);
-  console.log(`    Rate Limit:    ${config.rateLimit.max} requests per ${config.rateLimit.windowMs / 60000} min`);
-  console.log(`    Claude Limit:  ${config.rateLimit.claudeApiMax} requests per ${config.rateLimit.claudeApiWindowMs / 60000} min`);
+  if (config.security.authMode === 'jwt') {
+    console.log(`    JWT Auth:      ENABLED (${[config.jwt.secret && 'HS256', config.jwt.jwksPath && 'RS256/ES256'].filter(Boolean).join(', ')})`);
+  } else {
+    console.log(`    API Key Auth:  ${config.security.requireApiKey ? 'ENABLED' : 'DISABLED'}`);
+    if (config.requestSigning.mode !== 'off') {
+      console.log(`    Signing:       ${config.requestSigning.mode.toUpperCase()} (${Object.keys(config.requestSigning.secrets).length} key(s), ±${config.requestSigning.maxSkewSeconds}s)`);
+    }
+  }
+  console.log(`    Rate Limit:    ${config.rateLimit.max} requests per key per ${config.rateLimit.windowMs / 60000} min`);
+  console.log(`    Claude Limit:  ${config.rateLimit.claudeApiMax} requests per key per ${config.rateLimit.claudeApiWindowMs / 60000} min`);
   console.log('-'.repeat(70));
   console.log('  Cost Protection:');
   console.log(`    Hard Max Tokens: ${config.anthropic.hardMaxTokens}`);
   console.log(`    Max Prompt Len:  ${config.anthropic.maxPromptLength} chars`);
+  console.log(`    Daily Budget:    ${config.budgets.dailyUsd ? `$${config.budgets.dailyUsd}` : 'none'}`);
+  console.log(`    Monthly Budget:  ${config.budgets.monthlyUsd ? `$${config.budgets.monthlyUsd}` : 'none'}`);
+  console.log(`    Key Token Quota: ${config.rateLimit.keyDailyTokenQuota ? `${config.rateLimit.keyDailyTokenQuota} tokens/day` : 'none'}`);
   console.log('-'.repeat(70));
   console.log('  Available Endpoints:');
   console.log('    GET/POST  /api/affirmations/positive');
@@ -455,6 +683,13 @@ const server = app.listen(config.server.port, () => {
   console.log('    GET       /api/emotions/wellness-tip');
   console.log('    POST      /api/emotions/analyze');
   console.log('    POST      /api/emotions/custom');
+  console.log('    POST      /api/emotions/conversations');
+  console.log('    POST      /api/emotions/conversations/:id/messages');
+  console.log('    GET/DEL   /api/emotions/conversations/:id');
+  console.log('    POST      /api/batch');
+  console.log('    GET/DEL   /api/jobs/:id');
+  console.log('    GET       /api/admin/webhooks[/deliveries]');
+  console.log('    GET       /api/prompts[/:id]');
   console.log('='.repeat(70));
 });
 
@@ -474,8 +709,11 @@ function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Shutting down gracefully...`);
 
   // Stop accepting new connections
-  server.close(() => {
+  server.close(async () => {
     console.log('Server closed. All pending requests completed.');
+    // Make sure the last usage ledger and audit log entries reach disk
+    await flushLedger();
+    await flushAuditLog();
     process.exit(0);
   });
 
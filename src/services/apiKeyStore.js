@@ -0,0 +1,637 @@
+/**
+ * =============================================================================
+ * API KEY STORE
+ * =============================================================================
+ *
+ * Multiple API keys, each with its own label, scopes, expiry and enabled
+ * flag, kept in a local JSON file (API_KEYS_PATH). Clients no longer share
+ * one secret, so a key can be revoked without breaking everyone else.
+ *
+ * KEY FORMAT:
+ *   key_3f9a1c2b7d4e.R2l2ZSBtZSBhIGJyZWFrLCB0aGlzIGlzIGEgc2VjcmV0
+ *   \_____________/ \__________________________________________/
+ *      key id                     secret (32 random bytes)
+ *
+ * The id is public: it names the caller in logs and stats (req.apiKey.id).
+ * Only a salted SHA-256 hash of the secret is stored, so a leaked key file
+ * doesn't leak working keys. (A fast hash is enough here: the secrets are
+ * random, not passwords, so there is nothing to brute-force.)
+ *
+ * FILE FORMAT:
+ *   {
+ *     "keys": [{
+ *       "id": "key_3f9a1c2b7d4e",
+ *       "label": "Mobile app",
+ *       "scopes": ["affirmations:read", "emotions:read", "emotions:write"],
+ *       "salt": "...", "hash": "...",
+ *       "enabled": true,
+ *       "expiresAt": "2027-01-01T00:00:00.000Z" | null,
+ *       "createdAt": "2026-10-19T12:00:00.000Z",
+ *       "rotatedAt": "...",                                      (after a rotation)
+ *       "previous": { "salt": "...", "hash": "...", "expiresAt": "..." } (grace period)
+ *       "limits": { "requestsPerWindow": 300, "dailyTokens": 2000000 }   (optional)
+ *     }]
+ *   }
+ *
+ * Manage keys through /api/admin/keys (routes/admin.js) or with
+ * `npm run api-keys -- create --label "Mobile app" --scopes ...`
+ * (scripts/api-keys.js). The file is watched, so changes made by the script
+ * while the server is running take effect within a few seconds.
+ *
+ * ROTATION:
+ * Rotating a key gives it a new secret but keeps its id, label and scopes.
+ * The old secret keeps working for a grace period (stored as `previous`),
+ * so clients can switch over without downtime. Rotating again before the
+ * grace period ends retires the older secret immediately.
+ *
+ * LIMITS:
+ * Rate limits and daily token quotas are counted per key. A key's `limits`
+ * override the defaults for that key only; anything it doesn't set falls
+ * back to RATE_LIMIT_MAX, CLAUDE_API_RATE_LIMIT_MAX and
+ * API_KEY_DAILY_TOKEN_QUOTA (see effectiveLimits).
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Secrets are shown once at creation and never stored or logged
+ * - Timing-safe hash comparison
+ * - The file is validated on load; a bad edit keeps the last good keys
+ * - Atomic writes (temp file + rename), readable by the owner only
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+
+/**
+ * Scopes a key can hold. Routes declare which one they need
+ * (see requireScope in middleware/security.js).
+ */
+const API_KEY_SCOPES = [
+  'affirmations:read',  // GET  /api/affirmations/*
+  'affirmations:write', // POST /api/affirmations/*
+  'emotions:read',      // GET  /api/emotions/*
+  'emotions:write',     // POST/DELETE /api/emotions/*
+  'prompts:read',       // GET  /api/prompts/*
+  'admin',              // /api/admin/* and /api/stats
+];
+
+/**
+ * Per-key overrides a key's `limits` may set.
+ */
+const API_KEY_LIMITS = [
+  'requestsPerWindow',       // Any request, per RATE_LIMIT_WINDOW_MINUTES
+  'claudeRequestsPerWindow', // Requests that call Claude, per CLAUDE_API_RATE_LIMIT_WINDOW_MINUTES
+  'dailyTokens',             // Input + output tokens per UTC day (0 = unlimited)
+];
+
+const KEY_ID_PATTERN = /^key_[a-f0-9]{12}$/;
+
+// Identity given to the single API_KEY from the environment. It has every
+// scope and the default limits.
+const ENV_API_KEY = Object.freeze({
+  id: 'env',
+  label: 'API_KEY environment variable',
+  scopes: API_KEY_SCOPES,
+  expiresAt: null,
+});
+
+// How often the key file is checked for changes
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * Hashes a secret with a key's salt.
+ *
+ * @param {string} secret - Secret part of the key
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashSecret(secret, salt) {
+  return crypto.createHash('sha256').update(salt).update(secret).digest('hex');
+}
+
+/**
+ * Checks a secret against a stored salt and hash in constant time.
+ *
+ * @param {string} secret - Secret part of the presented key
+ * @param {{ salt: string, hash: string }} stored - Stored salt and hash
+ * @returns {boolean} True if the secret matches
+ */
+function secretMatches(secret, stored) {
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret, stored.salt), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Checks whether a rotated key's old secret is still in its grace period.
+ *
+ * @param {Object} key - Stored key record
+ * @returns {boolean} True if the previous secret still works
+ */
+function inGracePeriod(key) {
+  return Boolean(key.previous) && Date.parse(key.previous.expiresAt) > Date.now();
+}
+
+/**
+ * Returns a key record without its salts and hashes.
+ *
+ * @param {Object} key - Stored key record
+ * @returns {Object} Safe to return from the API and to log
+ */
+function publicKey(key) {
+  const { salt, hash, previous, ...rest } = key;
+  return {
+    ...rest,
+    previousSecretExpiresAt: inGracePeriod(key) ? previous.expiresAt : null,
+  };
+}
+
+/**
+ * Checks a key's limit overrides.
+ *
+ * @param {*} limits - The `limits` of a key record
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateKeyLimits(limits) {
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return [`"limits" must be an object with any of: ${API_KEY_LIMITS.join(', ')}`];
+  }
+
+  const problems = [];
+  for (const [name, value] of Object.entries(limits)) {
+    if (!API_KEY_LIMITS.includes(name)) {
+      problems.push(`"limits.${name}" is not a limit (use: ${API_KEY_LIMITS.join(', ')})`);
+    } else if (name === 'dailyTokens' ? !(Number.isInteger(value) && value >= 0) : !(Number.isInteger(value) && value > 0)) {
+      problems.push(`"limits.${name}" must be a ${name === 'dailyTokens' ? 'non-negative' : 'positive'} integer`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Checks the fields of one key record (apart from its id).
+ *
+ * @param {Object} key - Key record
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateKey(key) {
+  const problems = [];
+
+  if (typeof key.salt !== 'string' || typeof key.hash !== 'string' || !/^[a-f0-9]{64}$/.test(key.hash)) {
+    problems.push('must have a "salt" and a SHA-256 "hash"');
+  }
+  if (!Array.isArray(key.scopes) || key.scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    problems.push(`"scopes" must be a list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  if (typeof key.enabled !== 'boolean') {
+    problems.push('"enabled" must be true or false');
+  }
+  if (key.expiresAt != null && Number.isNaN(Date.parse(key.expiresAt))) {
+    problems.push('"expiresAt" must be an ISO 8601 date or null');
+  }
+  if (key.previous != null && (typeof key.previous.salt !== 'string' || !/^[a-f0-9]{64}$/.test(key.previous.hash) ||
+      Number.isNaN(Date.parse(key.previous.expiresAt)))) {
+    problems.push('"previous" must have a "salt", a SHA-256 "hash" and an "expiresAt" date');
+  }
+  if (key.limits != null) {
+    problems.push(...validateKeyLimits(key.limits));
+  }
+
+  return problems;
+}
+
+/**
+ * Checks the records in a key file.
+ *
+ * @param {*} parsed - Parsed file contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateKeyFile(parsed) {
+  if (!parsed || !Array.isArray(parsed.keys)) {
+    return ['the file must contain a "keys" array'];
+  }
+
+  const problems = [];
+  const ids = new Set();
+
+  parsed.keys.forEach((key, index) => {
+    const label = `keys[${index}]`;
+
+    if (!key || typeof key.id !== 'string' || !KEY_ID_PATTERN.test(key.id)) {
+      problems.push(`${label} must have an "id" like key_<12 hex digits>`);
+      return;
+    }
+    if (ids.has(key.id)) {
+      problems.push(`${label}: id "${key.id}" is used more than once`);
+    }
+    ids.add(key.id);
+
+    problems.push(...validateKey(key).map((problem) => `${label} (${key.id}): ${problem}`));
+  });
+
+  return problems;
+}
+
+/**
+ * The store: every key in API_KEYS_PATH, by id.
+ */
+const apiKeyStore = {
+  keys: new Map(),
+  lastLoadedAt: null,
+  watching: false,
+  // Modification time of our own last write (so it doesn't trigger a reload)
+  savedMtimeMs: null,
+
+  /**
+   * Reads and validates the key file. A missing file means no keys.
+   *
+   * @returns {Map<string, Object>} Keys by id
+   * @throws {Error} If the file can't be parsed or is invalid
+   */
+  read() {
+    const file = config.security.apiKeysPath;
+    if (!fs.existsSync(file)) {
+      return new Map();
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read API keys from ${file}: ${error.message}`);
+    }
+
+    const problems = validateKeyFile(parsed);
+    if (problems.length > 0) {
+      throw new Error(`Invalid API key file ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return new Map(parsed.keys.map((key) => [key.id, key]));
+  },
+
+  /**
+   * Loads the keys and (by default) starts watching the file.
+   *
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.watch=true] - Reload when the file changes
+   * @returns {number} Number of keys loaded
+   * @throws {Error} If the file is invalid
+   */
+  load({ watch = true } = {}) {
+    this.keys = this.read();
+    this.lastLoadedAt = new Date().toISOString();
+
+    if (watch && !this.watching) {
+      // persistent: false - never keep the process alive just to watch a file
+      fs.watchFile(config.security.apiKeysPath, { interval: WATCH_INTERVAL_MS, persistent: false }, (current) => {
+        if (current.mtimeMs !== this.savedMtimeMs) {
+          this.reload();
+        }
+      });
+      this.watching = true;
+    }
+
+    return this.keys.size;
+  },
+
+  /**
+   * Reloads after a change. Never throws: a bad edit is logged and the
+   * last good keys stay in use.
+   */
+  reload() {
+    try {
+      this.keys = this.read();
+      this.lastLoadedAt = new Date().toISOString();
+      console.log(`[API Keys] Reloaded ${this.keys.size} key(s) from ${config.security.apiKeysPath}`);
+    } catch (error) {
+      console.error(`[API Keys] Keeping the last good keys: ${error.message}`);
+    }
+  },
+
+  /**
+   * Writes a new set of keys to the file (temp file + rename, so readers
+   * never see a half-written file), then makes it the live set.
+   *
+   * Memory only changes once the file has been written: if the write fails,
+   * the error is thrown and the keys in use stay exactly as they were, so
+   * a change can never be live without being saved.
+   *
+   * @param {Map<string, Object>} keys - Every key, by id
+   * @throws {Error} If the file can't be written
+   */
+  save(keys) {
+    const file = config.security.apiKeysPath;
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const contents = JSON.stringify({ keys: [...keys.values()] }, null, 2) + '\n';
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(tempFile, contents, { mode: 0o600 });
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      throw error;
+    }
+
+    this.keys = keys;
+    this.savedMtimeMs = fs.statSync(file).mtimeMs;
+    this.lastLoadedAt = new Date().toISOString();
+  },
+
+  /**
+   * Saves the keys with one key added, replaced or removed.
+   *
+   * @param {string} id - Key id
+   * @param {Object|null} key - New record, or null to remove the key
+   * @throws {Error} If the file can't be written (the store is left unchanged)
+   */
+  put(id, key) {
+    const keys = new Map(this.keys);
+    if (key) {
+      keys.set(id, key);
+    } else {
+      keys.delete(id);
+    }
+    this.save(keys);
+  },
+};
+
+/**
+ * Loads API_KEYS_PATH. Call once at startup.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.watch=true] - Reload when the file changes
+ * @returns {number} Number of keys loaded
+ * @throws {Error} If the file is invalid
+ */
+function loadApiKeys(options) {
+  return apiKeyStore.load(options);
+}
+
+/**
+ * Checks whether any keys are stored.
+ *
+ * @returns {boolean} True if the store has at least one key
+ */
+function hasApiKeys() {
+  return apiKeyStore.keys.size > 0;
+}
+
+/**
+ * Looks up the key a client presented.
+ *
+ * @param {string} presented - Full key as sent by the client ("<id>.<secret>")
+ * @returns {{ status: 'valid'|'expired'|'disabled'|'invalid', key?: Object, previousSecret?: boolean }}
+ *   The outcome, with the public key record unless the key is invalid.
+ *   previousSecret is true when the client sent a rotated key's old secret.
+ */
+function verifyApiKey(presented) {
+  const separator = typeof presented === 'string' ? presented.indexOf('.') : -1;
+  const stored = separator > 0 ? apiKeyStore.keys.get(presented.slice(0, separator)) : undefined;
+
+  if (!stored) {
+    return { status: 'invalid' };
+  }
+
+  const secret = presented.slice(separator + 1);
+  const previousSecret = !secretMatches(secret, stored);
+  if (previousSecret && !(inGracePeriod(stored) && secretMatches(secret, stored.previous))) {
+    return { status: 'invalid' };
+  }
+
+  if (!stored.enabled) {
+    return { status: 'disabled', key: publicKey(stored) };
+  }
+  if (stored.expiresAt && Date.parse(stored.expiresAt) <= Date.now()) {
+    return { status: 'expired', key: publicKey(stored) };
+  }
+
+  return { status: 'valid', key: publicKey(stored), previousSecret };
+}
+
+/**
+ * Generates a new secret for a key id.
+ *
+ * @param {string} id - Key id
+ * @returns {{ salt: string, hash: string, secret: string }} Salt and hash to
+ *   store, and the full key to hand to the client
+ */
+function generateSecret(id) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { salt, hash: hashSecret(secret, salt), secret: `${id}.${secret}` };
+}
+
+/**
+ * Creates a key and saves it.
+ *
+ * @param {Object} options - Key options
+ * @param {string} options.label - Who or what the key is for
+ * @param {Array<string>} options.scopes - Scopes from API_KEY_SCOPES
+ * @param {string|null} [options.expiresAt] - ISO 8601 expiry (null = never)
+ * @param {Object|null} [options.limits] - Overrides of the default limits
+ *   (see API_KEY_LIMITS; null = the defaults)
+ * @returns {{ key: Object, secret: string }} The public record and the full
+ *   key to hand to the client (shown once; it can't be recovered later)
+ * @throws {Error} If the options are invalid
+ */
+function createApiKey({ label, scopes, expiresAt = null, limits = null }) {
+  let id;
+  do {
+    id = `key_${crypto.randomBytes(6).toString('hex')}`;
+  } while (apiKeyStore.keys.has(id));
+
+  const { salt, hash, secret } = generateSecret(id);
+  const key = {
+    id,
+    label: String(label || '').trim(),
+    scopes: [...new Set(scopes)],
+    salt,
+    hash,
+    enabled: true,
+    // Invalid dates are kept as given so validation reports them
+    expiresAt: expiresAt && !Number.isNaN(Date.parse(expiresAt)) ? new Date(expiresAt).toISOString() : expiresAt || null,
+    createdAt: new Date().toISOString(),
+    ...(limits && Object.keys(limits).length > 0 && { limits }),
+  };
+
+  const problems = validateKey(key);
+  if (!key.label) {
+    problems.push('"label" is required');
+  }
+  if (key.scopes.length === 0) {
+    problems.push('at least one scope is required');
+  }
+  if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+    problems.push('"expiresAt" must be in the future');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid API key: ${problems.join('; ')}`);
+  }
+
+  apiKeyStore.put(id, key);
+
+  return { key: publicKey(key), secret };
+}
+
+/**
+ * Gets one key (without secrets or hashes).
+ *
+ * @param {string} id - Key id
+ * @returns {Object|null} Public key record, or null if there is no such key
+ */
+function getApiKey(id) {
+  const key = apiKeyStore.keys.get(id);
+  return key ? publicKey(key) : null;
+}
+
+/**
+ * Gives a key a new secret. The old one keeps working for the grace period.
+ *
+ * @param {string} id - Key id
+ * @param {number} [graceSeconds] - How long the old secret keeps working
+ *   (default API_KEY_ROTATION_GRACE_SECONDS; 0 retires it immediately)
+ * @returns {{ key: Object, secret: string }|null} The public record and the
+ *   new full key (shown once), or null if there is no such key
+ */
+function rotateApiKey(id, graceSeconds = config.security.keyRotationGraceSeconds) {
+  const key = apiKeyStore.keys.get(id);
+  if (!key) {
+    return null;
+  }
+
+  const { salt, hash, secret } = generateSecret(id);
+  const rotated = {
+    ...key,
+    salt,
+    hash,
+    previous: graceSeconds > 0
+      ? { salt: key.salt, hash: key.hash, expiresAt: new Date(Date.now() + graceSeconds * 1000).toISOString() }
+      : null,
+    rotatedAt: new Date().toISOString(),
+  };
+
+  apiKeyStore.put(id, rotated);
+
+  return { key: publicKey(rotated), secret };
+}
+
+/**
+ * Enables or disables a key. Disabled keys are rejected like unknown ones.
+ *
+ * @param {string} id - Key id
+ * @param {boolean} enabled - New state
+ * @returns {Object|null} Public key record, or null if there is no such key
+ */
+function setApiKeyEnabled(id, enabled) {
+  const key = apiKeyStore.keys.get(id);
+  if (!key) {
+    return null;
+  }
+
+  const updated = { ...key, enabled };
+  apiKeyStore.put(id, updated);
+
+  return publicKey(updated);
+}
+
+/**
+ * Changes a key's limit overrides. Limits not mentioned are kept; a limit
+ * set to null goes back to the default.
+ *
+ * @param {string} id - Key id
+ * @param {Object} changes - Limits to set (see API_KEY_LIMITS)
+ * @returns {Object|null} Public key record, or null if there is no such key
+ * @throws {Error} If a limit is invalid
+ */
+function setApiKeyLimits(id, changes) {
+  const key = apiKeyStore.keys.get(id);
+  if (!key) {
+    return null;
+  }
+
+  const limits = Object.fromEntries(
+    Object.entries({ ...key.limits, ...changes }).filter(([, value]) => value !== null)
+  );
+
+  const problems = validateKeyLimits(limits);
+  if (problems.length > 0) {
+    throw new Error(`Invalid API key limits: ${problems.join('; ')}`);
+  }
+
+  const updated = { ...key, limits };
+  if (Object.keys(limits).length === 0) {
+    delete updated.limits;
+  }
+  apiKeyStore.put(id, updated);
+
+  return publicKey(updated);
+}
+
+/**
+ * Gets the limits that apply to a caller: the key's own overrides, then
+ * the configured defaults.
+ *
+ * Token subjects (req.user) have no overrides, so they get the defaults,
+ * including API_KEY_DAILY_TOKEN_QUOTA. Anonymous requests (authentication
+ * disabled) get the default rate limits and no token quota - there is no
+ * caller to count tokens against.
+ *
+ * @param {Object} [caller] - The caller's key (req.apiKey) or token subject (req.user), if any
+ * @returns {{ requestsPerWindow: number, claudeRequestsPerWindow: number, dailyTokens: number }}
+ *   Effective limits (dailyTokens 0 = unlimited)
+ */
+function effectiveLimits(caller) {
+  const limits = caller?.limits || {};
+
+  return {
+    requestsPerWindow: limits.requestsPerWindow ?? config.rateLimit.max,
+    claudeRequestsPerWindow: limits.claudeRequestsPerWindow ?? config.rateLimit.claudeApiMax,
+    dailyTokens: caller ? limits.dailyTokens ?? config.rateLimit.keyDailyTokenQuota : 0,
+  };
+}
+
+/**
+ * Deletes a key for good.
+ *
+ * @param {string} id - Key id
+ * @returns {boolean} True if the key existed
+ */
+function deleteApiKey(id) {
+  if (!apiKeyStore.keys.has(id)) {
+    return false;
+  }
+
+  apiKeyStore.put(id, null);
+  return true;
+}
+
+/**
+ * Lists every stored key (without secrets or hashes).
+ *
+ * @returns {Array<Object>} Public key records, oldest first
+ */
+function listApiKeys() {
+  return [...apiKeyStore.keys.values()].map(publicKey);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_LIMITS,
+  ENV_API_KEY,
+  loadApiKeys,
+  hasApiKeys,
+  verifyApiKey,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  rotateApiKey,
+  setApiKeyEnabled,
+  setApiKeyLimits,
+  deleteApiKey,
+  validateKeyLimits,
+  effectiveLimits,
+};
@@ -0,0 +1,160 @@
+/**
+ * =============================================================================
+ * ADMIN AUDIT LOG
+ * =============================================================================
+ *
+ * Records every admin action (creating, rotating, limiting, disabling and
+ * deleting API keys, sending test webhooks) with who did it and when, in an
+ * append-only JSON Lines file (AUDIT_LOG_PATH).
+ *
+ * ENTRY FORMAT:
+ *   {
+ *     "timestamp": "2026-10-19T12:00:00.000Z",
+ *     "requestId": "req_...",
+ *     "action": "key.rotate",
+ *     "actor": { "keyId": "key_3f9a1c2b7d4e", "label": "Ops", "subject": null, "ip": "203.0.113.7" },
+ *     "target": "key_8d2e4f6a1b3c",
+ *     "details": { "graceSeconds": 86400 }
+ *   }
+ *
+ * With AUTH_MODE=jwt, `actor.subject` is the token's subject and `keyId` is
+ * null. Both are null when authentication is disabled.
+ * Secrets are never recorded.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Append-only writes, serialized so lines never interleave
+ * - Audit failures are logged loudly but never fail the admin request
+ *   (the action has already happened)
+ * - Reads stream the file and keep only the newest entries in memory
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { config } = require('../config');
+
+// Actions recorded in the log
+const AUDIT_ACTIONS = [
+  'key.create',
+  'key.rotate',
+  'key.limits',
+  'key.disable',
+  'key.enable',
+  'key.delete',
+  'webhook.test',
+];
+
+/**
+ * Serializes writes so concurrent requests can't interleave partial lines.
+ */
+let writeChain = Promise.resolve();
+let directoryReady = false;
+
+/**
+ * Records an admin action. Returns immediately; the write happens in the
+ * background.
+ *
+ * @param {Object} req - Express request object (identifies the actor)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [options] - Entry details
+ * @param {string} [options.target] - What the action was applied to (e.g. a key id)
+ * @param {Object} [options.details] - Extra non-secret details
+ */
+function recordAdminAction(req, action, { target = null, details = {} } = {}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    requestId: req.id,
+    action,
+    actor: {
+      keyId: req.apiKey?.id || null,
+      label: req.apiKey?.label || null,
+      subject: req.user?.sub || null,
+      ip: req.ip,
+    },
+    target,
+    details,
+  };
+
+  console.log(`[Audit] ${action}${target ? ` ${target}` : ''} by ${entry.actor.keyId || entry.actor.subject || entry.actor.ip}`);
+
+  const line = JSON.stringify(entry) + '\n';
+
+  writeChain = writeChain
+    .then(async () => {
+      if (!directoryReady) {
+        await fs.promises.mkdir(path.dirname(config.audit.filePath), { recursive: true });
+        directoryReady = true;
+      }
+      await fs.promises.appendFile(config.audit.filePath, line, 'utf8');
+    })
+    .catch((error) => {
+      console.error(`[Audit] FAILED to record ${action} (${req.id}): ${error.message}`);
+    });
+}
+
+/**
+ * Waits for all pending audit writes to finish.
+ *
+ * @returns {Promise<void>}
+ */
+function flushAuditLog() {
+  return writeChain;
+}
+
+/**
+ * Reads the newest audit entries.
+ *
+ * @param {Object} [options] - Query options
+ * @param {string} [options.action] - Only this action
+ * @param {string} [options.target] - Only entries for this target
+ * @param {number} [options.limit=50] - Maximum entries to return
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+async function readAuditLog({ action, target, limit = 50 } = {}) {
+  await flushAuditLog();
+
+  // A missing file simply means nothing has been recorded yet
+  if (!fs.existsSync(config.audit.filePath)) {
+    return [];
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(config.audit.filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+
+  const newest = [];
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // Skip a corrupt line (e.g. a partial write during a crash)
+      continue;
+    }
+
+    if ((action && entry.action !== action) || (target && entry.target !== target)) {
+      continue;
+    }
+
+    newest.push(entry);
+    if (newest.length > limit) {
+      newest.shift();
+    }
+  }
+
+  return newest.reverse();
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAdminAction,
+  flushAuditLog,
+  readAuditLog,
+};
@@ -0,0 +1,319 @@
+/**
+ * =============================================================================
+ * SPEND BUDGETS
+ * =============================================================================
+ *
+ * This module enforces daily and monthly spend limits (BUDGET_DAILY_USD,
+ * BUDGET_MONTHLY_USD). Per-request token caps and rate limits bound the cost
+ * of one request, but not the total; a burst of legitimate traffic can still
+ * run up a large bill. Budgets put a hard ceiling on that.
+ *
+ * HOW IT WORKS:
+ * 1. Before each Claude call, the worst-case cost is estimated from the
+ *    prompt size and the effective max_tokens
+ * 2. If spend + in-flight reservations + worst case would exceed a budget,
+ *    the request is rejected with a 429 and the time the budget resets
+ * 3. Otherwise the worst case is reserved until the call finishes, so a
+ *    burst of concurrent requests can't overshoot the budget together
+ * 4. When the call finishes, the reservation is released and the actual
+ *    cost is added to spend
+ *
+ * Budget periods are calendar days and months in UTC. Spend is restored
+ * from the usage ledger on startup, so restarts don't reset budgets.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Fail closed on cost: reject before calling, not after
+ * - Reservations for in-flight requests (no concurrent overshoot)
+ * - Warnings at configurable thresholds, logged (and sent as webhook events)
+ *   once per period
+ * - Clear error with reset time and a Retry-After header
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+const { localizedError } = require('../middleware/errorHandler');
+const { calculateCost, roundUsd } = require('./pricing');
+const { queryUsage } = require('./usageLedger');
+const { emitEvent } = require('./webhooks');
+
+// Rough characters-per-token ratio used to estimate prompt size
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Gets the UTC day and month a timestamp falls in.
+ *
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {{ day: string, month: string }} e.g. { day: '2025-06-01', month: '2025-06' }
+ */
+function periodKeys(now) {
+  const iso = new Date(now).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Gets when the current budget period ends.
+ *
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {Date} Start of the next UTC day or month
+ */
+function periodResetTime(period, now) {
+  const date = new Date(now);
+
+  if (period === 'daily') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+  }
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * In-memory budget tracker.
+ */
+const budgetTracker = {
+  periods: {
+    daily: { key: null, spentUsd: 0, warned: new Set() },
+    monthly: { key: null, spentUsd: 0, warned: new Set() },
+  },
+  reservedUsd: 0,
+  rejections: 0,
+
+  /**
+   * Gets the configured limit for a period.
+   *
+   * @param {string} period - 'daily' or 'monthly'
+   * @returns {number} Limit in USD (0 = unlimited)
+   */
+  limitFor(period) {
+    return period === 'daily' ? config.budgets.dailyUsd : config.budgets.monthlyUsd;
+  },
+
+  /**
+   * Starts a new period when the UTC day or month rolls over.
+   *
+   * @param {number} now - Timestamp in milliseconds
+   */
+  rollover(now) {
+    const keys = periodKeys(now);
+
+    for (const [period, key] of [['daily', keys.day], ['monthly', keys.month]]) {
+      const state = this.periods[period];
+      if (state.key !== key) {
+        state.key = key;
+        state.spentUsd = 0;
+        state.warned.clear();
+      }
+    }
+  },
+
+  /**
+   * Reserves the worst-case cost of a call, or throws if a budget can't cover it.
+   *
+   * @param {number} worstCaseUsd - Maximum the call could cost
+   * @returns {Function} Releases the reservation (call exactly once)
+   * @throws {ApiError} 429 if a budget is exhausted
+   */
+  reserve(worstCaseUsd) {
+    const now = Date.now();
+    this.rollover(now);
+
+    for (const period of ['daily', 'monthly']) {
+      const limitUsd = this.limitFor(period);
+      if (!limitUsd) {
+        continue;
+      }
+
+      const committedUsd = this.periods[period].spentUsd + this.reservedUsd;
+      if (committedUsd + worstCaseUsd > limitUsd) {
+        this.rejections++;
+        throw budgetExceededError(period, limitUsd, this.periods[period].spentUsd, worstCaseUsd, now);
+      }
+    }
+
+    this.reservedUsd += worstCaseUsd;
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.reservedUsd = Math.max(0, this.reservedUsd - worstCaseUsd);
+      }
+    };
+  },
+
+  /**
+   * Adds the actual cost of a call to spend and logs threshold warnings.
+   *
+   * @param {number} costUsd - Actual cost in USD
+   */
+  recordSpend(costUsd) {
+    this.rollover(Date.now());
+
+    for (const period of ['daily', 'monthly']) {
+      const state = this.periods[period];
+      state.spentUsd += costUsd;
+      this.checkThresholds(period);
+    }
+  },
+
+  /**
+   * Logs a warning (and emits budget.threshold_crossed) the first time spend
+   * crosses each configured threshold.
+   *
+   * @param {string} period - 'daily' or 'monthly'
+   */
+  checkThresholds(period) {
+    const limitUsd = this.limitFor(period);
+    if (!limitUsd) {
+      return;
+    }
+
+    const state = this.periods[period];
+    const percentUsed = (state.spentUsd / limitUsd) * 100;
+
+    for (const threshold of config.budgets.warningThresholds) {
+      if (percentUsed >= threshold && !state.warned.has(threshold)) {
+        state.warned.add(threshold);
+        console.warn(
+          `[Budget] ${period === 'daily' ? 'Daily' : 'Monthly'} spend has reached ${threshold}% ` +
+          `($${roundUsd(state.spentUsd)} of $${limitUsd})`
+        );
+        emitEvent('budget.threshold_crossed', {
+          period,
+          thresholdPercent: threshold,
+          spentUsd: roundUsd(state.spentUsd),
+          limitUsd,
+        });
+      }
+    }
+  },
+
+  /**
+   * Gets budget status for monitoring.
+   *
+   * @returns {Object} Spend, limits and reset times for each period
+   */
+  getStatus() {
+    const now = Date.now();
+    this.rollover(now);
+
+    const describe = (period) => {
+      const limitUsd = this.limitFor(period);
+      const { spentUsd } = this.periods[period];
+
+      return {
+        limitUsd: limitUsd || null,
+        spentUsd: roundUsd(spentUsd),
+        remainingUsd: limitUsd ? roundUsd(Math.max(0, limitUsd - spentUsd)) : null,
+        percentUsed: limitUsd ? Number(((spentUsd / limitUsd) * 100).toFixed(2)) : null,
+        resetsAt: periodResetTime(period, now).toISOString(),
+      };
+    };
+
+    return {
+      daily: describe('daily'),
+      monthly: describe('monthly'),
+      reservedUsd: roundUsd(this.reservedUsd),
+      rejections: this.rejections,
+      warningThresholds: config.budgets.warningThresholds,
+    };
+  },
+};
+
+/**
+ * Builds the error returned when a budget is exhausted.
+ *
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {number} limitUsd - The budget
+ * @param {number} spentUsd - Spend so far this period
+ * @param {number} worstCaseUsd - Worst-case cost of the rejected request
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {ApiError} 429 error with reset details
+ */
+function budgetExceededError(period, limitUsd, spentUsd, worstCaseUsd, now) {
+  const resetsAt = periodResetTime(period, now);
+
+  const error = localizedError(
+    429,
+    `errors.${period}BudgetExceeded`,
+    { limit: limitUsd, resetsAt: resetsAt.toISOString() },
+    {
+      budget: period,
+      limitUsd,
+      spentUsd: roundUsd(spentUsd),
+      requestWorstCaseUsd: roundUsd(worstCaseUsd),
+      resetsAt: resetsAt.toISOString(),
+    }
+  );
+  error.retryAfterSeconds = Math.ceil((resetsAt.getTime() - now) / 1000);
+
+  return error;
+}
+
+/**
+ * Estimates the most a request could cost.
+ *
+ * Output is priced at the full max_tokens. Input tokens aren't known until
+ * the API responds, so they are estimated from the prompt length. When the
+ * request may fall back to other models, the most expensive one is assumed.
+ * Tool-use loops make several calls, so the estimate is multiplied by the
+ * maximum number of calls.
+ *
+ * @param {Object} requestParams - Messages API request body
+ * @param {Array<string>} [models] - Every model the request may be sent to
+ * @param {number} [calls=1] - Maximum number of API calls the request may make
+ * @returns {number} Worst-case cost in USD
+ */
+function estimateWorstCaseCost(requestParams, models = [requestParams.model], calls = 1) {
+  const promptChars = (requestParams.system || '').length +
+    requestParams.messages.reduce((sum, message) => sum + (typeof message.content === 'string'
+      ? message.content.length
+      : JSON.stringify(message.content).length), 0);
+  const estimatedInputTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+
+  return calls * Math.max(...models.map((model) =>
+    calculateCost(model, estimatedInputTokens, requestParams.max_tokens)));
+}
+
+/**
+ * Checks budgets and reserves the worst-case cost of a request.
+ *
+ * @param {Object} requestParams - Messages API request body
+ * @param {Array<string>} [models] - Every model the request may be sent to
+ * @param {number} [calls] - Maximum number of API calls the request may make
+ * @returns {Function} Releases the reservation once the call has finished
+ * @throws {ApiError} 429 if a budget is exhausted
+ */
+function reserveBudget(requestParams, models, calls) {
+  return budgetTracker.reserve(estimateWorstCaseCost(requestParams, models, calls));
+}
+
+/**
+ * Restores this month's spend from the usage ledger.
+ * Called once at startup so restarts don't reset budgets.
+ *
+ * @returns {Promise<void>}
+ */
+async function restoreSpendFromLedger() {
+  const now = Date.now();
+  const { day, month } = periodKeys(now);
+  const monthStart = new Date(`${month}-01T00:00:00.000Z`);
+
+  const usage = await queryUsage({ from: monthStart, groupBy: 'day' });
+
+  budgetTracker.rollover(now);
+  budgetTracker.periods.monthly.spentUsd += usage.totals.costUsd;
+  budgetTracker.periods.daily.spentUsd +=
+    usage.groups.find((group) => group.key === day)?.costUsd || 0;
+
+  budgetTracker.checkThresholds('daily');
+  budgetTracker.checkThresholds('monthly');
+}
+
+module.exports = {
+  reserveBudget,
+  recordSpend: (costUsd) => budgetTracker.recordSpend(costUsd),
+  getBudgetStatus: () => budgetTracker.getStatus(),
+  restoreSpendFromLedger,
+};
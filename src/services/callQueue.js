@@ -0,0 +1,241 @@
+/**
+ * =============================================================================
+ * OUTBOUND CALL QUEUE
+ * =============================================================================
+ *
+ * This module bounds how many Claude API calls run at once. Without it, a
+ * traffic spike turns straight into a burst of upstream calls, which earns a
+ * wave of 429s from Anthropic and trips the circuit breakers for everyone.
+ *
+ * HOW IT WORKS:
+ * 1. Each API attempt (including retries) takes a slot before calling Claude
+ *    and gives it back when the call finishes (or the stream ends)
+ * 2. When all slots are busy, the attempt waits in a first-in, first-out queue
+ * 3. If the queue is already at its maximum depth, or an attempt waits longer
+ *    than the maximum wait (or its request deadline), it is rejected with a
+ *    503 and a Retry-After header instead of piling up
+ *
+ * Cache hits never enter the queue, and retry backoff doesn't hold a slot.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Bounded concurrency toward an upstream dependency
+ * - Bounded queue (load shedding instead of unbounded memory growth)
+ * - Fail fast with Retry-After so well-behaved clients back off
+ * - Wait-time percentiles for capacity planning
+ *
+ * NOTE: The limit is per process. With several instances, divide your
+ * Anthropic rate limit between them.
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+const { localizedError } = require('../middleware/errorHandler');
+
+// Number of recent wait times kept for percentile calculations
+const WAIT_SAMPLE_SIZE = 1000;
+
+/**
+ * In-process queue of Claude API calls waiting for a slot.
+ */
+const callQueue = {
+  active: 0,
+  waiting: [],
+  peakDepth: 0,
+  admitted: 0,
+  rejections: {
+    queueFull: 0,
+    timedOut: 0,
+  },
+  waitSamples: [],
+
+  /**
+   * Waits for a free call slot.
+   *
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stop waiting when aborted (client disconnected)
+   * @param {number} [options.deadline] - Never wait past this timestamp
+   * @returns {Promise<Function>} Releases the slot (call exactly once)
+   * @throws {ApiError} 503 if the queue is full or the wait runs out
+   */
+  acquire({ signal, deadline } = {}) {
+    if (this.active < config.queue.maxConcurrent) {
+      this.admit(0);
+      return Promise.resolve(this.releaser());
+    }
+
+    if (this.waiting.length >= config.queue.maxDepth) {
+      this.rejections.queueFull++;
+      return Promise.reject(queueError('errors.queueFull'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const enqueuedAt = Date.now();
+      const maxWaitMs = Math.min(
+        config.queue.maxWaitMs,
+        deadline ? deadline - enqueuedAt : Infinity
+      );
+
+      const waiter = {
+        grant: () => {
+          cleanup();
+          this.admit(Date.now() - enqueuedAt);
+          resolve(this.releaser());
+        },
+      };
+
+      const onTimeout = () => {
+        this.remove(waiter);
+        this.rejections.timedOut++;
+        reject(queueError('errors.queueTimeout'));
+      };
+
+      const onAbort = () => {
+        this.remove(waiter);
+        reject(new Error('Request aborted while waiting for a Claude API slot'));
+      };
+
+      const timer = setTimeout(onTimeout, Math.max(0, maxWaitMs));
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      function cleanup() {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+
+      waiter.cancel = cleanup;
+
+      this.waiting.push(waiter);
+      this.peakDepth = Math.max(this.peakDepth, this.waiting.length);
+    });
+  },
+
+  /**
+   * Marks a slot as taken and records how long the caller waited for it.
+   *
+   * @param {number} waitMs - Time spent in the queue
+   */
+  admit(waitMs) {
+    this.active++;
+    this.admitted++;
+
+    this.waitSamples.push(waitMs);
+    if (this.waitSamples.length > WAIT_SAMPLE_SIZE) {
+      this.waitSamples.shift();
+    }
+  },
+
+  /**
+   * Builds the release function for a granted slot.
+   *
+   * @returns {Function} Frees the slot and wakes the next waiter
+   */
+  releaser() {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active--;
+
+      const next = this.waiting.shift();
+      if (next) {
+        next.grant();
+      }
+    };
+  },
+
+  /**
+   * Removes a waiter that gave up (timed out or aborted).
+   *
+   * @param {Object} waiter - The waiter to remove
+   */
+  remove(waiter) {
+    const index = this.waiting.indexOf(waiter);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    }
+    waiter.cancel();
+  },
+
+  /**
+   * Gets queue statistics for monitoring.
+   *
+   * @returns {Object} Limits, current load, wait percentiles and rejections
+   */
+  getStats() {
+    const sorted = [...this.waitSamples].sort((a, b) => a - b);
+
+    return {
+      maxConcurrent: config.queue.maxConcurrent,
+      maxDepth: config.queue.maxDepth,
+      maxWaitMs: config.queue.maxWaitMs,
+      active: this.active,
+      depth: this.waiting.length,
+      peakDepth: this.peakDepth,
+      admitted: this.admitted,
+      waitMs: {
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+        samples: sorted.length,
+      },
+      rejections: {
+        ...this.rejections,
+        total: this.rejections.queueFull + this.rejections.timedOut,
+      },
+    };
+  },
+
+  /**
+   * Clears counters and wait samples.
+   * In-flight calls and waiters are left alone.
+   */
+  reset() {
+    this.peakDepth = this.waiting.length;
+    this.admitted = 0;
+    this.rejections.queueFull = 0;
+    this.rejections.timedOut = 0;
+    this.waitSamples = [];
+  },
+};
+
+/**
+ * Gets a percentile from sorted samples (nearest-rank method).
+ *
+ * @param {Array<number>} sorted - Samples in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} The percentile value (0 if there are no samples)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Builds the error returned when a call can't get a slot.
+ *
+ * @param {string} key - Catalog key of the user-facing message
+ * @returns {ApiError} 503 error with a Retry-After hint
+ */
+function queueError(key) {
+  const error = localizedError(503, key);
+  error.queueRejected = true;
+  // A slot should free up within one maximum wait
+  error.retryAfterSeconds = Math.max(1, Math.ceil(config.queue.maxWaitMs / 1000));
+
+  return error;
+}
+
+module.exports = {
+  acquireCallSlot: (options) => callQueue.acquire(options),
+  getQueueStats: () => callQueue.getStats(),
+  resetQueueStats: () => callQueue.reset(),
+};
@@ -7,11 +7,23 @@
  * It provides a clean abstraction layer between your routes and the API,
  * making it easy to modify API behavior in one place.
  *
+ * Requests are sent through a pluggable provider (see ./providers), so the
+ * same validation, retry and tracking logic applies whether calls go to the
+ * real Anthropic API or the offline mock provider (LLM_PROVIDER=mock).
+ *
  * BEST PRACTICES DEMONSTRATED:
  * - Service layer pattern for external API calls
  * - Retry logic with exponential backoff for transient failures
- * - Circuit breaker pattern to prevent cascade failures
+ * - Circuit breaker pattern (per model) to prevent cascade failures
+ * - Automatic fallback along a configurable model chain
  * - Token usage tracking and limits for cost control
+ * - Daily and monthly spend budgets
+ * - Bounded concurrency toward the API with a bounded wait queue
+ * - Tool use with server-side tools and a capped tool-use loop
+ * - Schema-validated structured (JSON) output with re-asks on invalid replies
+ * - Server-Sent Events style streaming of text deltas
+ * - Response caching for identical requests
+ * - Persistent usage ledger of every API call
  * - Centralized error handling for API interactions
  * - Configuration-driven defaults
  * - Input validation before API calls
@@ -20,8 +32,24 @@
  * =============================================================================
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const { config, isValidModel } = require('../config');
+const { getProvider, getClient } = require('./providers');
+const { getModelPricing, calculateCost, roundUsd } = require('./pricing');
+const {
+  cacheKeyFor,
+  getCachedResponse,
+  setCachedResponse,
+  recordCacheBypass,
+} = require('./responseCache');
+const { ApiError, localizedError } = require('../middleware/errorHandler');
+const { recordEntry } = require('./usageLedger');
+const { reserveBudget, recordSpend } = require('./budget');
+const { recordKeyUsage } = require('./tokenQuota');
+const { acquireCallSlot } = require('./callQueue');
+const { getToolDefinitions, runToolCalls } = require('./tools');
+const { parseStructuredResponse } = require('./jsonSchema');
+const { emitEvent } = require('./webhooks');
+const { recordVariantCall } = require('./experiments');
 
 // =============================================================================
 // CONSTANTS
@@ -30,11 +58,12 @@ const { config, isValidModel } = require('../config');
 /**
  * Retry configuration for transient failures.
  * These values control the exponential backoff behavior.
+ * Configure with API_MAX_RETRIES, API_RETRY_BASE_DELAY_MS and API_RETRY_MAX_DELAY_MS.
  */
 const RETRY_CONFIG = {
-  maxRetries: 3,              // Maximum number of retry attempts
-  baseDelayMs: 1000,          // Initial delay between retries (1 second)
-  maxDelayMs: 10000,          // Maximum delay between retries (10 seconds)
+  maxRetries: config.anthropic.retry.maxRetries,   // Maximum number of retry attempts
+  baseDelayMs: config.anthropic.retry.baseDelayMs, // Initial delay between retries
+  maxDelayMs: config.anthropic.retry.maxDelayMs,   // Maximum backoff delay between retries
   backoffMultiplier: 2,       // Multiply delay by this factor each retry
   jitterFactor: 0.1,          // Add random jitter to prevent thundering herd
 };
@@ -50,6 +79,16 @@ const RETRYABLE_STATUS_CODES = [
   502,  // Bad Gateway
   503,  // Service Unavailable
   504,  // Gateway Timeout
+  529,  // Overloaded (Anthropic-specific)
+];
+
+/**
+ * Status codes where the API tells us how long to back off via Retry-After.
+ * The server knows its own load better than our backoff formula does.
+ */
+const RETRY_AFTER_STATUS_CODES = [
+  429,  // Too Many Requests (rate limited)
+  529,  // Overloaded
 ];
 
 /**
@@ -79,84 +118,147 @@ const RETRYABLE_ERROR_CODES = [
  * After a timeout, it allows a test request through ("half-open").
  * If that succeeds, the circuit "closes" and normal operation resumes.
  *
+ * There is one breaker per model, so an outage affecting one model doesn't
+ * block the others (and requests can fall back to a healthy model).
+ *
  * States:
  * - CLOSED: Normal operation, requests pass through
  * - OPEN: Failing fast, requests rejected immediately
  * - HALF_OPEN: Testing if service recovered
+ *
+ * @param {string} model - Model this breaker protects
+ * @returns {Object} Circuit breaker
  */
-const circuitBreaker = {
-  state: 'CLOSED',           // Current circuit state
-  failures: 0,               // Consecutive failure count
-  lastFailureTime: null,     // Timestamp of last failure
-  threshold: 5,              // Failures before opening circuit
-  resetTimeoutMs: 30000,     // Time before trying again (30 seconds)
-
-  /**
-   * Records a successful API call.
-   * Resets failure count and closes the circuit.
-   */
-  recordSuccess() {
-    this.failures = 0;
-    this.state = 'CLOSED';
-  },
-
-  /**
-   * Records a failed API call.
-   * May open the circuit if threshold is exceeded.
-   */
-  recordFailure() {
-    this.failures++;
-    this.lastFailureTime = Date.now();
+function createCircuitBreaker(model) {
+  return {
+    model,                     // Model this breaker protects
+    state: 'CLOSED',           // Current circuit state
+    failures: 0,               // Consecutive failure count
+    lastFailureTime: null,     // Timestamp of last failure
+    threshold: config.anthropic.circuitBreaker.failureThreshold,   // Failures before opening circuit
+    resetTimeoutMs: config.anthropic.circuitBreaker.resetTimeoutMs, // Time before trying again
+
+    /**
+     * Changes the circuit state, notifying webhook subscribers of real changes.
+     *
+     * @param {string} state - 'CLOSED', 'OPEN' or 'HALF_OPEN'
+     */
+    transitionTo(state) {
+      const previousState = this.state;
+      this.state = state;
+
+      if (state !== previousState) {
+        emitEvent(`circuit.${state.toLowerCase()}`, {
+          model: this.model,
+          state,
+          previousState,
+          failures: this.failures,
+          ...(state === 'OPEN' && { retryAfterSeconds: Math.ceil(this.resetTimeoutMs / 1000) }),
+        });
+      }
+    },
+
+    /**
+     * Records a successful API call.
+     * Resets failure count and closes the circuit.
+     */
+    recordSuccess() {
+      this.failures = 0;
+      this.transitionTo('CLOSED');
+    },
+
+    /**
+     * Records a failed API call.
+     * May open the circuit if threshold is exceeded.
+     */
+    recordFailure() {
+      this.failures++;
+      this.lastFailureTime = Date.now();
+
+      if (this.failures >= this.threshold) {
+        this.transitionTo('OPEN');
+        console.warn(`[Circuit Breaker] ${this.model} circuit OPENED after ${this.failures} failures`);
+      }
+    },
+
+    /**
+     * Checks if a request should be allowed through.
+     *
+     * @returns {boolean} True if request should proceed
+     * @throws {ApiError} 503 if circuit is open and reset timeout hasn't passed
+     */
+    canRequest() {
+      if (this.state === 'CLOSED') {
+        return true;
+      }
 
-    if (this.failures >= this.threshold) {
-      this.state = 'OPEN';
-      console.warn(`[Circuit Breaker] Circuit OPENED after ${this.failures} failures`);
-    }
-  },
+      if (this.state === 'OPEN') {
+        // Check if enough time has passed to try again
+        const timeSinceFailure = Date.now() - this.lastFailureTime;
+
+        if (timeSinceFailure >= this.resetTimeoutMs) {
+          // Allow one test request through
+          this.transitionTo('HALF_OPEN');
+          console.info(`[Circuit Breaker] ${this.model} circuit HALF_OPEN, allowing test request`);
+          return true;
+        }
+
+        // Circuit is still open, reject immediately
+        const retryAfterSeconds = Math.ceil((this.resetTimeoutMs - timeSinceFailure) / 1000);
+        const error = localizedError(503, 'errors.circuitOpen', { model: this.model, seconds: retryAfterSeconds });
+        error.circuitOpen = true;
+        error.retryAfterSeconds = retryAfterSeconds;
+        throw error;
+      }
 
-  /**
-   * Checks if a request should be allowed through.
-   *
-   * @returns {boolean} True if request should proceed
-   * @throws {Error} If circuit is open and reset timeout hasn't passed
-   */
-  canRequest() {
-    if (this.state === 'CLOSED') {
+      // HALF_OPEN state - allow the test request
       return true;
-    }
-
-    if (this.state === 'OPEN') {
-      // Check if enough time has passed to try again
-      const timeSinceFailure = Date.now() - this.lastFailureTime;
-
-      if (timeSinceFailure >= this.resetTimeoutMs) {
-        // Allow one test request through
-        this.state = 'HALF_OPEN';
-        console.info('[Circuit Breaker] Circuit HALF_OPEN, allowing test request');
-        return true;
-      }
+    },
+
+    /**
+     * Resets the circuit breaker to initial state.
+     * Useful for testing or manual intervention.
+     */
+    reset() {
+      this.failures = 0;
+      this.lastFailureTime = null;
+      this.transitionTo('CLOSED');
+    },
+
+    /**
+     * @returns {Object} Current state for monitoring
+     */
+    getState() {
+      return {
+        state: this.state,
+        failures: this.failures,
+        lastFailureTime: this.lastFailureTime,
+      };
+    },
+  };
+}
 
-      // Circuit is still open, reject immediately
-      throw new Error(
-        'Claude API circuit breaker is open due to repeated failures. ' +
-        `Please try again in ${Math.ceil((this.resetTimeoutMs - timeSinceFailure) / 1000)} seconds.`
-      );
-    }
+/**
+ * Circuit breakers keyed by model ID.
+ * Breakers for every selectable model exist up front so health checks can list them.
+ */
+const circuitBreakers = new Map(
+  config.anthropic.validModels.map((model) => [model, createCircuitBreaker(model)])
+);
 
-    // HALF_OPEN state - allow the test request
-    return true;
-  },
+/**
+ * Gets the circuit breaker for a model, creating one if needed.
+ *
+ * @param {string} model - Model ID
+ * @returns {Object} The model's circuit breaker
+ */
+function getCircuitBreaker(model) {
+  if (!circuitBreakers.has(model)) {
+    circuitBreakers.set(model, createCircuitBreaker(model));
+  }
 
-  /**
-   * Resets the circuit breaker to initial state.
-   * Useful for testing or manual intervention.
-   */
-  reset() {
-    this.state = 'CLOSED';
-    this.failures = 0;
-    this.lastFailureTime = null;
-  },
-};
+  return circuitBreakers.get(model);
+}
 
 // =============================================================================
 // TOKEN USAGE TRACKING
@@ -166,29 +268,68 @@ const circuitBreaker = {
  * Tracks token usage to help monitor costs and prevent runaway spending.
  * This is a simple in-memory tracker; for production, consider persisting
  * to a database or using a dedicated monitoring service.
+ *
+ * Usage is broken down by model (each has its own price) and by endpoint,
+ * so you can see which routes and models drive spend.
  */
 const tokenTracker = {
   totalInputTokens: 0,
   totalOutputTokens: 0,
+  totalCostUsd: 0,
   requestCount: 0,
+  byModel: {},
+  byEndpoint: {},
   windowStartTime: Date.now(),
   windowDurationMs: 60 * 60 * 1000, // 1 hour window
+  alertedThresholds: new Set(),     // WEBHOOK_TOKEN_THRESHOLDS already reported this window
 
   /**
    * Records token usage from an API response.
    *
    * @param {number} inputTokens - Tokens used for the prompt
    * @param {number} outputTokens - Tokens used for the response
+   * @param {Object} [details] - Where the usage came from
+   * @param {string} [details.model] - Model that served the request (determines price)
+   * @param {string} [details.endpoint] - Route that made the request
    */
-  recordUsage(inputTokens, outputTokens) {
+  recordUsage(inputTokens, outputTokens, { model = config.anthropic.defaultModel, endpoint = 'unknown' } = {}) {
     // Reset window if expired
     if (Date.now() - this.windowStartTime > this.windowDurationMs) {
       this.reset();
     }
 
+    const costUsd = calculateCost(model, inputTokens, outputTokens);
+
     this.totalInputTokens += inputTokens;
     this.totalOutputTokens += outputTokens;
+    this.totalCostUsd += costUsd;
     this.requestCount++;
+
+    addUsage(this.byModel, model, inputTokens, outputTokens, costUsd);
+    addUsage(this.byEndpoint, endpoint, inputTokens, outputTokens, costUsd);
+
+    this.checkThresholds();
+  },
+
+  /**
+   * Notifies webhook subscribers the first time total tokens in this window
+   * cross each WEBHOOK_TOKEN_THRESHOLDS value.
+   */
+  checkThresholds() {
+    const totalTokens = this.totalInputTokens + this.totalOutputTokens;
+
+    for (const thresholdTokens of config.webhooks.tokenThresholds) {
+      if (totalTokens >= thresholdTokens && !this.alertedThresholds.has(thresholdTokens)) {
+        this.alertedThresholds.add(thresholdTokens);
+        emitEvent('usage.threshold_crossed', {
+          thresholdTokens,
+          totalTokens,
+          requestCount: this.requestCount,
+          estimatedCostUsd: roundUsd(this.totalCostUsd),
+          windowStartTime: new Date(this.windowStartTime).toISOString(),
+        });
+      }
+    }
   },
 
   /**
@@ -203,76 +344,189 @@ const tokenTracker = {
       totalTokens: this.totalInputTokens + this.totalOutputTokens,
       requestCount: this.requestCount,
       windowStartTime: new Date(this.windowStartTime).toISOString(),
-      estimatedCost: this.estimateCost(),
+      estimatedCostUsd: roundUsd(this.totalCostUsd),
+      byModel: formatBreakdown(this.byModel, (model) => ({
+        pricingPer1M: getModelPricing(model),
+      })),
+      byEndpoint: formatBreakdown(this.byEndpoint),
     };
   },
 
-  /**
-   * Estimates cost based on current usage.
-   * NOTE: Prices are approximate and may change. Update as needed.
-   *
-   * @returns {string} Estimated cost in USD
-   */
-  estimateCost() {
-    // Approximate prices per 1M tokens (as of 2024, update as needed)
-    // These vary by model - using Sonnet prices as default
-    const inputPricePer1M = 3.00;   // $3 per 1M input tokens
-    const outputPricePer1M = 15.00; // $15 per 1M output tokens
-
-    const inputCost = (this.totalInputTokens / 1_000_000) * inputPricePer1M;
-    const outputCost = (this.totalOutputTokens / 1_000_000) * outputPricePer1M;
-
-    return `$${(inputCost + outputCost).toFixed(4)}`;
-  },
-
   /**
    * Resets the tracker for a new window.
    */
   reset() {
     this.totalInputTokens = 0;
     this.totalOutputTokens = 0;
+    this.totalCostUsd = 0;
     this.requestCount = 0;
+    this.byModel = {};
+    this.byEndpoint = {};
     this.windowStartTime = Date.now();
+    this.alertedThresholds.clear();
   },
 };
 
-// =============================================================================
-// CLIENT INITIALIZATION
-// =============================================================================
+/**
+ * Adds usage to one bucket of a breakdown (by model or by endpoint).
+ *
+ * @param {Object} breakdown - Map of bucket name to totals
+ * @param {string} key - Bucket name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Response tokens
+ * @param {number} costUsd - Estimated cost of the request
+ */
+function addUsage(breakdown, key, inputTokens, outputTokens, costUsd) {
+  if (!breakdown[key]) {
+    breakdown[key] = { requestCount: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  }
+
+  breakdown[key].requestCount++;
+  breakdown[key].inputTokens += inputTokens;
+  breakdown[key].outputTokens += outputTokens;
+  breakdown[key].costUsd += costUsd;
+}
 
 /**
- * Initialize the Anthropic client with the API key from configuration.
- * The client is created once and reused for all requests (singleton pattern).
+ * Formats a breakdown for the stats endpoint, most expensive first.
  *
- * NOTE: We don't initialize the client if the API key is missing.
- * This allows the app to start and return appropriate errors.
+ * @param {Object} breakdown - Map of bucket name to totals
+ * @param {Function} [extra] - Returns additional fields for a bucket
+ * @returns {Object} Breakdown with rounded costs
  */
-let anthropicClient = null;
+function formatBreakdown(breakdown, extra = () => ({})) {
+  return Object.fromEntries(
+    Object.entries(breakdown)
+      .sort(([, a], [, b]) => b.costUsd - a.costUsd)
+      .map(([key, totals]) => [key, {
+        ...totals,
+        totalTokens: totals.inputTokens + totals.outputTokens,
+        costUsd: roundUsd(totals.costUsd),
+        ...extra(key),
+      }])
+  );
+}
+
+// =============================================================================
+// USAGE LEDGER
+// =============================================================================
 
 /**
- * Gets or creates the Anthropic client instance.
- * Uses lazy initialization to defer client creation until first use.
+ * Gets the ledger fields that name a caller: `apiKeyId` for API keys,
+ * `subject` for token subjects.
  *
- * @returns {Anthropic} The Anthropic client instance
- * @throws {Error} If the API key is not configured
+ * @param {string|null} callerId - From getCallerId, e.g. "key:key_3f9a1c2b7d4e"
+ * @returns {Object} Fields to spread into a ledger entry (none when anonymous)
  */
-function getClient() {
-  // Defensive check: Ensure API key exists before creating client
-  if (!config.anthropic.apiKey) {
-    throw new Error('Anthropic API key is not configured. Set ANTHROPIC_API_KEY in your .env file.');
+function ledgerCaller(callerId) {
+  if (callerId?.startsWith('key:')) {
+    return { apiKeyId: callerId.slice('key:'.length) };
   }
-
-  // Lazy initialization: Create client only when first needed
-  if (!anthropicClient) {
-    anthropicClient = new Anthropic({
-      apiKey: config.anthropic.apiKey,
-      // Set reasonable timeouts to prevent hanging requests
-      timeout: 60000,        // 60 second timeout for requests
-      maxRetries: 0,         // We handle retries ourselves for more control
-    });
+  if (callerId?.startsWith('user:')) {
+    return { subject: callerId.slice('user:'.length) };
   }
+  return {};
+}
 
-  return anthropicClient;
+/**
+ * Tracks one logical call (which may span several retry attempts) and writes
+ * it to the persistent usage ledger when it finishes.
+ *
+ * Token usage flows through here so the in-memory tracker, spend budgets,
+ * daily token quotas and the ledger always agree on what was billed.
+ *
+ * @param {Object} details - Call details
+ * @param {string} details.requestId - Request ID for log correlation
+ * @param {string} details.endpoint - Route that made the request
+ * @param {string} details.model - Model the caller requested
+ * @param {Function} [details.releaseBudget] - Releases the call's budget reservation
+ * @param {Object} [details.template] - Prompt template the call was rendered from;
+ *   calls for an experiment variant are also recorded in its statistics
+ * @param {string} [details.callerId] - Caller the call is made for (API key or
+ *   token subject, see getCallerId); its tokens count towards its daily quota
+ * @returns {Object} Recorder with recordUsage(), getTotals() and finish()
+ */
+function createCallRecorder({ requestId, endpoint, model, releaseBudget = () => {}, template, callerId }) {
+  const startedAt = Date.now();
+  let servedModel = model;
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let costUsd = 0;
+
+  return {
+    /**
+     * Records tokens billed by one attempt.
+     *
+     * @param {string} attemptModel - Model the attempt was sent to (may be a fallback)
+     * @param {number} attemptInputTokens - Prompt tokens
+     * @param {number} attemptOutputTokens - Response tokens
+     */
+    recordUsage(attemptModel, attemptInputTokens, attemptOutputTokens) {
+      const attemptCostUsd = calculateCost(attemptModel, attemptInputTokens, attemptOutputTokens);
+
+      tokenTracker.recordUsage(attemptInputTokens, attemptOutputTokens, { model: attemptModel, endpoint });
+      recordSpend(attemptCostUsd);
+
+      servedModel = attemptModel;
+      inputTokens += attemptInputTokens;
+      outputTokens += attemptOutputTokens;
+      costUsd += attemptCostUsd;
+    },
+
+    /**
+     * Gets the tokens billed so far across all attempts.
+     *
+     * @returns {{ inputTokens: number, outputTokens: number }} Token totals
+     */
+    getTotals() {
+      return { inputTokens, outputTokens };
+    },
+
+    /**
+     * Writes the ledger entry for the call.
+     *
+     * @param {Object} [outcome] - How the call ended
+     * @param {Error} [outcome.error] - The error, if the call failed
+     * @param {boolean} [outcome.aborted] - True if the client went away
+     * @param {boolean} [outcome.truncated] - True if the reply hit the token limit
+     */
+    finish({ error = null, aborted = false, truncated = false } = {}) {
+      releaseBudget();
+
+      const latencyMs = Date.now() - startedAt;
+      const experiment = template?.experiment;
+
+      if (callerId) {
+        recordKeyUsage(callerId, inputTokens, outputTokens);
+      }
+
+      recordEntry({
+        requestId,
+        route: endpoint,
+        ...ledgerCaller(callerId),
+        model: servedModel,
+        ...(servedModel !== model && { requestedModel: model }),
+        inputTokens,
+        outputTokens,
+        costUsd: roundUsd(costUsd),
+        latencyMs,
+        outcome: aborted ? 'aborted' : error ? 'error' : 'success',
+        ...(error && !aborted && { error: error.message }),
+        ...(experiment && { experiment: experiment.id, variant: experiment.variant }),
+      });
+
+      if (experiment) {
+        recordVariantCall(experiment, {
+          inputTokens,
+          outputTokens,
+          costUsd,
+          latencyMs,
+          failed: Boolean(error),
+          truncated,
+        });
+      }
+    },
+  };
 }
 
 // =============================================================================
@@ -316,11 +570,18 @@ function isRetryableError(error) {
     return true;
   }
 
-  // Check for timeout errors
+  // Network errors wrapped by the SDK carry the original code on `cause`
+  if (error.cause?.code && RETRYABLE_ERROR_CODES.includes(error.cause.code)) {
+    return true;
+  }
+
+  // Check for timeout and connection errors
   if (error.message && (
     error.message.includes('timeout') ||
+    error.message.includes('timed out') ||
     error.message.includes('ETIMEDOUT') ||
-    error.message.includes('socket hang up')
+    error.message.includes('socket hang up') ||
+    error.message.includes('Connection error')
   )) {
     return true;
   }
@@ -328,6 +589,45 @@ function isRetryableError(error) {
   return false;
 }
 
+/**
+ * Reads how long the API asked us to wait before retrying.
+ * Only honored for rate limit (429) and overloaded (529) responses.
+ *
+ * Supports `retry-after-ms` (milliseconds) and `retry-after` (seconds or
+ * an HTTP date), matching the official SDK's behavior.
+ *
+ * @param {Error} error - The error from the failed attempt
+ * @returns {number|null} Delay in milliseconds, or null if not specified
+ */
+function getRetryAfterMs(error) {
+  if (!RETRY_AFTER_STATUS_CODES.includes(error.status) || !error.headers) {
+    return null;
+  }
+
+  // The SDK exposes a Headers instance; tolerate plain objects too
+  const readHeader = (name) => (typeof error.headers.get === 'function'
+    ? error.headers.get(name)
+    : error.headers[name]);
+
+  const retryAfterMs = parseFloat(readHeader('retry-after-ms'));
+  if (!isNaN(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.ceil(retryAfterMs);
+  }
+
+  const retryAfter = readHeader('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, Math.ceil(seconds * 1000));
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Sleeps for the specified duration.
  * Used for retry delays.
@@ -340,57 +640,36 @@ function sleep(ms) {
 }
 
 // =============================================================================
-// MAIN API FUNCTION
+// REQUEST PREPARATION
 // =============================================================================
 
 /**
- * Sends a message to Claude and returns the response.
- * This is the core function for all Claude API interactions.
- *
- * FEATURES:
- * - Input validation before API calls
- * - Automatic retry with exponential backoff
- * - Circuit breaker to prevent cascade failures
- * - Token usage tracking
- * - Detailed error handling
- *
- * @param {Object} options - The options for the API call
- * @param {string} options.prompt - The user message/prompt to send to Claude
- * @param {string} [options.systemPrompt] - Optional system prompt to set context
- * @param {string} [options.model] - Optional model override (defaults to config)
- * @param {number} [options.maxTokens] - Optional max tokens override (defaults to config)
- * @param {number} [options.temperature] - Optional temperature (0-1, controls randomness)
- * @param {string} [options.requestId] - Optional request ID for tracking/debugging
+ * Validates the caller's options and builds the Messages API request body.
+ * Shared by sendMessage and streamMessage so both paths enforce exactly the
+ * same limits.
  *
- * @returns {Promise<Object>} The API response with content and metadata
- * @throws {Error} If the API call fails after all retries
+ * @param {Object} options - See sendMessage for the accepted options
+ * @returns {{ requestId: string, endpoint: string, deadline: number, requestParams: Object }} Prepared request
+ * @throws {Error} If any option is invalid
  */
-async function sendMessage(options) {
-  // ---------------------------------------------------------------------------
-  // Input Validation
-  // ---------------------------------------------------------------------------
-
+function prepareRequest(options) {
   // Destructure options with defaults from configuration
   const {
     prompt,
+    messages,
     systemPrompt,
     model = config.anthropic.defaultModel,
     maxTokens = config.anthropic.defaultMaxTokens,
     temperature = 0.7, // Default temperature for balanced creativity
     requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    endpoint = 'unknown',
+    deadline = Date.now() + config.server.requestTimeoutMs,
   } = options;
 
-  // Validate required prompt
-  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-    throw new Error('Prompt is required and must be a non-empty string');
-  }
-
-  // SECURITY: Validate prompt length to prevent token abuse
-  // This is a character limit; actual token count may vary
-  const maxPromptLength = config.anthropic.maxPromptLength || 50000;
-  if (prompt.length > maxPromptLength) {
-    throw new Error(`Prompt exceeds maximum length of ${maxPromptLength} characters`);
-  }
+  // Multi-turn callers pass the full history; everyone else passes a prompt
+  const conversation = messages
+    ? validateMessages(messages)
+    : [{ role: 'user', content: validatePrompt(prompt) }];
 
   // Validate model is in our allowed list (security: prevent unauthorized model access)
   if (!isValidModel(model)) {
@@ -428,12 +707,194 @@ async function sendMessage(options) {
     }
   }
 
+  // Build the API request parameters
+  const requestParams = {
+    model: model,
+    max_tokens: effectiveMaxTokens,
+    temperature: parsedTemperature,
+    messages: conversation,
+  };
+
+  // Add system prompt if provided
+  // System prompts set the behavior and context for Claude
+  if (systemPrompt && systemPrompt.trim().length > 0) {
+    requestParams.system = systemPrompt.trim();
+  }
+
+  return { requestId, endpoint, deadline, requestParams };
+}
+
+/**
+ * Validates a single-turn prompt.
+ *
+ * @param {string} prompt - The user prompt
+ * @returns {string} The trimmed prompt
+ * @throws {Error} If the prompt is missing or too long
+ */
+function validatePrompt(prompt) {
+  // Validate required prompt
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    throw new Error('Prompt is required and must be a non-empty string');
+  }
+
+  // SECURITY: Validate prompt length to prevent token abuse
+  // This is a character limit; actual token count may vary
+  const maxPromptLength = config.anthropic.maxPromptLength || 50000;
+  if (prompt.length > maxPromptLength) {
+    throw new Error(`Prompt exceeds maximum length of ${maxPromptLength} characters`);
+  }
+
+  return prompt.trim();
+}
+
+/**
+ * Validates a multi-turn message history.
+ *
+ * The Messages API requires turns to alternate between user and assistant,
+ * starting and ending with a user turn. The combined length of all turns is
+ * held to the same MAX_PROMPT_LENGTH limit as a single prompt.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @returns {Array<{role: string, content: string}>} Trimmed copies of the turns
+ * @throws {Error} If the history is malformed or too long
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Messages must be a non-empty array');
+  }
+
+  const validated = messages.map((message, index) => {
+    const expectedRole = index % 2 === 0 ? 'user' : 'assistant';
+
+    if (!message || message.role !== expectedRole) {
+      throw new Error(`Messages must alternate user/assistant turns (turn ${index} should be "${expectedRole}")`);
+    }
+    if (typeof message.content !== 'string' || message.content.trim().length === 0) {
+      throw new Error(`Messages must have non-empty string content (turn ${index})`);
+    }
+
+    return { role: message.role, content: message.content.trim() };
+  });
+
+  if (validated[validated.length - 1].role !== 'user') {
+    throw new Error('Messages must end with a user turn');
+  }
+
+  // SECURITY: The whole history counts toward the prompt length limit
+  const maxPromptLength = config.anthropic.maxPromptLength || 50000;
+  const totalLength = validated.reduce((sum, message) => sum + message.content.length, 0);
+  if (totalLength > maxPromptLength) {
+    throw new Error(`Prompt exceeds maximum length of ${maxPromptLength} characters`);
+  }
+
+  return validated;
+}
+
+/**
+ * Builds the structured result returned to callers.
+ * Both the buffered and streaming paths return this same shape.
+ *
+ * @param {string} requestId - Request ID for tracking
+ * @param {Object} result - Values collected from the API response
+ * @returns {Object} The response with content and metadata
+ */
+function formatResult(requestId, { content, model, requestedModel, servedModel, inputTokens, outputTokens, stopReason, template }) {
+  return {
+    success: true,
+    content: content,
+    metadata: {
+      requestId: requestId,
+      model: model,
+      // Model routing: differs when the fallback chain was used
+      requestedModel: requestedModel,
+      servedModel: servedModel,
+      fallbackUsed: requestedModel !== servedModel,
+      inputTokens: inputTokens,
+      outputTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      stopReason: stopReason,
+      // Include if response was truncated due to token limit
+      truncated: stopReason === 'max_tokens',
+      // Served from the response cache rather than a fresh API call
+      cached: false,
+      // Prompt template ({ id, version }) the request was built from, if any
+      template: template,
+    },
+  };
+}
+
+/**
+ * Formats service metadata for client-facing route responses.
+ * Keeps the metadata block identical across every endpoint.
+ *
+ * @param {Object} response - Result from sendMessage or streamMessage
+ * @returns {Object} Metadata for the JSON response body
+ */
+function buildResponseMetadata(response) {
+  return {
+    model: response.metadata.model,
+    requestedModel: response.metadata.requestedModel,
+    servedModel: response.metadata.servedModel,
+    fallbackUsed: response.metadata.fallbackUsed,
+    tokens: {
+      input: response.metadata.inputTokens,
+      output: response.metadata.outputTokens,
+    },
+    stopReason: response.metadata.stopReason,
+    truncated: response.metadata.truncated,
+    cached: response.metadata.cached,
+    // Only present when the request offered tools
+    toolIterations: response.metadata.toolIterations,
+    // Only present for schema-validated structured responses
+    structuredAttempts: response.metadata.structuredAttempts,
+    // Only present for moderated responses (see moderation.js)
+    moderation: response.metadata.moderation,
+    // Only present when the prompt came from a template (see promptRegistry)
+    template: response.metadata.template,
+  };
+}
+
+// =============================================================================
+// RESILIENT EXECUTION
+// =============================================================================
+
+/**
+ * Runs an API attempt behind the circuit breaker, retrying transient failures.
+ *
+ * RETRY RULES:
+ * - At most RETRY_CONFIG.maxRetries retries, with exponential backoff
+ * - 429/529 responses wait as long as the API's Retry-After header asks
+ * - Nothing runs past the deadline: each attempt is given only the time that
+ *   remains, and a retry whose wait would cross the deadline is skipped
+ * - Each attempt holds a slot in the outbound call queue while it runs; a
+ *   full queue fails the request with a 503 (not retried, not a breaker failure)
+ *
+ * @param {string} requestId - Request ID for log correlation
+ * @param {Function} runAttempt - Async function performing a single API call;
+ *   receives `{ timeoutMs }`, the time left before the deadline
+ * @param {Object} [options] - Execution options
+ * @param {Function} [options.canRetry] - Returns false once retrying is no longer safe
+ *   (e.g. a stream has already relayed text to the client)
+ * @param {AbortSignal} [options.signal] - Client abort signal; aborted attempts are
+ *   neither retried nor counted against the circuit breaker
+ * @param {number} [options.deadline] - Timestamp (ms) after which no attempt may start
+ * @param {Object} options.breaker - Circuit breaker of the model being called
+ * @returns {Promise<*>} Whatever the attempt resolves with
+ * @throws {Error} If the call fails after all retries
+ * @throws {ApiError} 503 if no call slot frees up in time
+ */
+async function executeWithRetry(requestId, runAttempt, {
+  canRetry = () => true,
+  signal,
+  deadline = Date.now() + config.server.requestTimeoutMs,
+  breaker,
+}) {
   // ---------------------------------------------------------------------------
   // Circuit Breaker Check
   // ---------------------------------------------------------------------------
 
   // Check if circuit breaker allows this request
-  circuitBreaker.canRequest(); // Throws if circuit is open
+  breaker.canRequest(); // Throws if circuit is open
 
   // ---------------------------------------------------------------------------
   // API Call with Retry Logic
@@ -442,103 +903,176 @@ async function sendMessage(options) {
   let lastError = null;
 
   for (let attempt = 0; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
+    // DEADLINE: The client will have given up by now; don't start another call
+    if (deadline - Date.now() <= 0) {
+      break;
+    }
+
+    // CONCURRENCY: Wait for a free call slot (throws 503 if the queue is full)
+    const releaseSlot = await acquireCallSlot({ signal, deadline });
+
     try {
       // Log retry attempts (useful for debugging)
       if (attempt > 0) {
         console.info(`[${requestId}] Retry attempt ${attempt}/${RETRY_CONFIG.maxRetries}`);
       }
 
-      // Get the Anthropic client (will throw if not configured)
-      const client = getClient();
-
-      // Build the API request parameters
-      const requestParams = {
-        model: model,
-        max_tokens: effectiveMaxTokens,
-        temperature: parsedTemperature,
-        messages: [
-          {
-            role: 'user',
-            content: prompt.trim(),
-          },
-        ],
-      };
-
-      // Add system prompt if provided
-      // System prompts set the behavior and context for Claude
-      if (systemPrompt && systemPrompt.trim().length > 0) {
-        requestParams.system = systemPrompt.trim();
+      // Time spent queued comes out of the attempt's own timeout
+      const timeoutMs = deadline - Date.now();
+      if (timeoutMs <= 0) {
+        break;
       }
 
-      // Make the API call
-      const response = await client.messages.create(requestParams);
-
-      // ---------------------------------------------------------------------------
-      // Response Processing
-      // ---------------------------------------------------------------------------
+      const result = await runAttempt({ timeoutMs });
 
       // Record success with circuit breaker
-      circuitBreaker.recordSuccess();
-
-      // Track token usage
-      const inputTokens = response.usage?.input_tokens || 0;
-      const outputTokens = response.usage?.output_tokens || 0;
-      tokenTracker.recordUsage(inputTokens, outputTokens);
+      breaker.recordSuccess();
 
-      // Extract the text content from the response
-      // Claude returns an array of content blocks; we want the text
-      const textContent = response.content
-        .filter((block) => block.type === 'text')
-        .map((block) => block.text)
-        .join('\n');
-
-      // Return a structured response with useful metadata
-      return {
-        success: true,
-        content: textContent,
-        metadata: {
-          requestId: requestId,
-          model: response.model,
-          inputTokens: inputTokens,
-          outputTokens: outputTokens,
-          totalTokens: inputTokens + outputTokens,
-          stopReason: response.stop_reason,
-          // Include if response was truncated due to token limit
-          truncated: response.stop_reason === 'max_tokens',
-        },
-      };
+      return result;
 
     } catch (error) {
+      // The client went away - this says nothing about Claude's health
+      if (signal?.aborted) {
+        throw error;
+      }
+
       lastError = error;
 
       // Record failure with circuit breaker
-      circuitBreaker.recordFailure();
+      breaker.recordFailure();
 
       // Check if this error is retryable
-      if (!isRetryableError(error)) {
+      if (!isRetryableError(error) || !canRetry(error)) {
         // Non-retryable error, throw immediately
         break;
       }
 
       // Check if we have retries remaining
       if (attempt < RETRY_CONFIG.maxRetries) {
-        const delay = calculateRetryDelay(attempt);
+        // Prefer the API's own Retry-After over our backoff formula
+        const retryAfterMs = getRetryAfterMs(error);
+        const delay = retryAfterMs ?? calculateRetryDelay(attempt);
+
+        if (Date.now() + delay >= deadline) {
+          console.warn(
+            `[${requestId}] Retryable error (${error.status || error.code || 'unknown'}): ` +
+            `${error.message}. Not retrying: waiting ${delay}ms would pass the request deadline.`
+          );
+          break;
+        }
+
         console.warn(
           `[${requestId}] Retryable error (${error.status || error.code || 'unknown'}): ` +
-          `${error.message}. Retrying in ${delay}ms...`
+          `${error.message}. Retrying in ${delay}ms` +
+          `${retryAfterMs !== null ? ' (from Retry-After)' : ''}...`
         );
+        // Give the slot back before backing off so waiting calls can use it
+        releaseSlot();
         await sleep(delay);
       }
+    } finally {
+      releaseSlot();
     }
   }
 
-  // ---------------------------------------------------------------------------
-  // Error Handling (all retries exhausted)
-  // ---------------------------------------------------------------------------
+  // The deadline passed before the first attempt could even start
+  if (!lastError) {
+    throw localizedError(504, 'errors.deadlinePassed');
+  }
+
+  // Keep the upstream error reachable (e.g. to detect overloaded models)
+  const serviceError = toServiceError(lastError);
+  if (serviceError !== lastError) {
+    serviceError.cause = lastError;
+  }
+  throw serviceError;
+}
+
+/**
+ * Gets the models to try after the given one, from MODEL_FALLBACK_CHAIN.
+ *
+ * @param {string} model - The requested model
+ * @returns {Array<string>} Fallback models in order (empty if none)
+ */
+function getFallbackModels(model) {
+  const chain = config.anthropic.fallbackChain;
+  const index = chain.indexOf(model);
+
+  return index === -1 ? [] : chain.slice(index + 1);
+}
+
+/**
+ * Checks whether an error means the model is overloaded (HTTP 529 or an
+ * `overloaded_error` body), as opposed to a problem with the request.
+ *
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if another model may succeed
+ */
+function isOverloadedError(error) {
+  const upstream = error.cause || error;
+  return upstream.status === 529 || upstream.error?.error?.type === 'overloaded_error';
+}
+
+/**
+ * Runs an API call on the requested model, falling back along the model's
+ * fallback chain when its circuit is open or it is overloaded.
+ *
+ * Each model gets its own circuit breaker and retries. With a fallback
+ * available, an overloaded model is skipped right away rather than retried.
+ * All models share one deadline.
+ *
+ * @param {string} requestId - Request ID for log correlation
+ * @param {string} requestedModel - The model the caller asked for
+ * @param {Function} runAttempt - Called as `runAttempt(model, { timeoutMs })`
+ * @param {Object} [options] - Same options as executeWithRetry (except breaker)
+ * @returns {Promise<{ result: *, servedModel: string }>} Result and the model that produced it
+ * @throws {Error} If every model in the chain fails
+ */
+async function executeWithFallback(requestId, requestedModel, runAttempt, options = {}) {
+  const { canRetry = () => true, signal } = options;
+  const models = [requestedModel, ...getFallbackModels(requestedModel)];
+
+  for (let index = 0; ; index++) {
+    const model = models[index];
+    const hasFallback = index < models.length - 1;
+
+    try {
+      const result = await executeWithRetry(requestId, (attemptOptions) => runAttempt(model, attemptOptions), {
+        ...options,
+        breaker: getCircuitBreaker(model),
+        canRetry: (error) => canRetry(error) && !(hasFallback && isOverloadedError(error)),
+      });
+
+      return { result, servedModel: model };
+    } catch (error) {
+      const canFallBack = hasFallback && !signal?.aborted && canRetry(error) &&
+        (error.circuitOpen || isOverloadedError(error));
+
+      if (!canFallBack) {
+        throw error;
+      }
+
+      console.warn(`[${requestId}] ${model} unavailable (${error.message}). Falling back to ${models[index + 1]}`);
+    }
+  }
+}
+
+/**
+ * Translates the last API error into a user-friendly Error.
+ *
+ * @param {Error} lastError - The final error after all retries
+ * @returns {Error} Error safe to surface to API clients
+ */
+function toServiceError(lastError) {
+  // Errors that already carry an HTTP status are safe to surface as-is
+  if (lastError instanceof ApiError) {
+    return lastError;
+  }
 
   // Re-throw our own validation errors as-is
   if (lastError.message.includes('Prompt is required') ||
       lastError.message.includes('Prompt exceeds maximum') ||
+      lastError.message.includes('Messages must') ||
       lastError.message.includes('Invalid model') ||
       lastError.message.includes('maxTokens must be') ||
       lastError.message.includes('temperature must be') ||
@@ -546,45 +1080,350 @@ async function sendMessage(options) {
       lastError.message.includes('systemPrompt must be') ||
       lastError.message.includes('API key is not configured') ||
       lastError.message.includes('circuit breaker')) {
-    throw lastError;
+    return lastError;
   }
 
   // Handle Anthropic-specific errors with user-friendly messages
   if (lastError.status) {
     switch (lastError.status) {
       case 400:
-        throw new Error(`Bad request to Claude API: ${lastError.message}`);
+        return new Error(`Bad request to Claude API: ${lastError.message}`);
       case 401:
-        throw new Error('Invalid Anthropic API key. Please check your ANTHROPIC_API_KEY.');
+        return new Error('Invalid Anthropic API key. Please check your ANTHROPIC_API_KEY.');
       case 403:
-        throw new Error('Access forbidden. Your API key may not have access to this model.');
+        return new Error('Access forbidden. Your API key may not have access to this model.');
       case 429:
-        throw new Error(
+        return new Error(
           'Rate limit exceeded after retries. Please try again later. ' +
           'Consider implementing request queuing for high-volume applications.'
         );
       case 500:
       case 502:
       case 503:
-        throw new Error(
+      case 529:
+        return new Error(
           'Claude API is temporarily unavailable after multiple retry attempts. ' +
           'Please try again later.'
         );
       default:
-        throw new Error(`Claude API error (${lastError.status}): ${lastError.message}`);
+        return new Error(`Claude API error (${lastError.status}): ${lastError.message}`);
     }
   }
 
   // Handle network or other errors
   if (lastError.code === 'ENOTFOUND' || lastError.code === 'ECONNREFUSED') {
-    throw new Error(
+    return new Error(
       'Unable to connect to Claude API after multiple attempts. ' +
       'Please check your internet connection.'
     );
   }
 
   // Fallback for unknown errors
-  throw new Error(`Failed to communicate with Claude API: ${lastError.message}`);
+  return new Error(`Failed to communicate with Claude API: ${lastError.message}`);
+}
+
+// =============================================================================
+// MAIN API FUNCTIONS
+// =============================================================================
+
+/**
+ * Sends a message to Claude and returns the response.
+ * This is the core function for all Claude API interactions.
+ *
+ * FEATURES:
+ * - Input validation before API calls
+ * - Automatic retry with exponential backoff
+ * - Per-model circuit breakers to prevent cascade failures
+ * - Fallback to the next model in MODEL_FALLBACK_CHAIN when a model is
+ *   unavailable (circuit open or overloaded)
+ * - Token usage tracking
+ * - Optional tool use: Claude may call server-side tools (see ./tools) and
+ *   the loop continues until it answers or TOOL_MAX_ITERATIONS is reached
+ * - Detailed error handling
+ *
+ * @param {Object} options - The options for the API call
+ * @param {string} options.prompt - The user message/prompt to send to Claude
+ * @param {Array<{role: string, content: string}>} [options.messages] - Full multi-turn
+ *   history to send instead of a single prompt (must end with a user turn)
+ * @param {string} [options.systemPrompt] - Optional system prompt to set context
+ * @param {string} [options.model] - Optional model override (defaults to config)
+ * @param {number} [options.maxTokens] - Optional max tokens override (defaults to config)
+ * @param {number} [options.temperature] - Optional temperature (0-1, controls randomness)
+ * @param {string} [options.requestId] - Optional request ID for tracking/debugging
+ * @param {string} [options.endpoint] - Optional route name for usage breakdowns
+ * @param {number} [options.deadline] - Optional timestamp (ms) by which the call must finish;
+ *   defaults to REQUEST_TIMEOUT_MS from now. Retries never run past it.
+ * @param {AbortSignal} [options.signal] - Aborts in-flight calls (e.g. a cancelled async job)
+ * @param {boolean} [options.noCache] - Skip the response cache (e.g. Cache-Control: no-cache)
+ * @param {Array<string>} [options.tools] - Names of server-side tools Claude may call.
+ *   Tool-use responses are never cached.
+ * @param {Function} [options.shouldCache] - Optional predicate; results it rejects
+ *   (e.g. replies that fail validation) are not cached
+ * @param {{ id: string, version: number }} [options.template] - Prompt template the
+ *   prompts were rendered from; reported in the response metadata
+ * @param {string} [options.callerId] - Caller the call is made for (daily
+ *   token quotas and ledger breakdowns)
+ *
+ * @returns {Promise<Object>} The API response with content and metadata
+ *   (plus a `toolCalls` trace when tools were offered)
+ * @throws {ApiError} 429 if a daily or monthly spend budget is exhausted
+ * @throws {Error} If the API call fails after all retries
+ */
+async function sendMessage(options) {
+  // Input validation (throws before any API call is made)
+  const { requestId, endpoint, deadline, requestParams } = prepareRequest(options);
+  const { signal } = options;
+  const toolNames = options.tools || [];
+  const toolDefinitions = toolNames.length > 0 ? getToolDefinitions(toolNames) : null;
+
+  // ---------------------------------------------------------------------------
+  // Response Cache
+  // ---------------------------------------------------------------------------
+
+  // COST PROTECTION: Identical requests are served from the cache.
+  // Cache hits make no API call, so they are not recorded as token usage.
+  // Tool results can vary between calls, so tool-use requests skip the cache.
+  const useCache = config.cache.enabled && !options.noCache && !toolDefinitions;
+  const cacheKey = useCache ? cacheKeyFor(requestParams) : null;
+
+  if (useCache) {
+    const cached = getCachedResponse(cacheKey);
+    if (cached) {
+      return {
+        ...cached,
+        metadata: { ...cached.metadata, requestId, cached: true, template: options.template },
+      };
+    }
+  } else if (config.cache.enabled && options.noCache) {
+    recordCacheBypass();
+  }
+
+  // COST PROTECTION: Reject up front if the worst case would exceed a budget
+  // (on any model the request could fall back to, for every call a tool-use
+  // loop could make)
+  const requestedModel = requestParams.model;
+  const maxCalls = toolDefinitions ? config.tools.maxIterations : 1;
+  const releaseBudget = reserveBudget(
+    requestParams,
+    [requestedModel, ...getFallbackModels(requestedModel)],
+    maxCalls
+  );
+  const call = createCallRecorder({
+    requestId,
+    endpoint,
+    model: requestParams.model,
+    releaseBudget,
+    template: options.template,
+    callerId: options.callerId,
+  });
+
+  const messages = [...requestParams.messages];
+  const toolCalls = [];
+  let result;
+
+  try {
+    for (let iteration = 1; ; iteration++) {
+      // The last allowed call disables tools so Claude has to answer in text
+      const lastIteration = iteration >= maxCalls;
+      const params = { ...requestParams, messages };
+      if (toolDefinitions) {
+        params.tools = toolDefinitions;
+        if (lastIteration) {
+          params.tool_choice = { type: 'none' };
+        }
+      }
+
+      const { result: response, servedModel } = await executeWithFallback(requestId, requestedModel, async (model, { timeoutMs }) => {
+        // Make the API call through the configured provider
+        // (the Anthropic provider throws if the API key is not configured)
+        const attemptResponse = await getProvider().createMessage({ ...params, model }, { signal, timeoutMs });
+
+        // Track token usage
+        call.recordUsage(
+          model,
+          attemptResponse.usage?.input_tokens || 0,
+          attemptResponse.usage?.output_tokens || 0
+        );
+
+        return attemptResponse;
+      }, { signal, deadline });
+
+      // -------------------------------------------------------------------------
+      // Tool Use Loop
+      // -------------------------------------------------------------------------
+
+      // Claude asked for tools: run them and send the results back
+      if (toolDefinitions && response.stop_reason === 'tool_use' && !lastIteration) {
+        const { results, trace } = await runToolCalls(response.content, toolNames);
+        toolCalls.push(...trace.map((entry) => ({ iteration, ...entry })));
+
+        messages.push({ role: 'assistant', content: response.content });
+        messages.push({ role: 'user', content: results });
+        continue;
+      }
+
+      // -------------------------------------------------------------------------
+      // Response Processing
+      // -------------------------------------------------------------------------
+
+      // Extract the text content from the response
+      // Claude returns an array of content blocks; we want the text
+      const textContent = response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('\n');
+
+      // Return a structured response with useful metadata
+      // (token counts cover every call in a tool-use loop)
+      const { inputTokens, outputTokens } = call.getTotals();
+      result = formatResult(requestId, {
+        content: textContent,
+        model: response.model,
+        requestedModel,
+        servedModel,
+        inputTokens,
+        outputTokens,
+        stopReason: response.stop_reason,
+        template: options.template,
+      });
+
+      if (toolDefinitions) {
+        result.metadata.toolIterations = iteration;
+        result.toolCalls = toolCalls;
+      }
+      break;
+    }
+  } catch (error) {
+    call.finish({ error, aborted: Boolean(signal?.aborted) });
+    throw error;
+  }
+
+  call.finish({ truncated: result.metadata.truncated });
+
+  // Don't pin a degraded (fallback) answer in the cache for the requested model
+  if (useCache && !result.metadata.fallbackUsed && (!options.shouldCache || options.shouldCache(result))) {
+    setCachedResponse(cacheKey, result);
+  }
+
+  return result;
+}
+
+/**
+ * Streams a message from Claude, relaying text deltas as they arrive.
+ *
+ * Accepts the same options as sendMessage and resolves with the same result
+ * shape once the stream completes, so callers can emit a final metadata event.
+ * Streamed responses always come from the API and are never cached.
+ *
+ * RESILIENCE NOTES:
+ * - Failures before the first text delta are retried (and fall back to
+ *   another model) like sendMessage
+ * - Once text has been relayed, a retry would duplicate output, so the
+ *   error is surfaced to the caller instead
+ * - Every failed stream counts against its model's circuit breaker
+ * - Tokens consumed by a stream that dies partway are still recorded
+ *
+ * @param {Object} options - Same options as sendMessage, plus:
+ * @param {Function} [options.onText] - Called with each text delta
+ * @param {AbortSignal} [options.signal] - Aborts the upstream stream (e.g. client disconnect)
+ *
+ * @returns {Promise<Object>} The full response with content and metadata
+ * @throws {Error} If the stream fails
+ */
+async function streamMessage(options) {
+  const { onText, signal } = options;
+
+  // Input validation (throws before any API call is made)
+  const { requestId, endpoint, deadline, requestParams } = prepareRequest(options);
+
+  // Tracks whether any text reached the caller; after that, retrying is unsafe
+  let emittedText = false;
+
+  // COST PROTECTION: Reject up front if the worst case would exceed a budget
+  // (on any model the request could fall back to)
+  const requestedModel = requestParams.model;
+  const releaseBudget = reserveBudget(requestParams, [requestedModel, ...getFallbackModels(requestedModel)]);
+  const call = createCallRecorder({
+    requestId,
+    endpoint,
+    model: requestParams.model,
+    releaseBudget,
+    template: options.template,
+    callerId: options.callerId,
+  });
+
+  let result;
+  try {
+    ({ result } = await executeWithFallback(requestId, requestedModel, async (servedModel, { timeoutMs }) => {
+      const stream = await getProvider().streamMessage({ ...requestParams, model: servedModel }, { signal, timeoutMs });
+
+      let model = servedModel;
+      let inputTokens = 0;
+      let outputTokens = 0;
+      let stopReason = null;
+      const chunks = [];
+
+      try {
+        for await (const event of stream) {
+          switch (event.type) {
+            case 'message_start':
+              model = event.message.model;
+              inputTokens = event.message.usage?.input_tokens || 0;
+              outputTokens = event.message.usage?.output_tokens || 0;
+              break;
+
+            case 'content_block_delta':
+              if (event.delta.type === 'text_delta') {
+                chunks.push(event.delta.text);
+                emittedText = true;
+                if (onText) {
+                  onText(event.delta.text);
+                }
+              }
+              break;
+
+            case 'message_delta':
+              stopReason = event.delta.stop_reason;
+              // Output token count in message_delta is cumulative
+              outputTokens = event.usage?.output_tokens ?? outputTokens;
+              break;
+
+            default:
+              break;
+          }
+        }
+      } catch (error) {
+        // Tokens consumed before the failure are still billed
+        if (inputTokens > 0) {
+          call.recordUsage(servedModel, inputTokens, outputTokens);
+        }
+        throw error;
+      }
+
+      call.recordUsage(servedModel, inputTokens, outputTokens);
+
+      return formatResult(requestId, {
+        content: chunks.join(''),
+        model,
+        requestedModel,
+        servedModel,
+        inputTokens,
+        outputTokens,
+        stopReason,
+        template: options.template,
+      });
+    }, {
+      canRetry: () => !emittedText,
+      signal,
+      deadline,
+    }));
+  } catch (error) {
+    call.finish({ error, aborted: Boolean(signal?.aborted) });
+    throw error;
+  }
+
+  call.finish({ truncated: result.metadata.truncated });
+  return result;
 }
 
 // =============================================================================
@@ -623,6 +1462,82 @@ async function promptWithSystem(systemPrompt, prompt, options = {}) {
   });
 }
 
+/**
+ * Sends a message whose reply must be JSON matching a schema.
+ *
+ * The schema is appended to the system prompt. If the reply isn't valid
+ * JSON or doesn't match the schema, Claude is re-asked with the validation
+ * errors, up to STRUCTURED_OUTPUT_MAX_RETRIES times. Callers either get a
+ * value that matches the schema or an error - never a half-parsed reply.
+ *
+ * @param {Object} options - Same options as sendMessage (prompt and systemPrompt required)
+ * @param {Object} schema - JSON Schema the reply must match (see ./jsonSchema)
+ * @returns {Promise<Object>} The API response, plus `data` (the validated value).
+ *   Token counts cover every attempt; `metadata.structuredAttempts` counts them.
+ * @throws {ApiError} 502 if no valid reply was produced within the retry limit
+ * @throws {Error} If an API call fails
+ */
+async function sendStructuredMessage(options, schema) {
+  const { prompt, systemPrompt, ...messageOptions } = options;
+  const maxAttempts = config.structuredOutput.maxRetries + 1;
+
+  const structuredSystemPrompt =
+    `${systemPrompt}\n\nRespond with only a JSON object, with no other text, ` +
+    `that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+
+  const messages = [{ role: 'user', content: prompt }];
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await sendMessage({
+      ...messageOptions,
+      systemPrompt: structuredSystemPrompt,
+      messages,
+      // Never pin an invalid reply in the response cache
+      shouldCache: (result) => parseStructuredResponse(result.content, schema).errors.length === 0,
+    });
+
+    inputTokens += response.metadata.inputTokens;
+    outputTokens += response.metadata.outputTokens;
+
+    const parsed = parseStructuredResponse(response.content, schema);
+    if (parsed.errors.length === 0) {
+      return {
+        ...response,
+        data: parsed.value,
+        metadata: {
+          ...response.metadata,
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+          structuredAttempts: attempt,
+        },
+      };
+    }
+
+    errors = parsed.errors;
+    console.warn(
+      `[${response.metadata.requestId}] Structured response failed validation ` +
+      `(attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`
+    );
+
+    // Show Claude its reply and what was wrong with it, then ask again
+    messages.push(
+      { role: 'assistant', content: response.content.trim() || '(empty response)' },
+      {
+        role: 'user',
+        content: 'Your response did not match the required JSON Schema:\n' +
+          errors.map((error) => `- ${error}`).join('\n') +
+          '\n\nRespond again with only a corrected JSON object and no other text.',
+      }
+    );
+  }
+
+  throw localizedError(502, 'errors.structuredFailed', { attempts: maxAttempts }, { validationErrors: errors });
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -630,19 +1545,22 @@ async function promptWithSystem(systemPrompt, prompt, options = {}) {
 module.exports = {
   // Main API functions
   sendMessage,
+  streamMessage,
   simplePrompt,
   promptWithSystem,
+  sendStructuredMessage,
+  buildResponseMetadata,
 
   // Utilities for monitoring and testing
   getClient,
+  getProvider,
   getTokenStats: () => tokenTracker.getStats(),
   resetTokenStats: () => tokenTracker.reset(),
-  getCircuitBreakerState: () => ({
-    state: circuitBreaker.state,
-    failures: circuitBreaker.failures,
-    lastFailureTime: circuitBreaker.lastFailureTime,
-  }),
-  resetCircuitBreaker: () => circuitBreaker.reset(),
+  getCircuitBreakerStates: () => Object.fromEntries(
+    [...circuitBreakers].map(([model, breaker]) => [model, breaker.getState()])
+  ),
+  resetCircuitBreaker: () => circuitBreakers.forEach((breaker) => breaker.reset()),
+  getFallbackModels,
 
   // Constants for testing
   RETRY_CONFIG,
@@ -0,0 +1,225 @@
+/**
+ * =============================================================================
+ * CONVERSATION STORE
+ * =============================================================================
+ *
+ * This module keeps multi-turn conversation history on the server so that
+ * mood support can remember what the user said earlier in the session.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Time-to-live (TTL) expiry so abandoned sessions don't accumulate
+ * - A hard cap on live sessions to bound memory usage
+ * - History trimming so replays stay within prompt length limits
+ * - Unguessable session IDs generated with crypto, readable only by their owner
+ *
+ * NOTE: This is a simple in-memory store. Sessions are lost on restart and
+ * are not shared between instances; for production, consider Redis or a
+ * database with native TTL support.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+
+/**
+ * In-memory conversation store.
+ *
+ * Sessions are kept in a Map, which preserves insertion order. Every access
+ * re-inserts the session, so the first entry is always the least recently
+ * used one and can be evicted when the store is full.
+ */
+const conversationStore = {
+  sessions: new Map(),
+
+  /**
+   * Creates a new conversation session.
+   *
+   * @param {Object} details - Session details
+   * @param {string} details.emotion - The emotion the conversation is about
+   * @param {string} [details.context] - Optional background context
+   * @param {string|null} [details.owner] - Caller that created it (see getCallerId)
+   * @returns {Object} The new session
+   */
+  create({ emotion, context = null, owner = null }) {
+    this.purgeExpired();
+
+    // Evict least recently used sessions if we're at capacity
+    while (this.sessions.size >= config.conversations.maxSessions) {
+      const oldestId = this.sessions.keys().next().value;
+      this.sessions.delete(oldestId);
+    }
+
+    const now = Date.now();
+    const session = {
+      id: `conv_${crypto.randomBytes(12).toString('hex')}`,
+      emotion,
+      context,
+      owner,
+      messages: [],
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + config.conversations.ttlMs,
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  },
+
+  /**
+   * Gets a live session by ID.
+   *
+   * Other callers' sessions are reported as missing, so their IDs can't be
+   * probed either.
+   *
+   * @param {string} id - Session ID
+   * @param {string|null} owner - The caller asking (see getCallerId)
+   * @returns {Object|null} The session, or null if missing, expired or not the caller's
+   */
+  get(id, owner) {
+    const session = this.sessions.get(id);
+
+    if (!session || session.owner !== owner) {
+      return null;
+    }
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    return session;
+  },
+
+  /**
+   * Appends a completed exchange to a session and extends its TTL.
+   *
+   * Both turns are appended together, after Claude replies, so a failed
+   * API call never leaves a dangling user turn in the history.
+   *
+   * @param {Object} session - Session returned by get() or create()
+   * @param {string} userContent - The user's message
+   * @param {string} assistantContent - Claude's reply
+   */
+  appendExchange(session, userContent, assistantContent) {
+    const now = Date.now();
+
+    session.messages.push(
+      { role: 'user', content: userContent, timestamp: new Date(now).toISOString() },
+      { role: 'assistant', content: assistantContent, timestamp: new Date(now).toISOString() }
+    );
+    session.updatedAt = now;
+    session.expiresAt = now + config.conversations.ttlMs;
+
+    // Re-insert to mark as most recently used
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+  },
+
+  /**
+   * Deletes a session.
+   *
+   * @param {string} id - Session ID
+   * @returns {boolean} True if a session was deleted
+   */
+  delete(id) {
+    return this.sessions.delete(id);
+  },
+
+  /**
+   * Removes all expired sessions.
+   */
+  purgeExpired() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  },
+
+  /**
+   * Gets store statistics for monitoring.
+   *
+   * @returns {Object} Session counts and limits
+   */
+  getStats() {
+    this.purgeExpired();
+    return {
+      activeSessions: this.sessions.size,
+      maxSessions: config.conversations.maxSessions,
+      ttlMinutes: config.conversations.ttlMs / 60000,
+    };
+  },
+};
+
+// Periodically clear out expired sessions
+// unref() so this timer never keeps the process alive during shutdown
+setInterval(() => conversationStore.purgeExpired(), 60 * 1000).unref();
+
+/**
+ * Builds the message history to send to Claude for the next turn.
+ *
+ * The oldest exchanges are dropped until the history fits within both
+ * CONVERSATION_MAX_TURNS and MAX_PROMPT_LENGTH. Exchanges are dropped in
+ * user/assistant pairs so the history always starts with a user turn.
+ *
+ * @param {Object} session - The conversation session
+ * @param {string} prompt - The new user message
+ * @returns {{ messages: Array<Object>, droppedTurns: number }} History to send
+ */
+function buildHistory(session, prompt) {
+  const history = session.messages.map(({ role, content }) => ({ role, content }));
+  const maxPromptLength = config.anthropic.maxPromptLength;
+  // The new prompt starts an exchange of its own, so it takes one of the slots
+  const maxHistoryMessages = (config.conversations.maxTurns - 1) * 2;
+
+  let totalLength = history.reduce((sum, message) => sum + message.content.length, 0) + prompt.length;
+  let droppedTurns = 0;
+
+  while (history.length > 0 && (history.length > maxHistoryMessages || totalLength > maxPromptLength)) {
+    const [user, assistant] = history.splice(0, 2);
+    totalLength -= user.content.length + assistant.content.length;
+    droppedTurns += 2;
+  }
+
+  history.push({ role: 'user', content: prompt });
+
+  return { messages: history, droppedTurns };
+}
+
+/**
+ * Formats a session for API responses.
+ *
+ * @param {Object} session - The conversation session
+ * @param {boolean} [includeMessages=false] - Whether to include the full history
+ * @returns {Object} Client-facing session representation
+ */
+function serializeSession(session, includeMessages = false) {
+  const serialized = {
+    id: session.id,
+    emotion: session.emotion,
+    context: session.context,
+    turnCount: session.messages.length,
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+
+  if (includeMessages) {
+    serialized.messages = session.messages;
+  }
+
+  return serialized;
+}
+
+module.exports = {
+  createConversation: (details) => conversationStore.create(details),
+  getConversation: (id, owner) => conversationStore.get(id, owner),
+  appendExchange: (session, userContent, assistantContent) =>
+    conversationStore.appendExchange(session, userContent, assistantContent),
+  deleteConversation: (id) => conversationStore.delete(id),
+  getConversationStats: () => conversationStore.getStats(),
+  buildHistory,
+  serializeSession,
+};
@@ -0,0 +1,275 @@
+/**
+ * =============================================================================
+ * PROMPT EXPERIMENTS (A/B TESTS)
+ * =============================================================================
+ *
+ * Compares prompt template versions on real traffic. Each experiment splits
+ * the requests for one template between variants, each pinned to a template
+ * version, according to traffic weights:
+ *
+ *   PROMPT_EXPERIMENTS=[{
+ *     "id": "negative-tone",
+ *     "template": "negative-affirmation",
+ *     "variants": [
+ *       { "id": "control", "version": 1, "weight": 50 },
+ *       { "id": "drier",   "version": 2, "weight": 50 }
+ *     ]
+ *   }]
+ *
+ * ASSIGNMENT:
+ * A client always gets the same variant: the variant is picked from a hash
+ * of the experiment ID and the client's identity (the X-Client-Id header, or
+ * else its API key, or else its IP address - see getClientIdentity). Changing
+ * the weights or variants reshuffles some clients.
+ *
+ * RESULTS:
+ * Responses report the variant in `metadata.template.experiment`. Per-variant
+ * request counts, token usage, cost, latency and truncation rate are listed
+ * under `experiments` in /api/stats, and every Claude call made for a
+ * variant is tagged with it in the usage ledger.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Deterministic, stateless assignment (no lookup table, same answer on
+ *   every instance)
+ * - The experiment ID salts the hash, so experiments split independently
+ *
+ * NOTE: Statistics are in-memory and per process; use the usage ledger for
+ * longer comparisons.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { roundUsd } = require('./pricing');
+
+/**
+ * Experiments from PROMPT_EXPERIMENTS with defaults applied, by template ID.
+ * (validateConfig reports malformed entries; they are skipped here.)
+ */
+const experimentsByTemplate = new Map(
+  (Array.isArray(config.prompts.experiments) ? config.prompts.experiments : [])
+    .filter((experiment) => experiment && typeof experiment.template === 'string' && Array.isArray(experiment.variants))
+    .map((experiment) => {
+      const variants = experiment.variants
+        .filter((variant) => variant && typeof variant.id === 'string')
+        .map((variant) => ({
+          id: variant.id,
+          version: variant.version,
+          weight: variant.weight ?? 1,
+        }));
+
+      return [experiment.template, {
+        id: experiment.id,
+        template: experiment.template,
+        variants,
+        totalWeight: variants.reduce((sum, variant) => sum + variant.weight, 0),
+      }];
+    })
+);
+
+/**
+ * Per-variant counters, keyed by "<experiment>/<variant>".
+ */
+const variantStats = {
+  entries: new Map(),
+  since: new Date().toISOString(),
+
+  /**
+   * Gets (creating if needed) the counters for a variant.
+   *
+   * @param {{ id: string, variant: string }} experiment - Experiment and variant IDs
+   * @returns {Object} Counters
+   */
+  get({ id, variant }) {
+    const key = `${id}/${variant}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        requests: 0,
+        calls: 0,
+        errors: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        costUsd: 0,
+        totalLatencyMs: 0,
+        truncated: 0,
+      });
+    }
+    return this.entries.get(key);
+  },
+
+  /**
+   * Clears all counters.
+   */
+  reset() {
+    this.entries.clear();
+    this.since = new Date().toISOString();
+  },
+};
+
+/**
+ * Picks the variant for a client.
+ *
+ * @param {Object} experiment - The experiment
+ * @param {string} clientKey - Stable client identity
+ * @returns {Object} The variant
+ */
+function pickVariant(experiment, clientKey) {
+  const digest = crypto.createHash('sha256').update(`${experiment.id}:${clientKey}`).digest();
+  // First 32 bits of the hash, scaled to [0, totalWeight)
+  const point = (digest.readUInt32BE(0) / 0x100000000) * experiment.totalWeight;
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+
+  // Only reachable through floating point rounding
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Assigns a request for a template to an experiment variant.
+ *
+ * @param {string} templateId - Template being rendered
+ * @param {string} [clientKey] - Stable client identity; without one, the
+ *   request isn't part of the experiment
+ * @returns {{ experiment: { id: string, variant: string }, version: number|undefined }|null}
+ *   The assignment (version undefined = latest), or null if no experiment applies
+ */
+function assignVariant(templateId, clientKey) {
+  const experiment = experimentsByTemplate.get(templateId);
+  if (!experiment || experiment.totalWeight <= 0 || !clientKey) {
+    return null;
+  }
+
+  const variant = pickVariant(experiment, clientKey);
+  const assignment = { id: experiment.id, variant: variant.id };
+  variantStats.get(assignment).requests++;
+
+  return { experiment: assignment, version: variant.version };
+}
+
+/**
+ * Records a finished Claude call made for a variant.
+ *
+ * @param {{ id: string, variant: string }} experiment - Experiment and variant IDs
+ * @param {Object} call - What the call cost and how it ended
+ * @param {number} call.inputTokens - Prompt tokens
+ * @param {number} call.outputTokens - Response tokens
+ * @param {number} call.costUsd - Estimated cost
+ * @param {number} call.latencyMs - Time taken, retries included
+ * @param {boolean} call.failed - True if the call failed
+ * @param {boolean} call.truncated - True if the reply hit the token limit
+ */
+function recordVariantCall(experiment, { inputTokens, outputTokens, costUsd, latencyMs, failed, truncated }) {
+  const stats = variantStats.get(experiment);
+
+  stats.calls++;
+  stats.inputTokens += inputTokens;
+  stats.outputTokens += outputTokens;
+  stats.costUsd += costUsd;
+
+  if (failed) {
+    stats.errors++;
+    return;
+  }
+
+  // Latency and truncation describe replies, so failures don't skew them
+  stats.totalLatencyMs += latencyMs;
+  if (truncated) {
+    stats.truncated++;
+  }
+}
+
+/**
+ * Lists template versions the experiments depend on, so the prompt registry
+ * can refuse to start (or reload) without them.
+ *
+ * @returns {Array<{ experiment: string, template: string, version: number|undefined }>}
+ *   Versions (undefined = latest)
+ */
+function listExperimentVersions() {
+  return [...experimentsByTemplate.values()].flatMap((experiment) =>
+    experiment.variants.map((variant) => ({
+      experiment: experiment.id,
+      template: experiment.template,
+      version: variant.version,
+    }))
+  );
+}
+
+/**
+ * Gets the experiment running on a template.
+ *
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Experiment ID and variants, or null
+ */
+function getTemplateExperiment(templateId) {
+  const experiment = experimentsByTemplate.get(templateId);
+  if (!experiment) {
+    return null;
+  }
+
+  return {
+    id: experiment.id,
+    variants: experiment.variants.map(({ id, version, weight }) => ({
+      id,
+      version: version ?? 'latest',
+      weight,
+      trafficPercent: experiment.totalWeight > 0 ? Math.round((weight / experiment.totalWeight) * 1000) / 10 : 0,
+    })),
+  };
+}
+
+/**
+ * Gets per-variant statistics for /api/stats.
+ *
+ * @returns {Object} Experiments with their variants' counters and rates
+ */
+function getExperimentStats() {
+  const experiments = [...experimentsByTemplate.values()].map((experiment) => ({
+    id: experiment.id,
+    template: experiment.template,
+    variants: experiment.variants.map((variant) => {
+      const stats = variantStats.get({ id: experiment.id, variant: variant.id });
+      const replies = stats.calls - stats.errors;
+
+      return {
+        id: variant.id,
+        version: variant.version ?? 'latest',
+        weight: variant.weight,
+        requests: stats.requests,
+        calls: stats.calls,
+        errors: stats.errors,
+        tokens: {
+          input: stats.inputTokens,
+          output: stats.outputTokens,
+          total: stats.inputTokens + stats.outputTokens,
+          averagePerCall: stats.calls > 0 ? Math.round((stats.inputTokens + stats.outputTokens) / stats.calls) : 0,
+        },
+        costUsd: roundUsd(stats.costUsd),
+        averageLatencyMs: replies > 0 ? Math.round(stats.totalLatencyMs / replies) : null,
+        truncated: stats.truncated,
+        truncationRate: replies > 0 ? Math.round((stats.truncated / replies) * 1000) / 1000 : null,
+      };
+    }),
+  }));
+
+  return {
+    since: variantStats.since,
+    experiments,
+  };
+}
+
+module.exports = {
+  assignVariant,
+  recordVariantCall,
+  listExperimentVersions,
+  getTemplateExperiment,
+  getExperimentStats,
+  resetExperimentStats: () => variantStats.reset(),
+};
@@ -0,0 +1,225 @@
+/**
+ * =============================================================================
+ * LOCALIZATION (i18n)
+ * =============================================================================
+ *
+ * Translation catalogs and locale negotiation for the Claude routes.
+ *
+ * CHOOSING A LOCALE (first match wins):
+ * 1. A `lang` parameter (query string or JSON body), e.g. lang=es or lang=es-MX
+ * 2. The Accept-Language header, honoring q-values
+ * 3. DEFAULT_LOCALE
+ *
+ * The locale decides:
+ * - The language Claude replies in (renderPrompt adds an instruction to the
+ *   system prompt; English prompts are left untouched)
+ * - Validation and error messages (see validation.js and errorHandler.js)
+ * - Static response text such as disclaimers and the crisis message
+ *
+ * Localized emotion names ("triste", "traurig", "悲しい") are accepted and
+ * mapped to the canonical English ones before validation.
+ *
+ * CATALOGS:
+ * One JSON file per locale in src/locales. Keys missing from a catalog fall
+ * back to English, so a partial translation never breaks a response. To add
+ * a locale, copy en.json, translate it and add it to CATALOGS below.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Locale is derived from the request on demand (batch sub-requests and
+ *   async jobs can each carry their own `lang`)
+ * - Errors keep their English message for logs; only clients see translations
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+
+/**
+ * Translation catalogs by locale code.
+ */
+const CATALOGS = {
+  en: require('../locales/en.json'),
+  es: require('../locales/es.json'),
+  de: require('../locales/de.json'),
+  ja: require('../locales/ja.json'),
+};
+
+const FALLBACK_LOCALE = 'en';
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Every known emotion name (lowercase, in any locale) mapped to its
+ * canonical English name.
+ */
+const EMOTION_ALIASES = new Map(
+  Object.values(CATALOGS).flatMap((catalog) =>
+    Object.entries(catalog.emotions).flatMap(([canonical, names]) =>
+      names.map((name) => [name.toLowerCase(), canonical])))
+);
+
+/**
+ * Matches a language tag to a supported locale ("es-MX" -> "es").
+ *
+ * @param {*} tag - Language tag
+ * @returns {string|null} Supported locale, or null
+ */
+function matchLocale(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Picks the best supported locale from an Accept-Language header.
+ *
+ * @param {string} [header] - Accept-Language header, e.g. "de-CH, de;q=0.9, en;q=0.5"
+ * @returns {string|null} Supported locale, or null if none is acceptable
+ */
+function negotiateLocale(header) {
+  if (!header) {
+    return null;
+  }
+
+  const ranked = header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag, q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter(({ q }) => q > 0)
+    // Highest quality first; the header's own order breaks ties
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of ranked) {
+    const locale = matchLocale(tag);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Works out the locale for a request.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} Supported locale code
+ */
+function resolveLocale(req) {
+  return matchLocale(req.body?.lang ?? req.query?.lang) ||
+    negotiateLocale(req.headers?.['accept-language']) ||
+    config.i18n.defaultLocale;
+}
+
+/**
+ * Looks up a dotted key ("errors.notFound") in a catalog.
+ *
+ * @param {Object} catalog - Translation catalog
+ * @param {string} key - Dotted key
+ * @returns {*} The entry, or undefined
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Translates a catalog key, filling in {placeholders}.
+ *
+ * @param {string} locale - Locale code (unknown locales use English)
+ * @param {string} key - Dotted catalog key, e.g. "errors.notFound"
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} The translation (the English text if the locale lacks the
+ *   key, or the key itself if English does too)
+ */
+function translate(locale, key, params = {}) {
+  const template = lookup(CATALOGS[locale] || {}, key) ?? lookup(CATALOGS[FALLBACK_LOCALE], key) ?? key;
+
+  return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+    (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Translates a catalog key into the request's locale.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} key - Dotted catalog key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} The translation
+ */
+function translateFor(req, key, params) {
+  return translate(resolveLocale(req), key, params);
+}
+
+/**
+ * Maps a localized emotion name to its canonical English name.
+ *
+ * @param {*} value - Emotion from the request
+ * @returns {*} The canonical name, or the value unchanged if it isn't known
+ */
+function canonicalEmotion(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return EMOTION_ALIASES.get(value.trim().toLowerCase()) || value;
+}
+
+/**
+ * Lists emotion names as a client using a locale would type them.
+ *
+ * @param {string} locale - Locale code
+ * @param {Array<string>} emotions - Canonical emotion names
+ * @returns {Array<string>} The first localized name of each emotion
+ */
+function localizedEmotionNames(locale, emotions) {
+  const catalog = CATALOGS[locale] || CATALOGS[FALLBACK_LOCALE];
+  return emotions.map((emotion) => catalog.emotions[emotion]?.[0] || emotion);
+}
+
+/**
+ * Builds the system prompt instruction that sets Claude's reply language.
+ *
+ * @param {string} [locale] - Locale code
+ * @returns {string|null} The instruction, or null for English (prompts are
+ *   already written in English)
+ */
+function languageInstruction(locale) {
+  if (!locale || locale === FALLBACK_LOCALE || !CATALOGS[locale]) {
+    return null;
+  }
+
+  return `Write your entire reply in ${CATALOGS[locale].locale.name}. ` +
+    'Keep JSON keys and any fixed values the instructions list exactly as given.';
+}
+
+/**
+ * Lists the supported locales for /api/info.
+ *
+ * @returns {Array<{ code: string, name: string, nativeName: string }>} Locales
+ */
+function listLocales() {
+  return SUPPORTED_LOCALES.map((code) => ({
+    code,
+    name: CATALOGS[code].locale.name,
+    nativeName: CATALOGS[code].locale.nativeName,
+  }));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  matchLocale,
+  resolveLocale,
+  translate,
+  translateFor,
+  canonicalEmotion,
+  localizedEmotionNames,
+  languageInstruction,
+  listLocales,
+};
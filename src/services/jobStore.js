@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * ASYNC JOB STORE
+ * =============================================================================
+ *
+ * This module tracks requests that run in the background after the client
+ * asked for `Prefer: respond-async`. The client gets 202 Accepted straight
+ * away and polls GET /api/jobs/:id for the result, so long generations are
+ * no longer cut off by a load balancer's idle timeout.
+ *
+ * JOB LIFECYCLE:
+ *   queued ──► running ──► succeeded | failed
+ *      │          │
+ *      └──────────┴──► cancelled (DELETE /api/jobs/:id)
+ *
+ * - queued:    Waiting for one of JOB_MAX_RUNNING slots
+ * - running:   The request is being handled; it has JOB_TIMEOUT_MS to finish
+ * - succeeded: The request returned a 2xx/3xx response (kept as the result)
+ * - failed:    The request returned an error response (kept as the result)
+ * - cancelled: The client cancelled the job; in-flight Claude calls are aborted
+ *
+ * Finished jobs are kept for JOB_TTL_MINUTES, then discarded.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Bounded memory: a hard cap on stored jobs, oldest finished jobs evicted
+ * - Bounded work: a cap on running jobs, the rest wait in a FIFO queue
+ * - Cancellation that actually stops the work (AbortSignal), not just the report
+ * - Unguessable job IDs generated with crypto, readable only by their owner
+ *
+ * NOTE: This is a simple in-memory store. Jobs are lost on restart and are
+ * not shared between instances (poll the instance that accepted the job, e.g.
+ * with sticky sessions); for production, consider a persistent queue.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { localizedError } = require('../middleware/errorHandler');
+
+// Statuses a job can no longer leave
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * In-memory job store and runner.
+ *
+ * Jobs are kept in a Map, which preserves insertion order, so the first
+ * finished entry is always the oldest one and can be evicted when full.
+ */
+const jobStore = {
+  jobs: new Map(),
+  waiting: [],
+  running: 0,
+  totals: {
+    submitted: 0,
+    succeeded: 0,
+    failed: 0,
+    cancelled: 0,
+    rejected: 0,
+  },
+
+  /**
+   * Creates a job and queues it to run.
+   *
+   * @param {Object} details - What the job runs, for status reports
+   * @param {string} details.method - HTTP method of the original request
+   * @param {string} details.path - Path of the original request
+   * @param {string} details.requestId - ID of the original request
+   * @param {string|null} [details.owner] - Caller that submitted it (see getCallerId)
+   * @param {Function} run - Does the work: called with `{ signal, deadline }`
+   *   and resolves with `{ statusCode, body }`
+   * @returns {Object} The new job
+   * @throws {ApiError} 503 if the store is full of unfinished jobs
+   */
+  submit({ method, path, requestId, owner = null }, run) {
+    this.purgeExpired();
+
+    // Make room by evicting the oldest finished jobs
+    while (this.jobs.size >= config.jobs.maxJobs) {
+      const oldest = [...this.jobs.values()].find((job) => isFinished(job));
+      if (!oldest) {
+        this.totals.rejected++;
+        const error = localizedError(503, 'errors.jobsFull');
+        error.retryAfterSeconds = 30;
+        throw error;
+      }
+      this.jobs.delete(oldest.id);
+    }
+
+    const job = {
+      id: `job_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'queued',
+      request: { method, path },
+      requestId,
+      owner,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      controller: new AbortController(),
+      run,
+    };
+
+    this.jobs.set(job.id, job);
+    this.waiting.push(job);
+    this.totals.submitted++;
+
+    // Start on the next tick, after the 202 response has been sent
+    setImmediate(() => this.drain());
+
+    return job;
+  },
+
+  /**
+   * Starts queued jobs while running slots are free.
+   */
+  drain() {
+    while (this.running < config.jobs.maxRunning && this.waiting.length > 0) {
+      this.start(this.waiting.shift());
+    }
+  },
+
+  /**
+   * Runs a job and records its outcome.
+   *
+   * The running slot is held until the work has actually stopped, even if
+   * the job was cancelled in the meantime.
+   *
+   * @param {Object} job - A queued job
+   */
+  start(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    Promise.resolve()
+      .then(() => job.run({
+        signal: job.controller.signal,
+        deadline: job.startedAt + config.jobs.timeoutMs,
+      }))
+      .then(
+        (response) => this.finish(job, response.statusCode < 400 ? 'succeeded' : 'failed', response),
+        (error) => {
+          console.error(`[${job.requestId}] Async job ${job.id} crashed: ${error.message}`);
+          this.finish(job, 'failed', {
+            statusCode: 500,
+            body: { success: false, error: { message: 'The job failed unexpectedly.' } },
+          });
+        }
+      )
+      .finally(() => {
+        this.running--;
+        this.drain();
+      });
+  },
+
+  /**
+   * Records a job's outcome and starts its TTL.
+   * Outcomes of cancelled jobs are discarded.
+   *
+   * @param {Object} job - The job
+   * @param {string} status - 'succeeded' or 'failed'
+   * @param {{ statusCode: number, body: * }} response - What the request returned
+   */
+  finish(job, status, response) {
+    if (isFinished(job)) {
+      return;
+    }
+
+    const now = Date.now();
+    job.status = status;
+    job.result = { status: response.statusCode, body: response.body };
+    job.finishedAt = now;
+    job.expiresAt = now + config.jobs.ttlMs;
+    job.run = null;
+    this.totals[status]++;
+  },
+
+  /**
+   * Gets a job by ID.
+   *
+   * Other callers' jobs are reported as missing, so their IDs can't be
+   * probed either.
+   *
+   * @param {string} id - Job ID
+   * @param {string|null} owner - The caller asking (see getCallerId)
+   * @returns {Object|null} The job, or null if missing, expired or not the caller's
+   */
+  get(id, owner) {
+    const job = this.jobs.get(id);
+
+    if (!job || job.owner !== owner) {
+      return null;
+    }
+
+    if (job.expiresAt !== null && job.expiresAt <= Date.now()) {
+      this.jobs.delete(id);
+      return null;
+    }
+
+    return job;
+  },
+
+  /**
+   * Cancels a queued or running job.
+   * Running jobs are aborted, which also aborts their in-flight Claude calls.
+   *
+   * @param {Object} job - Job returned by get()
+   * @returns {boolean} True if the job was cancelled, false if it had already finished
+   */
+  cancel(job) {
+    if (isFinished(job)) {
+      return false;
+    }
+
+    const index = this.waiting.indexOf(job);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    }
+
+    const now = Date.now();
+    job.status = 'cancelled';
+    job.finishedAt = now;
+    job.expiresAt = now + config.jobs.ttlMs;
+    job.run = null;
+    job.controller.abort();
+    this.totals.cancelled++;
+
+    return true;
+  },
+
+  /**
+   * Deletes a job and its result.
+   *
+   * @param {string} id - Job ID
+   * @returns {boolean} True if a job was deleted
+   */
+  delete(id) {
+    return this.jobs.delete(id);
+  },
+
+  /**
+   * Removes all expired (finished) jobs.
+   */
+  purgeExpired() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt !== null && job.expiresAt <= now) {
+        this.jobs.delete(id);
+      }
+    }
+  },
+
+  /**
+   * Gets store statistics for monitoring.
+   *
+   * @returns {Object} Current jobs by state, limits and lifetime totals
+   */
+  getStats() {
+    this.purgeExpired();
+    return {
+      queued: this.waiting.length,
+      running: this.running,
+      stored: this.jobs.size,
+      maxJobs: config.jobs.maxJobs,
+      maxRunning: config.jobs.maxRunning,
+      timeoutMs: config.jobs.timeoutMs,
+      ttlMinutes: config.jobs.ttlMs / 60000,
+      totals: { ...this.totals },
+    };
+  },
+};
+
+// Periodically clear out expired jobs
+// unref() so this timer never keeps the process alive during shutdown
+setInterval(() => jobStore.purgeExpired(), 60 * 1000).unref();
+
+/**
+ * Checks whether a job has reached a final status.
+ *
+ * @param {Object} job - The job
+ * @returns {boolean} True if succeeded, failed or cancelled
+ */
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Formats a job for API responses.
+ *
+ * @param {Object} job - The job
+ * @returns {Object} Client-facing job representation
+ */
+function serializeJob(job) {
+  const toIso = (timestamp) => (timestamp === null ? null : new Date(timestamp).toISOString());
+
+  return {
+    id: job.id,
+    status: job.status,
+    request: job.request,
+    requestId: job.requestId,
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    finishedAt: toIso(job.finishedAt),
+    expiresAt: toIso(job.expiresAt),
+    // The status code and body the request would have returned synchronously
+    ...(job.result && { result: job.result }),
+  };
+}
+
+module.exports = {
+  submitJob: (details, run) => jobStore.submit(details, run),
+  getJob: (id, owner) => jobStore.get(id, owner),
+  cancelJob: (job) => jobStore.cancel(job),
+  deleteJob: (id) => jobStore.delete(id),
+  isJobFinished: isFinished,
+  serializeJob,
+  getJobStats: () => jobStore.getStats(),
+};
@@ -0,0 +1,141 @@
+/**
+ * =============================================================================
+ * JSON SCHEMA VALIDATION
+ * =============================================================================
+ *
+ * A small validator for the subset of JSON Schema used to describe the
+ * structured responses we ask Claude for. It keeps the template free of a
+ * schema library dependency; swap in a full validator (e.g. Ajv) if your
+ * schemas outgrow it.
+ *
+ * SUPPORTED KEYWORDS:
+ * - type (object, array, string, number, integer, boolean, null)
+ * - enum
+ * - object: properties, required, additionalProperties (false only)
+ * - array: items, minItems, maxItems
+ * - string: minLength, maxLength
+ * - number/integer: minimum, maximum
+ *
+ * Errors are plain sentences with a JSON path (e.g. "$.intensity must be one
+ * of: low, moderate, high") so they can be shown to clients and fed back to
+ * the model as-is.
+ *
+ * =============================================================================
+ */
+
+/**
+ * Gets the JSON Schema type name of a value.
+ *
+ * @param {*} value - Any JSON value
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    // Integers are also numbers
+    const matches = schema.type === actualType || (schema.type === 'number' && actualType === 'integer');
+    if (!matches) {
+      return [`${path} must be of type ${schema.type} (got ${actualType})`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      }
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (actualType === 'number' || actualType === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parses a model reply as JSON and validates it against a schema.
+ *
+ * The reply must be a single JSON value. A surrounding Markdown code fence
+ * is tolerated; any other text around the JSON is an error.
+ *
+ * @param {string} text - Model reply
+ * @param {Object} schema - JSON Schema the value must match
+ * @returns {{ value: *, errors: Array<string> }} Parsed value and validation errors
+ */
+function parseStructuredResponse(text, schema) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+
+  let value;
+  try {
+    value = JSON.parse(fenced ? fenced[1] : trimmed);
+  } catch (error) {
+    return { value: null, errors: [`Response is not valid JSON (${error.message})`] };
+  }
+
+  return { value, errors: validateSchema(value, schema) };
+}
+
+module.exports = {
+  validateSchema,
+  parseStructuredResponse,
+};
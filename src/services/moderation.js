@@ -0,0 +1,401 @@
+/**
+ * =============================================================================
+ * OUTPUT MODERATION (NEGATIVE AFFIRMATIONS)
+ * =============================================================================
+ *
+ * The negative affirmation prompt asks Claude to be "darkly funny but never
+ * cruel or truly harmful". This module enforces it: every generated reply is
+ * checked before it reaches the client, and rejected replies are regenerated.
+ *
+ * CHECKS (in order, stopping at the first rejection):
+ * 1. Self-harm language, using the crisis screening patterns (safety.js)
+ * 2. The local rule set (MODERATION_RULES_PATH, src/data/moderationRules.json):
+ *    rules without a weight reject on any match (e.g. naming a protected
+ *    group); weighted rules add up to a cruelty score
+ * 3. Optionally (MODERATION_CLASSIFIER_ENABLED=true), a second Claude call that
+ *    classifies the reply - see src/prompts/moderation-classifier.v1.md
+ *
+ * A reply is rejected if it targets a protected group, mentions self-harm, or
+ * its cruelty score (0-10, from the rules or the classifier) reaches
+ * MODERATION_CRUELTY_THRESHOLD.
+ *
+ * REGENERATION:
+ * Claude is shown the rejected reply and why it was rejected, and asked for
+ * a different one, up to MODERATION_MAX_REGENERATIONS times. If every attempt
+ * is rejected the request fails with 502 - a rejected reply is never sent.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Cheap, local checks run first; the paid classifier only sees replies
+ *   that passed them
+ * - Fails closed: if the classifier call fails, so does the request
+ * - Rejected text is never logged or returned, and replies the local rules
+ *   reject are never cached
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const { config } = require('../config');
+const { localizedError } = require('../middleware/errorHandler');
+const { sendMessage, sendStructuredMessage } = require('./claudeService');
+const { renderPrompt, requirePromptTemplates } = require('./promptRegistry');
+const { findCrisisCategory } = require('./safety');
+
+// Prompt template for the classifier call
+const CLASSIFIER_TEMPLATE = 'moderation-classifier';
+
+requirePromptTemplates([CLASSIFIER_TEMPLATE]);
+
+// Highest possible cruelty score
+const MAX_CRUELTY = 10;
+
+// Verdicts are short; this is plenty
+const CLASSIFIER_MAX_TOKENS = 256;
+
+/**
+ * JSON Schema for the classifier's verdict.
+ */
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    protectedGroup: { type: 'boolean' },
+    selfHarm: { type: 'boolean' },
+    cruelty: { type: 'integer', minimum: 0, maximum: MAX_CRUELTY },
+    reason: { type: 'string', minLength: 1, maxLength: 300 },
+  },
+  required: ['protectedGroup', 'selfHarm', 'cruelty', 'reason'],
+  additionalProperties: false,
+};
+
+/**
+ * Compiled rules from the rule set file (see loadModerationRules).
+ */
+let rules = [];
+
+/**
+ * Counters for monitoring.
+ */
+const moderationStats = {
+  checked: 0,
+  passed: 0,
+  rejected: 0,
+  regenerations: 0,
+  exhausted: 0,
+  byCategory: {},
+  bySource: {},
+  classifierCalls: 0,
+  classifierErrors: 0,
+
+  /**
+   * Counts a rejection.
+   *
+   * @param {{ source: string, categories: Array<string> }} rejection - Why the reply was rejected
+   */
+  recordRejection({ source, categories }) {
+    this.rejected++;
+    this.bySource[source] = (this.bySource[source] || 0) + 1;
+    categories.forEach((category) => {
+      this.byCategory[category] = (this.byCategory[category] || 0) + 1;
+    });
+  },
+
+  /**
+   * Clears all counters.
+   */
+  reset() {
+    Object.assign(this, {
+      checked: 0,
+      passed: 0,
+      rejected: 0,
+      regenerations: 0,
+      exhausted: 0,
+      byCategory: {},
+      bySource: {},
+      classifierCalls: 0,
+      classifierErrors: 0,
+    });
+  },
+};
+
+/**
+ * Loads and compiles the rule set. Call once at startup: an invalid file
+ * throws, so the server refuses to start without its moderation rules.
+ *
+ * @returns {number} Number of rules loaded
+ * @throws {Error} If the file can't be read or a rule is invalid
+ */
+function loadModerationRules() {
+  const file = config.moderation.rulesPath;
+  let parsed;
+
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read moderation rules from ${file}: ${error.message}`);
+  }
+
+  if (!parsed || !Array.isArray(parsed.rules)) {
+    throw new Error(`${file} must contain a "rules" array`);
+  }
+
+  const problems = [];
+  const ids = new Set();
+
+  const compiled = parsed.rules.map((rule, index) => {
+    const label = `rules[${index}]`;
+
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      problems.push(`${label} must have an "id"`);
+      return null;
+    }
+    if (ids.has(rule.id)) {
+      problems.push(`${label}: id "${rule.id}" is used more than once`);
+    }
+    ids.add(rule.id);
+
+    if (typeof rule.category !== 'string' || !rule.category) {
+      problems.push(`${label} (${rule.id}) must have a "category"`);
+    }
+    if (rule.weight !== undefined && (typeof rule.weight !== 'number' || rule.weight < 1 || rule.weight > MAX_CRUELTY)) {
+      problems.push(`${label} (${rule.id}): "weight" must be a number from 1 to ${MAX_CRUELTY}`);
+    }
+
+    try {
+      return { id: rule.id, category: rule.category, weight: rule.weight, pattern: new RegExp(rule.pattern, 'i') };
+    } catch (error) {
+      problems.push(`${label} (${rule.id}): invalid "pattern": ${error.message}`);
+      return null;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid moderation rules in ${file}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  rules = compiled;
+  return rules.length;
+}
+
+/**
+ * Checks a reply against the self-harm patterns and the local rule set.
+ *
+ * @param {string} text - Generated reply
+ * @returns {{ source: string, categories: Array<string>, reason: string }|null}
+ *   The rejection, or null if the reply passed
+ */
+function checkRules(text) {
+  const crisisCategory = findCrisisCategory(text);
+  if (crisisCategory) {
+    return { source: 'rules', categories: ['self_harm'], reason: 'mentions self-harm or suicide' };
+  }
+
+  const matched = rules.filter((rule) => rule.pattern.test(text));
+
+  const blocking = matched.filter((rule) => rule.weight === undefined);
+  if (blocking.length > 0) {
+    return {
+      source: 'rules',
+      categories: [...new Set(blocking.map((rule) => rule.category))],
+      reason: `matched rule(s) ${blocking.map((rule) => rule.id).join(', ')}`,
+    };
+  }
+
+  const cruelty = Math.min(MAX_CRUELTY, matched.reduce((sum, rule) => sum + rule.weight, 0));
+  if (cruelty >= config.moderation.crueltyThreshold) {
+    return {
+      source: 'rules',
+      categories: ['cruelty'],
+      reason: `cruelty score ${cruelty} from rule(s) ${matched.map((rule) => rule.id).join(', ')}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Asks the classifier model for a verdict on a reply.
+ *
+ * @param {string} text - Generated reply
+ * @param {Object} options - Request options (requestId, endpoint, deadline, signal, callerId)
+ * @returns {Promise<{ rejection: Object|null, inputTokens: number, outputTokens: number }>}
+ *   The rejection (or null) and the tokens the classification used
+ * @throws {Error} If the classifier call fails
+ */
+async function classify(text, { requestId, endpoint, deadline, signal, callerId }) {
+  const { systemPrompt, prompt, template } = renderPrompt(CLASSIFIER_TEMPLATE, { prompt: text });
+
+  moderationStats.classifierCalls++;
+
+  let response;
+  try {
+    response = await sendStructuredMessage({
+      systemPrompt,
+      prompt,
+      model: config.moderation.classifierModel,
+      maxTokens: CLASSIFIER_MAX_TOKENS,
+      temperature: 0,
+      requestId,
+      endpoint: `${endpoint} (moderation)`,
+      deadline,
+      signal,
+      callerId,
+      template,
+    }, VERDICT_SCHEMA);
+  } catch (error) {
+    moderationStats.classifierErrors++;
+    throw error;
+  }
+
+  const verdict = response.data;
+  const categories = [
+    ...(verdict.protectedGroup ? ['protected_group'] : []),
+    ...(verdict.selfHarm ? ['self_harm'] : []),
+    ...(verdict.cruelty >= config.moderation.crueltyThreshold ? ['cruelty'] : []),
+  ];
+
+  return {
+    rejection: categories.length > 0
+      ? { source: 'classifier', categories, reason: `${verdict.reason} (cruelty ${verdict.cruelty})` }
+      : null,
+    inputTokens: response.metadata.inputTokens,
+    outputTokens: response.metadata.outputTokens,
+  };
+}
+
+/**
+ * Sends a message whose reply must pass output moderation.
+ *
+ * With moderation disabled this is just sendMessage.
+ *
+ * @param {Object} options - Same options as sendMessage (prompt and systemPrompt required)
+ * @returns {Promise<Object>} The API response. Token counts cover every attempt
+ *   and classification; `metadata.moderation` reports the attempts and rejections.
+ * @throws {ApiError} 502 if every attempt was rejected
+ * @throws {Error} If an API call (generation or classification) fails
+ */
+async function sendModeratedMessage(options) {
+  if (!config.moderation.enabled) {
+    return sendMessage(options);
+  }
+
+  const { prompt, systemPrompt, ...messageOptions } = options;
+  const maxAttempts = config.moderation.maxRegenerations + 1;
+
+  const messages = [{ role: 'user', content: prompt }];
+  const rejections = [];
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      moderationStats.regenerations++;
+    }
+
+    const response = await sendMessage({
+      ...messageOptions,
+      systemPrompt,
+      messages,
+      // Never pin a reply the local rules reject in the response cache
+      shouldCache: (result) => checkRules(result.content) === null,
+    });
+
+    inputTokens += response.metadata.inputTokens;
+    outputTokens += response.metadata.outputTokens;
+    moderationStats.checked++;
+
+    let rejection = checkRules(response.content);
+
+    if (!rejection && config.moderation.classifierEnabled) {
+      const classification = await classify(response.content, {
+        requestId: response.metadata.requestId,
+        endpoint: messageOptions.endpoint,
+        deadline: messageOptions.deadline,
+        signal: messageOptions.signal,
+        callerId: messageOptions.callerId,
+      });
+      inputTokens += classification.inputTokens;
+      outputTokens += classification.outputTokens;
+      rejection = classification.rejection;
+    }
+
+    if (!rejection) {
+      moderationStats.passed++;
+      return {
+        ...response,
+        metadata: {
+          ...response.metadata,
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+          moderation: {
+            attempts: attempt,
+            classifier: config.moderation.classifierEnabled,
+            rejected: rejections.map(({ source, categories }) => ({ source, categories })),
+          },
+        },
+      };
+    }
+
+    moderationStats.recordRejection(rejection);
+    rejections.push(rejection);
+    // Categories only - the rejected text itself is never logged
+    console.warn(
+      `[${response.metadata.requestId}] Reply rejected by moderation ` +
+      `(attempt ${attempt}/${maxAttempts}, ${rejection.source}: ${rejection.categories.join(', ')})`
+    );
+
+    // Show Claude its reply and why it was rejected, then ask again
+    messages.push(
+      { role: 'assistant', content: response.content.trim() || '(empty response)' },
+      {
+        role: 'user',
+        content: `That affirmation was rejected by content moderation: ${rejection.reason}. ` +
+          'Write a different one that stays playful and self-deprecating, without insults, ' +
+          'references to groups of people, or anything about self-harm. ' +
+          'Respond with ONLY the affirmation itself.',
+      }
+    );
+  }
+
+  moderationStats.exhausted++;
+  throw localizedError(
+    502,
+    'errors.moderationExhausted',
+    { attempts: maxAttempts },
+    { moderation: rejections.map(({ source, categories }) => ({ source, categories })) }
+  );
+}
+
+/**
+ * Gets moderation statistics for monitoring.
+ *
+ * @returns {Object} Settings, and counts of checks, rejections and regenerations
+ */
+function getModerationStats() {
+  return {
+    enabled: config.moderation.enabled,
+    classifierEnabled: config.moderation.classifierEnabled,
+    crueltyThreshold: config.moderation.crueltyThreshold,
+    maxRegenerations: config.moderation.maxRegenerations,
+    rules: rules.length,
+    checked: moderationStats.checked,
+    passed: moderationStats.passed,
+    rejected: moderationStats.rejected,
+    rejectionRate: moderationStats.checked > 0
+      ? Math.round((moderationStats.rejected / moderationStats.checked) * 1000) / 1000
+      : null,
+    regenerations: moderationStats.regenerations,
+    exhausted: moderationStats.exhausted,
+    byCategory: { ...moderationStats.byCategory },
+    bySource: { ...moderationStats.bySource },
+    classifierCalls: moderationStats.classifierCalls,
+    classifierErrors: moderationStats.classifierErrors,
+  };
+}
+
+module.exports = {
+  loadModerationRules,
+  sendModeratedMessage,
+  getModerationStats,
+  resetModerationStats: () => moderationStats.reset(),
+};
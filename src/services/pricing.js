@@ -0,0 +1,59 @@
+/**
+ * =============================================================================
+ * MODEL PRICING
+ * =============================================================================
+ *
+ * Converts token counts into estimated USD costs using the per-model price
+ * table in config.anthropic.pricing (overridable with MODEL_PRICING).
+ *
+ * NOTE: These are estimates for monitoring and budgeting. Your Anthropic
+ * invoice is the source of truth.
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+
+/**
+ * Gets the price table entry for a model.
+ * Falls back to the default model's price for unknown model IDs
+ * (e.g. if the API reports a dated alias we don't list).
+ *
+ * @param {string} model - Model ID
+ * @returns {{ input: number, output: number }} USD per 1M tokens
+ */
+function getModelPricing(model) {
+  return config.anthropic.pricing[model] ||
+    config.anthropic.pricing[config.anthropic.defaultModel];
+}
+
+/**
+ * Calculates the estimated cost of a request.
+ *
+ * @param {string} model - Model ID
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Response tokens
+ * @returns {number} Estimated cost in USD
+ */
+function calculateCost(model, inputTokens, outputTokens) {
+  const pricing = getModelPricing(model);
+
+  return (inputTokens / 1_000_000) * pricing.input +
+    (outputTokens / 1_000_000) * pricing.output;
+}
+
+/**
+ * Rounds a USD amount for display (sub-cent precision matters at low volume).
+ *
+ * @param {number} usd - Amount in USD
+ * @returns {number} Amount rounded to 6 decimal places
+ */
+function roundUsd(usd) {
+  return Number(usd.toFixed(6));
+}
+
+module.exports = {
+  getModelPricing,
+  calculateCost,
+  roundUsd,
+};
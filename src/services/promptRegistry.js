@@ -0,0 +1,564 @@
+/**
+ * =============================================================================
+ * PROMPT TEMPLATE REGISTRY
+ * =============================================================================
+ *
+ * System and user prompts live in versioned template files (PROMPTS_DIR,
+ * src/prompts by default) instead of in the route modules, so the wording
+ * can be changed without a code deploy.
+ *
+ * FILES:
+ * One file per template version, named `<id>.v<version>.md`, e.g.
+ * `positive-affirmation.v2.md`. The highest version of each template is the
+ * one in use; to roll back, delete (or rename) the newer file.
+ *
+ *   ---
+ *   description: One uplifting first-person affirmation
+ *   variables: emotion, context
+ *   ---
+ *   [system]
+ *   You are a supportive, warm, and encouraging life coach.
+ *   ...
+ *
+ *   [user]
+ *   Generate a positive affirmation{{#emotion}} for someone feeling {{emotion}}{{/emotion}}.
+ *
+ * The [user] section is optional (e.g. conversations, where the user's
+ * messages come from the history).
+ *
+ * VARIABLES:
+ * - {{name}}                 The value; the request fails if it is missing
+ * - {{#name}}...{{/name}}    Included only when the variable has a value
+ * - {{^name}}...{{/name}}    Included only when it has no value
+ *
+ * Templates may only use variables they declare, and only those the routes
+ * provide (KNOWN_VARIABLES). Values are inserted as-is, in a single pass, so
+ * user input that happens to contain {{...}} is never expanded.
+ *
+ * EXPERIMENTS:
+ * When PROMPT_EXPERIMENTS runs an A/B test on a template, each client is
+ * served the version of its assigned variant instead of the latest (see
+ * services/experiments.js).
+ *
+ * HOT RELOAD:
+ * With PROMPTS_HOT_RELOAD enabled, the directory is watched and reloaded
+ * when a file changes. A file that fails validation is skipped and its last
+ * good version kept; a reload that would remove a template the routes need
+ * (or a version an experiment uses) is ignored entirely. Problems are logged and listed by GET /api/prompts.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Content separated from code, with versions visible to clients
+ * - Validate at load time, not when a request hits a broken template
+ * - Fail fast at startup; never take the API down on a bad edit later
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { assignVariant, listExperimentVersions, getTemplateExperiment } = require('./experiments');
+const { languageInstruction } = require('./i18n');
+
+// Variables the routes can provide to a template
+const KNOWN_VARIABLES = ['emotion', 'context', 'prompt'];
+
+// <id>.v<version>.md - other files in the directory are ignored
+const FILE_NAME_PATTERN = /^([a-z0-9]+(?:-[a-z0-9]+)*)\.v(\d+)\.md$/;
+
+// {{#name}}...{{/name}} and {{^name}}...{{/name}} (not nested)
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+// {{name}}
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Editors often write a file in several steps; wait for them to finish
+const RELOAD_DEBOUNCE_MS = 250;
+
+/**
+ * Parses the `---` front matter block into key/value pairs.
+ *
+ * @param {string} source - File contents
+ * @returns {{ meta: Object, body: string }} Front matter and the rest of the file
+ * @throws {Error} If the front matter is missing or malformed
+ */
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error('must start with a --- front matter block');
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      throw new Error(`front matter line "${line.trim()}" is not "key: value"`);
+    }
+    meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  return { meta, body: match[2] };
+}
+
+/**
+ * Splits the body into its [system] and [user] sections.
+ *
+ * @param {string} body - File contents after the front matter
+ * @returns {{ system: string, user: string|null }} Section text, trimmed
+ * @throws {Error} If there is no [system] section or a section is repeated
+ */
+function parseSections(body) {
+  const sections = {};
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const marker = line.trim().match(/^\[(system|user)\]$/);
+    if (marker) {
+      if (sections[marker[1]] !== undefined) {
+        throw new Error(`[${marker[1]}] appears more than once`);
+      }
+      current = marker[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.trim()) {
+      throw new Error('text before the first [system] or [user] marker');
+    }
+  }
+
+  const system = sections.system ? sections.system.join('\n').trim() : '';
+  if (!system) {
+    throw new Error('[system] section is missing or empty');
+  }
+
+  const user = sections.user ? sections.user.join('\n').trim() : null;
+  if (user === '') {
+    throw new Error('[user] section is empty (remove it if not needed)');
+  }
+
+  return { system, user };
+}
+
+/**
+ * Checks that a section only uses declared variables and well-formed tags.
+ *
+ * @param {string} text - Section text
+ * @param {Array<string>} declared - Variables from the front matter
+ * @param {Set<string>} used - Collects every variable the text refers to
+ * @throws {Error} On undeclared variables or malformed tags
+ */
+function checkPlaceholders(text, declared, used) {
+  const names = [];
+  const remainder = text
+    .replace(SECTION_PATTERN, (match, kind, name, inner) => {
+      names.push(name);
+      return inner;
+    })
+    .replace(VARIABLE_PATTERN, (match, name) => {
+      names.push(name);
+      return '';
+    });
+
+  if (remainder.includes('{{') || remainder.includes('}}')) {
+    throw new Error('unbalanced or malformed {{...}} tag (sections cannot be nested)');
+  }
+
+  for (const name of names) {
+    if (!declared.includes(name)) {
+      throw new Error(`uses {{${name}}} but does not declare it in "variables"`);
+    }
+    used.add(name);
+  }
+}
+
+/**
+ * Loads and validates one template file.
+ *
+ * @param {string} dir - Templates directory
+ * @param {string} file - File name (<id>.v<version>.md)
+ * @returns {Object} The template
+ * @throws {Error} If the file is invalid
+ */
+function loadTemplateFile(dir, file) {
+  const [, id, version] = file.match(FILE_NAME_PATTERN);
+  const source = fs.readFileSync(path.join(dir, file), 'utf8');
+  const { meta, body } = parseFrontMatter(source);
+  const { system, user } = parseSections(body);
+
+  const variables = (meta.variables || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const unknown = variables.filter((name) => !KNOWN_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`unknown variable(s) ${unknown.join(', ')} (available: ${KNOWN_VARIABLES.join(', ')})`);
+  }
+
+  const used = new Set();
+  checkPlaceholders(system, variables, used);
+  if (user) {
+    checkPlaceholders(user, variables, used);
+  }
+
+  const unused = variables.filter((name) => !used.has(name));
+  if (unused.length > 0) {
+    throw new Error(`declares ${unused.join(', ')} but never uses it`);
+  }
+
+  return {
+    id,
+    version: parseInt(version, 10),
+    description: meta.description || '',
+    variables,
+    system,
+    user,
+    file,
+    // Short content hash, to tell edits of the same version apart
+    checksum: crypto.createHash('sha256').update(source).digest('hex').slice(0, 12),
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fills in a template section.
+ *
+ * @param {Object} template - The template (for error messages)
+ * @param {string} text - Section text
+ * @param {Object} values - Variable values
+ * @returns {string} Rendered text
+ * @throws {Error} If a {{name}} outside a section has no value
+ */
+function fill(template, text, values) {
+  const hasValue = (name) => values[name] !== undefined && values[name] !== null && values[name] !== '';
+
+  // Only the template's own text is scanned for tags, never the values
+  return text
+    .replace(SECTION_PATTERN, (match, kind, name, inner) => ((kind === '#') === hasValue(name) ? inner : ''))
+    .replace(VARIABLE_PATTERN, (match, name) => {
+      if (!hasValue(name)) {
+        throw new Error(`Prompt template ${template.id} v${template.version} needs a value for {{${name}}}`);
+      }
+      return String(values[name]);
+    });
+}
+
+/**
+ * The registry: every loaded template version, by file name.
+ */
+const promptRegistry = {
+  // file name -> template
+  templates: new Map(),
+  // Template IDs the routes depend on
+  required: new Set(),
+  // Files that failed validation on the last load: { file, error }
+  errors: [],
+  lastLoadedAt: null,
+  reloads: 0,
+  watcher: null,
+  reloadTimer: null,
+
+  /**
+   * Reads the templates directory.
+   *
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.keepLastGood=false] - Keep the previous version
+   *   of files that fail validation (hot reload) instead of dropping them
+   * @returns {{ templates: Map, errors: Array<Object> }} What was loaded
+   */
+  read({ keepLastGood = false } = {}) {
+    const dir = config.prompts.dir;
+    const templates = new Map();
+    const errors = [];
+
+    for (const file of fs.readdirSync(dir).filter((name) => FILE_NAME_PATTERN.test(name)).sort()) {
+      try {
+        templates.set(file, loadTemplateFile(dir, file));
+      } catch (error) {
+        errors.push({ file, error: error.message });
+        if (keepLastGood && this.templates.has(file)) {
+          templates.set(file, this.templates.get(file));
+        }
+      }
+    }
+
+    return { templates, errors };
+  },
+
+  /**
+   * Loads the templates at startup and starts watching for changes.
+   *
+   * @returns {number} Number of template versions loaded
+   * @throws {Error} If any file is invalid or a required template is missing
+   */
+  load() {
+    const { templates, errors } = this.read();
+
+    const problems = [
+      ...errors.map(({ file, error }) => `${file}: ${error}`),
+      ...this.missingRequired(templates),
+    ];
+    if (problems.length > 0) {
+      throw new Error(`Invalid prompt templates in ${config.prompts.dir}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    this.templates = templates;
+    this.errors = [];
+    this.lastLoadedAt = new Date().toISOString();
+
+    if (config.prompts.hotReload && !this.watcher) {
+      this.watch();
+    }
+
+    return templates.size;
+  },
+
+  /**
+   * Watches the directory and reloads (debounced) when anything changes.
+   */
+  watch() {
+    this.watcher = fs.watch(config.prompts.dir, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+      this.reloadTimer.unref();
+    });
+
+    this.watcher.on('error', (error) => {
+      console.error(`[Prompts] Stopped watching ${config.prompts.dir}: ${error.message}`);
+      this.watcher.close();
+      this.watcher = null;
+    });
+
+    // Never keep the process alive just to watch files
+    this.watcher.unref();
+  },
+
+  /**
+   * Reloads after a change. Never throws: a bad edit is logged and the
+   * last good templates stay in use.
+   */
+  reload() {
+    let result;
+    try {
+      result = this.read({ keepLastGood: true });
+    } catch (error) {
+      console.error(`[Prompts] Reload failed, keeping current templates: ${error.message}`);
+      return;
+    }
+
+    const missing = this.missingRequired(result.templates);
+    if (missing.length > 0) {
+      console.error(`[Prompts] Reload ignored - it would remove what is still needed: ${missing.join('; ')}`);
+      return;
+    }
+
+    this.templates = result.templates;
+    this.errors = result.errors;
+    this.lastLoadedAt = new Date().toISOString();
+    this.reloads++;
+
+    result.errors.forEach(({ file, error }) => {
+      console.error(`[Prompts] ${file} is invalid, keeping its last good version (if any): ${error}`);
+    });
+    console.log(`[Prompts] Reloaded ${result.templates.size} template version(s) from ${config.prompts.dir}`);
+  },
+
+  /**
+   * Lists templates the routes need, and versions the experiments need,
+   * that are missing from a set of templates.
+   *
+   * @param {Map} templates - Templates by file name
+   * @returns {Array<string>} A description of each missing template or version
+   */
+  missingRequired(templates) {
+    const loaded = [...templates.values()];
+    const hasVersion = (id, version) => loaded.some((template) =>
+      template.id === id && (version === undefined || template.version === version));
+
+    return [
+      ...[...this.required]
+        .filter((id) => !hasVersion(id))
+        .map((id) => `No template file for "${id}" (expected ${id}.v1.md)`),
+      ...listExperimentVersions()
+        .filter(({ template, version }) => !hasVersion(template, version))
+        .map(({ experiment, template, version }) =>
+          `Experiment "${experiment}" uses ${template}${version !== undefined ? ` v${version}` : ''}, which doesn't exist`),
+    ];
+  },
+
+  /**
+   * Lists every version of a template, oldest first.
+   *
+   * @param {string} id - Template ID
+   * @returns {Array<Object>} Versions
+   */
+  versionsOf(id) {
+    return [...this.templates.values()]
+      .filter((template) => template.id === id)
+      .sort((a, b) => a.version - b.version);
+  },
+
+  /**
+   * Gets a template version.
+   *
+   * @param {string} id - Template ID
+   * @param {number} [version] - Specific version (default: the latest)
+   * @returns {Object|null} The template, or null if it doesn't exist
+   */
+  get(id, version) {
+    const versions = this.versionsOf(id);
+    if (version === undefined) {
+      return versions[versions.length - 1] || null;
+    }
+    return versions.find((template) => template.version === version) || null;
+  },
+};
+
+/**
+ * Renders a template into the prompts for a Claude call.
+ *
+ * @param {string} id - Template ID
+ * @param {Object} [values] - Variable values; missing/empty values are "not set"
+ * @param {Object} [options] - Options
+ * @param {number} [options.version] - Use this version instead of the latest
+ *   (bypasses any experiment)
+ * @param {string} [options.clientKey] - Client identity for experiment
+ *   assignment (see getClientIdentity); without it the latest version is used
+ * @param {string} [options.locale] - Language Claude should reply in; for
+ *   anything but English an instruction is appended to the system prompt
+ * @returns {{ systemPrompt: string, prompt: string|null, template: Object }}
+ *   Rendered prompts, and the template to report in response metadata:
+ *   `{ id, version }`, plus `experiment: { id, variant }` for A/B tested templates
+ * @throws {Error} If the template doesn't exist or a required value is missing
+ */
+function renderPrompt(id, values = {}, { version, clientKey, locale } = {}) {
+  const assignment = version === undefined ? assignVariant(id, clientKey) : null;
+  const wantedVersion = assignment ? assignment.version : version;
+  const template = promptRegistry.get(id, wantedVersion);
+
+  if (!template) {
+    throw new Error(`Prompt template ${id}${wantedVersion !== undefined ? ` v${wantedVersion}` : ''} not found`);
+  }
+
+  const systemPrompt = fill(template, template.system, values);
+  const instruction = languageInstruction(locale);
+
+  return {
+    systemPrompt: instruction ? `${systemPrompt}\n\n${instruction}` : systemPrompt,
+    prompt: template.user ? fill(template, template.user, values) : null,
+    template: {
+      id: template.id,
+      version: template.version,
+      ...(assignment && { experiment: assignment.experiment }),
+    },
+  };
+}
+
+/**
+ * Declares templates a module depends on. Startup fails if any of them is
+ * missing, and hot reload never removes them.
+ *
+ * @param {Array<string>} ids - Template IDs
+ */
+function requirePromptTemplates(ids) {
+  ids.forEach((id) => promptRegistry.required.add(id));
+}
+
+/**
+ * Summarizes a template version for the API.
+ *
+ * @param {Object} template - The template
+ * @param {boolean} [includeText=false] - Include the system and user text
+ * @returns {Object} Version details
+ */
+function serializeVersion(template, includeText = false) {
+  return {
+    version: template.version,
+    file: template.file,
+    checksum: template.checksum,
+    loadedAt: template.loadedAt,
+    ...(includeText && { system: template.system, user: template.user }),
+  };
+}
+
+/**
+ * Lists every template with its versions.
+ *
+ * @returns {Array<Object>} Templates, sorted by ID
+ */
+function listPromptTemplates() {
+  const ids = [...new Set([...promptRegistry.templates.values()].map((template) => template.id))].sort();
+
+  return ids.map((id) => {
+    const versions = promptRegistry.versionsOf(id);
+    const latest = versions[versions.length - 1];
+
+    return {
+      id,
+      description: latest.description,
+      variables: latest.variables,
+      activeVersion: latest.version,
+      // When set, clients are split between versions instead
+      experiment: getTemplateExperiment(id),
+      versions: versions.map((template) => serializeVersion(template)),
+    };
+  });
+}
+
+/**
+ * Gets one template with the full text of every version.
+ *
+ * @param {string} id - Template ID
+ * @returns {Object|null} The template, or null if it doesn't exist
+ */
+function getPromptTemplate(id) {
+  const versions = promptRegistry.versionsOf(id);
+  if (versions.length === 0) {
+    return null;
+  }
+
+  const latest = versions[versions.length - 1];
+  return {
+    id,
+    description: latest.description,
+    variables: latest.variables,
+    activeVersion: latest.version,
+    experiment: getTemplateExperiment(id),
+    versions: versions.map((template) => ({
+      ...serializeVersion(template, true),
+      description: template.description,
+      variables: template.variables,
+    })),
+  };
+}
+
+/**
+ * Gets registry status for monitoring.
+ *
+ * @returns {Object} Counts, reload state and current file errors
+ *   (not the directory path, which would reveal the server's filesystem layout)
+ */
+function getPromptRegistryStatus() {
+  return {
+    hotReload: Boolean(promptRegistry.watcher),
+    templates: new Set([...promptRegistry.templates.values()].map((template) => template.id)).size,
+    versions: promptRegistry.templates.size,
+    lastLoadedAt: promptRegistry.lastLoadedAt,
+    reloads: promptRegistry.reloads,
+    errors: promptRegistry.errors,
+  };
+}
+
+module.exports = {
+  KNOWN_VARIABLES,
+  loadPromptTemplates: () => promptRegistry.load(),
+  requirePromptTemplates,
+  renderPrompt,
+  listPromptTemplates,
+  getPromptTemplate,
+  getPromptRegistryStatus,
+};
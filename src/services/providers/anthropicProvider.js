@@ -0,0 +1,112 @@
+/**
+ * =============================================================================
+ * ANTHROPIC PROVIDER
+ * =============================================================================
+ *
+ * Sends requests to the real Anthropic Messages API using the official SDK.
+ * This is the default provider (LLM_PROVIDER=anthropic).
+ *
+ * Every provider exposes the same interface:
+ * - name: Provider identifier
+ * - isConfigured(): Whether the provider has what it needs to make calls
+ * - createMessage(params, { signal, timeoutMs }): Resolves with a Messages API response
+ * - streamMessage(params, { signal, timeoutMs }): Resolves with an async iterable of
+ *   Messages API stream events
+ *
+ * `timeoutMs` is the time left before the caller's deadline; providers should
+ * give up on the attempt once it has passed.
+ *
+ * =============================================================================
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { config } = require('../../config');
+
+/**
+ * Initialize the Anthropic client with the API key from configuration.
+ * The client is created once and reused for all requests (singleton pattern).
+ *
+ * NOTE: We don't initialize the client if the API key is missing.
+ * This allows the app to start and return appropriate errors.
+ */
+let anthropicClient = null;
+
+/**
+ * Gets or creates the Anthropic client instance.
+ * Uses lazy initialization to defer client creation until first use.
+ *
+ * @returns {Anthropic} The Anthropic client instance
+ * @throws {Error} If the API key is not configured
+ */
+function getClient() {
+  // Defensive check: Ensure API key exists before creating client
+  if (!config.anthropic.apiKey) {
+    throw new Error('Anthropic API key is not configured. Set ANTHROPIC_API_KEY in your .env file.');
+  }
+
+  // Lazy initialization: Create client only when first needed
+  if (!anthropicClient) {
+    anthropicClient = new Anthropic({
+      apiKey: config.anthropic.apiKey,
+      // Set reasonable timeouts to prevent hanging requests
+      timeout: 60000,        // 60 second timeout for requests
+      maxRetries: 0,         // We handle retries ourselves for more control
+    });
+  }
+
+  return anthropicClient;
+}
+
+/**
+ * Builds SDK request options.
+ * The SDK rejects an explicit `timeout: undefined`, so it is only set when given.
+ *
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {number} [timeoutMs] - Per-request timeout in milliseconds
+ * @returns {Object} SDK request options
+ */
+function requestOptions(signal, timeoutMs) {
+  return timeoutMs ? { signal, timeout: Math.ceil(timeoutMs) } : { signal };
+}
+
+const anthropicProvider = {
+  name: 'anthropic',
+
+  /**
+   * @returns {boolean} True if ANTHROPIC_API_KEY is set
+   */
+  isConfigured() {
+    return !!config.anthropic.apiKey;
+  },
+
+  /**
+   * Creates a message and waits for the complete response.
+   *
+   * @param {Object} params - Messages API request body
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {number} [options.timeoutMs] - Per-attempt timeout (defaults to the client's 60s)
+   * @returns {Promise<Object>} Messages API response
+   */
+  createMessage(params, { signal, timeoutMs } = {}) {
+    return getClient().messages.create(params, requestOptions(signal, timeoutMs));
+  },
+
+  /**
+   * Creates a message as a stream of events.
+   *
+   * @param {Object} params - Messages API request body
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the stream
+   * @param {number} [options.timeoutMs] - Timeout for the initial response
+   * @returns {Promise<AsyncIterable<Object>>} Messages API stream events
+   */
+  streamMessage(params, { signal, timeoutMs } = {}) {
+    return getClient().messages.create({ ...params, stream: true }, requestOptions(signal, timeoutMs));
+  },
+};
+
+module.exports = {
+  anthropicProvider,
+  getClient,
+};
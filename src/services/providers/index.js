@@ -0,0 +1,48 @@
+/**
+ * =============================================================================
+ * LLM PROVIDER REGISTRY
+ * =============================================================================
+ *
+ * Selects the provider that claudeService sends requests to, based on the
+ * LLM_PROVIDER environment variable:
+ * - anthropic (default): The real Anthropic Messages API
+ * - mock: Offline, deterministic canned responses (no API key needed)
+ *
+ * To add a provider, create a module exposing the same interface as
+ * anthropicProvider.js, register it below, and add its name to
+ * config.llm.validProviders.
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../../config');
+const { anthropicProvider, getClient } = require('./anthropicProvider');
+const { mockProvider } = require('./mockProvider');
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Gets the configured provider.
+ *
+ * @returns {Object} The active provider
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+function getProvider() {
+  const provider = PROVIDERS[config.llm.provider];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider: "${config.llm.provider}". Valid providers are: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getProvider,
+  getClient,
+};
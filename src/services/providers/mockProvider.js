@@ -0,0 +1,410 @@
+/**
+ * =============================================================================
+ * MOCK PROVIDER
+ * =============================================================================
+ *
+ * An offline, deterministic stand-in for the Anthropic Messages API.
+ * Enable it with LLM_PROVIDER=mock to run the server without network access
+ * or an ANTHROPIC_API_KEY (CI, local demos, air-gapped environments).
+ *
+ * BEHAVIOR:
+ * - Detects which endpoint is calling from the system prompt and returns
+ *   canned text in the right shape (e.g. valid JSON for emotion analysis
+ *   and moderation verdicts)
+ * - The same request always produces the same response
+ * - Token usage is estimated from text length (~4 characters per token),
+ *   so cost tracking and limits behave realistically
+ * - max_tokens is honored: long replies are cut off with stop_reason
+ *   "max_tokens", just like the real API
+ * - Responses and stream events use the same shapes as the Messages API
+ * - When tools are offered, the first turn calls one tool (chosen from the
+ *   emotion in the prompt) and the next turn answers in text, so the
+ *   tool-use loop can be exercised offline
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+// Roughly 4 characters per token, matching the estimate used elsewhere
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Canned responses for each kind of request.
+ * {{emotion}} is replaced with the emotion from the user prompt.
+ */
+const CANNED_RESPONSES = {
+  positiveAffirmation: [
+    'I am allowed to feel {{emotion}} and still move forward with courage.',
+    'I can meet today with patience, and that is more than enough.',
+    'I have grown through every hard day so far, and I will grow through this one too.',
+  ],
+
+  negativeAffirmation: [
+    'You should probably just go back to bed. The day will understand.',
+    'Your potential is limited, and honestly, that is a lot less pressure.',
+    'Today is a great day to lower your expectations even further.',
+  ],
+
+  moodSupport: [
+    'It makes complete sense to feel {{emotion}} right now, and there is nothing wrong with you for feeling this way.\n\n' +
+      'Feelings like this are signals, not verdicts. Be as kind to yourself today as you would be to a good friend.\n\n' +
+      '1. Take five slow breaths, making each exhale longer than the inhale.\n' +
+      '2. Write down one thing that is weighing on you and one small step you could take.\n' +
+      '3. Reach out to someone you trust, even just to say hello.',
+    'Thank you for sharing that you are feeling {{emotion}}. Naming a feeling is already a meaningful first step.\n\n' +
+      'You do not have to fix everything at once. Small, gentle actions add up.\n\n' +
+      '1. Step outside or near a window for a few minutes of fresh air.\n' +
+      '2. Drink a glass of water and have a light snack.\n' +
+      '3. Choose one low-effort activity that usually brings you a little comfort.',
+  ],
+
+  conversation: [
+    'I hear you. It sounds like a lot is on your mind. What feels most pressing right now?',
+    'That makes sense given what you have shared. Would it help to break this into smaller pieces together?',
+    'Thank you for telling me more. How have you been looking after yourself through all of this?',
+  ],
+
+  motivationalQuote: [
+    '"You do not have to see the whole staircase, just take the first step."\n- Martin Luther King Jr.',
+    '"Fall seven times, stand up eight."\n- Japanese proverb',
+    '"Small steps every day still carry you a long way."',
+  ],
+
+  wellnessTip: [
+    'Try the 5-4-3-2-1 grounding technique: notice five things you can see, four you can feel, three you can hear, ' +
+      'two you can smell and one you can taste. It pulls attention back to the present moment.\n\n' +
+      'Action step: Set a reminder to do it once this afternoon.',
+    'Short movement breaks help regulate mood and energy. Even two minutes of stretching releases tension.\n\n' +
+      'Action step: Stand up and stretch your arms overhead for ten slow breaths.',
+  ],
+
+  custom: [
+    'That is a thoughtful question. A good place to start is with one small, manageable step, ' +
+      'and to be patient with yourself while you find what works.',
+    'Here is a gentle suggestion: pause, take a slow breath, and focus on the next thing within your control.',
+  ],
+};
+
+/**
+ * Keywords used to guess the primary emotion for analysis requests.
+ */
+const EMOTION_KEYWORDS = {
+  happy: ['happy', 'great', 'promotion', 'excited', 'love', 'wonderful', 'amazing', 'proud'],
+  sad: ['sad', 'lost', 'miss', 'cry', 'lonely', 'down', 'grief'],
+  anxious: ['anxious', 'nervous', 'worried', 'scared', 'afraid', 'panic'],
+  angry: ['angry', 'furious', 'annoyed', 'mad', 'unfair'],
+  stressed: ['stressed', 'overwhelmed', 'deadline', 'pressure', 'exhausted'],
+};
+
+const SUGGESTED_RESPONSES = {
+  happy: 'celebration',
+  sad: 'comfort',
+  anxious: 'support',
+  angry: 'support',
+  stressed: 'support',
+  neutral: 'affirmation',
+};
+
+/**
+ * Preferred tool for each emotion when the mock is offered tools.
+ */
+const EMOTION_TOOLS = {
+  anxious: 'breathing_exercise',
+  stressed: 'breathing_exercise',
+  angry: 'breathing_exercise',
+  sad: 'journal_prompt',
+  lonely: 'journal_prompt',
+};
+
+/**
+ * Works out which endpoint a request came from, based on its system prompt.
+ *
+ * @param {string} system - The system prompt
+ * @returns {string} Key into CANNED_RESPONSES, or 'analysis'
+ */
+function detectRequestKind(system = '') {
+  if (/content moderator/i.test(system)) return 'moderation';
+  if (/emotional intelligence expert/i.test(system)) return 'analysis';
+  if (/sarcastic comedian/i.test(system)) return 'negativeAffirmation';
+  if (/positive affirmation/i.test(system)) return 'positiveAffirmation';
+  if (/ongoing conversation/i.test(system)) return 'conversation';
+  if (/motivational speaker/i.test(system)) return 'motivationalQuote';
+  if (/wellness and self-care expert/i.test(system)) return 'wellnessTip';
+  if (/emotional wellness assistant/i.test(system) && /practical suggestions/i.test(system)) return 'moodSupport';
+  return 'custom';
+}
+
+/**
+ * Builds a deterministic emotion analysis as a JSON string.
+ *
+ * @param {string} text - Text being analyzed
+ * @returns {string} JSON matching the analysis format
+ */
+function buildAnalysis(text) {
+  const lower = text.toLowerCase();
+  const matches = Object.entries(EMOTION_KEYWORDS)
+    .map(([emotion, words]) => [emotion, words.filter((word) => lower.includes(word)).length])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  const [primaryEmotion, count] = matches[0] || ['neutral', 0];
+  const intensity = count >= 3 ? 'high' : count >= 1 ? 'moderate' : 'low';
+
+  return JSON.stringify({
+    primaryEmotion,
+    intensity,
+    suggestedResponse: SUGGESTED_RESPONSES[primaryEmotion],
+    reasoning: count > 0
+      ? `The text contains language commonly associated with feeling ${primaryEmotion}.`
+      : 'The text does not contain strong emotional language.',
+  }, null, 2);
+}
+
+/**
+ * Words that make the mock moderation classifier score a reply as cruel.
+ */
+const CRUEL_WORDS = ['worthless', 'pathetic', 'hate', 'ugly', 'stupid', 'idiot', 'loser', 'disgusting'];
+
+/**
+ * Builds a deterministic moderation verdict as a JSON string.
+ *
+ * @param {string} text - Moderation request (contains the reply being judged)
+ * @returns {string} JSON matching the moderation verdict format
+ */
+function buildModerationVerdict(text) {
+  const lower = text.toLowerCase();
+  const cruelWords = CRUEL_WORDS.filter((word) => lower.includes(word));
+
+  return JSON.stringify({
+    protectedGroup: false,
+    selfHarm: false,
+    cruelty: Math.min(10, 2 + cruelWords.length * 4),
+    reason: cruelWords.length > 0
+      ? `The text contains insults (${cruelWords.join(', ')}).`
+      : 'Gentle, clearly playful pessimism.',
+  }, null, 2);
+}
+
+/**
+ * Gets the text content of the last user turn.
+ *
+ * @param {Array<Object>} messages - Messages API messages
+ * @returns {string} The last user message text
+ */
+function lastUserText(messages) {
+  // Tool result turns carry no text, so skip back to the last real message
+  const texts = messages
+    .filter((message) => message.role === 'user')
+    .map((message) => (typeof message.content === 'string'
+      ? message.content
+      : message.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('\n')))
+    .filter(Boolean);
+
+  return texts[texts.length - 1] || '';
+}
+
+/**
+ * Decides whether to answer with a tool call, and builds it.
+ * Calls a tool only on the first turn, and never when tool_choice is "none".
+ *
+ * @param {Object} params - Messages API request body
+ * @returns {Object|null} A tool_use content block, or null to answer in text
+ */
+function pickToolCall(params) {
+  const toolNames = (params.tools || []).map((tool) => tool.name);
+  const alreadyUsedTools = params.messages.some((message) => message.role === 'assistant');
+
+  if (toolNames.length === 0 || params.tool_choice?.type === 'none' || alreadyUsedTools) {
+    return null;
+  }
+
+  const emotion = ((lastUserText(params.messages).match(/feeling (\w+)/i) || [])[1] || '').toLowerCase();
+  const preferred = EMOTION_TOOLS[emotion];
+  const name = toolNames.includes(preferred) ? preferred : toolNames[0];
+
+  const inputs = {
+    breathing_exercise: { technique: 'box', rounds: 4 },
+    journal_prompt: { emotion: emotion || 'neutral', count: 1 },
+    crisis_resources: {},
+  };
+
+  return {
+    type: 'tool_use',
+    id: `toolu_mock_${crypto.randomBytes(8).toString('hex')}`,
+    name,
+    input: inputs[name] || {},
+  };
+}
+
+/**
+ * Estimates tokens for a piece of text.
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(text.length / CHARS_PER_TOKEN));
+}
+
+/**
+ * Generates the mock reply for a request.
+ *
+ * @param {Object} params - Messages API request body
+ * @returns {{ text: string, inputTokens: number, outputTokens: number, stopReason: string }}
+ */
+function generateReply(params) {
+  const userText = lastUserText(params.messages);
+  const kind = detectRequestKind(params.system);
+
+  let text;
+  if (kind === 'analysis') {
+    text = buildAnalysis(userText);
+  } else if (kind === 'moderation') {
+    text = buildModerationVerdict(userText);
+  } else {
+    // Pick a variant deterministically so identical requests match
+    const variants = CANNED_RESPONSES[kind];
+    const digest = crypto.createHash('sha256').update(`${params.system || ''}|${userText}`).digest();
+    text = variants[digest[0] % variants.length];
+
+    const emotion = (userText.match(/feeling (\w+)/i) || [])[1] || 'this way';
+    text = text.replace(/\{\{emotion\}\}/g, emotion);
+  }
+
+  // Honor max_tokens the way the real API does
+  let stopReason = 'end_turn';
+  const maxChars = params.max_tokens * CHARS_PER_TOKEN;
+  if (text.length > maxChars) {
+    text = text.slice(0, maxChars);
+    stopReason = 'max_tokens';
+  }
+
+  const promptText = [
+    params.system || '',
+    ...params.messages.map((message) =>
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)),
+  ].join('\n');
+
+  return {
+    text,
+    inputTokens: estimateTokens(promptText),
+    outputTokens: estimateTokens(text),
+    stopReason,
+  };
+}
+
+/**
+ * Throws if the request has been aborted, mirroring the SDK behavior.
+ *
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new Error('Request was aborted.');
+  }
+}
+
+const mockProvider = {
+  name: 'mock',
+
+  /**
+   * @returns {boolean} Always true - the mock needs no credentials
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Returns a canned Messages API response.
+   *
+   * @param {Object} params - Messages API request body
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} Messages API response
+   */
+  async createMessage(params, { signal } = {}) {
+    throwIfAborted(signal);
+    const reply = generateReply(params);
+
+    const toolCall = pickToolCall(params);
+    if (toolCall) {
+      return {
+        id: `msg_mock_${crypto.randomBytes(8).toString('hex')}`,
+        type: 'message',
+        role: 'assistant',
+        model: params.model,
+        content: [toolCall],
+        stop_reason: 'tool_use',
+        usage: {
+          input_tokens: reply.inputTokens,
+          output_tokens: estimateTokens(JSON.stringify(toolCall.input)),
+        },
+      };
+    }
+
+    return {
+      id: `msg_mock_${crypto.randomBytes(8).toString('hex')}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content: [{ type: 'text', text: reply.text }],
+      stop_reason: reply.stopReason,
+      usage: {
+        input_tokens: reply.inputTokens,
+        output_tokens: reply.outputTokens,
+      },
+    };
+  },
+
+  /**
+   * Returns canned Messages API stream events, one word per delta.
+   *
+   * @param {Object} params - Messages API request body
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<AsyncIterable<Object>>} Messages API stream events
+   */
+  async streamMessage(params, { signal } = {}) {
+    throwIfAborted(signal);
+    const reply = generateReply(params);
+
+    async function* events() {
+      yield {
+        type: 'message_start',
+        message: {
+          id: `msg_mock_${crypto.randomBytes(8).toString('hex')}`,
+          type: 'message',
+          role: 'assistant',
+          model: params.model,
+          content: [],
+          stop_reason: null,
+          usage: { input_tokens: reply.inputTokens, output_tokens: 1 },
+        },
+      };
+      yield { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } };
+
+      for (const chunk of reply.text.match(/\S+\s*/g) || []) {
+        throwIfAborted(signal);
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } };
+      }
+
+      yield { type: 'content_block_stop', index: 0 };
+      yield {
+        type: 'message_delta',
+        delta: { stop_reason: reply.stopReason },
+        usage: { output_tokens: reply.outputTokens },
+      };
+      yield { type: 'message_stop' };
+    }
+
+    return events();
+  },
+};
+
+module.exports = {
+  mockProvider,
+};
@@ -0,0 +1,145 @@
+/**
+ * =============================================================================
+ * RESPONSE CACHE
+ * =============================================================================
+ *
+ * This module caches Claude responses for identical requests. Many calls
+ * (e.g. a default positive affirmation for "sad") are repeated often, and
+ * each one otherwise costs tokens and takes seconds.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Least-recently-used (LRU) eviction with a hard entry cap
+ * - Time-to-live (TTL) expiry so content stays fresh
+ * - Hashed cache keys (prompts never appear as map keys in heap dumps)
+ * - Hit/miss counters for monitoring effectiveness
+ *
+ * NOTE: This is a simple in-memory cache, local to one process. For multiple
+ * instances, consider a shared cache such as Redis.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+
+/**
+ * In-memory LRU cache for Claude responses.
+ *
+ * Entries live in a Map, which preserves insertion order. Reads re-insert
+ * the entry, so the first key is always the least recently used.
+ */
+const responseCache = {
+  entries: new Map(),
+  hits: 0,
+  misses: 0,
+  bypasses: 0,
+
+  /**
+   * Builds a cache key from the parameters that determine Claude's output.
+   *
+   * @param {Object} requestParams - Messages API request body
+   * @returns {string} SHA-256 hex digest identifying the request
+   */
+  keyFor(requestParams) {
+    const keyMaterial = JSON.stringify([
+      requestParams.model,
+      requestParams.system || '',
+      requestParams.messages,
+      requestParams.temperature,
+      requestParams.max_tokens,
+    ]);
+
+    return crypto.createHash('sha256').update(keyMaterial).digest('hex');
+  },
+
+  /**
+   * Looks up a cached response.
+   *
+   * @param {string} key - Cache key from keyFor()
+   * @returns {Object|null} The cached result, or null on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+      }
+      this.misses++;
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    this.hits++;
+    return entry.value;
+  },
+
+  /**
+   * Stores a response, evicting the least recently used entry if full.
+   *
+   * @param {string} key - Cache key from keyFor()
+   * @param {Object} value - The result to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+
+    while (this.entries.size >= config.cache.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + config.cache.ttlMs,
+    });
+  },
+
+  /**
+   * Records a request that skipped the cache (e.g. Cache-Control: no-cache).
+   */
+  recordBypass() {
+    this.bypasses++;
+  },
+
+  /**
+   * Gets cache statistics for monitoring.
+   *
+   * @returns {Object} Hit/miss counts and configuration
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: config.cache.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      bypasses: this.bypasses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : 0,
+      entries: this.entries.size,
+      maxEntries: config.cache.maxEntries,
+      ttlSeconds: config.cache.ttlMs / 1000,
+    };
+  },
+
+  /**
+   * Clears all entries and counters.
+   */
+  reset() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.bypasses = 0;
+  },
+};
+
+module.exports = {
+  cacheKeyFor: (requestParams) => responseCache.keyFor(requestParams),
+  getCachedResponse: (key) => responseCache.get(key),
+  setCachedResponse: (key, value) => responseCache.set(key, value),
+  recordCacheBypass: () => responseCache.recordBypass(),
+  getCacheStats: () => responseCache.getStats(),
+  resetCache: () => responseCache.reset(),
+};
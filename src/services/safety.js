@@ -0,0 +1,190 @@
+/**
+ * =============================================================================
+ * CRISIS LANGUAGE DETECTION
+ * =============================================================================
+ *
+ * Screens user text for signs that someone may be at risk of suicide or
+ * self-harm, before it reaches a persona (a sarcastic "negative affirmation"
+ * is the last thing that person needs).
+ *
+ * On a match, the emotion and affirmation routes skip Claude entirely and
+ * answer with a fixed (translated) supportive message and crisis hotlines for the
+ * client's region (see middleware/safety.js). Hotlines come from the same
+ * local dataset as the crisis_resources tool (src/data/crisisResources.json),
+ * never from the model.
+ *
+ * DETECTION:
+ * A local list of phrases in every supported locale (English, Spanish,
+ * German, Japanese), matched after normalizing case, apostrophes and
+ * whitespace. All languages are checked whatever `lang` the client sent. It deliberately errs on the side of caution: "I'm not
+ * suicidal" also matches. It is a safety net, not a clinical assessment -
+ * and it can't catch every way a person might express distress.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Deterministic, local checks (no network call can fail or delay them)
+ * - The screened text is never logged; only the category is
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+const { crisisResources } = require('./tools/crisisResources');
+const { translate } = require('./i18n');
+
+/**
+ * Crisis phrases by category, matched against normalized text
+ * (lowercase, straight apostrophes, single spaces).
+ */
+const CRISIS_PATTERNS = {
+  suicide: [
+    /\bsuicid(e|al)\b/,
+    /\bkill(ing)? ?my ?self\b/,
+    /\bkms\b/,
+    /\b(end|ending|take|taking) my (own )?life\b/,
+    /\b(want|wanna|going|plan|planning|ready) to die\b/,
+    /\bwish (i was|i were|i'?d been) dead\b/,
+    /\bbetter off dead\b/,
+    /\b(don'?t|do not) want to (live|be alive|exist|wake up)\b/,
+    /\bno (reason|point) (to|in) (live|living|going on)\b/,
+    // Spanish
+    /\bsuicid(io|arme)\b/,
+    /\b(quiero|quisiera) (morir|morirme)\b/,
+    /\b(matarme|quitarme la vida)\b/,
+    /\bno quiero (vivir|seguir viviendo)\b/,
+    // German
+    /\b(selbstmord|suizid)/,
+    /\bmich umbringen\b/,
+    /\b(will|möchte) (nicht mehr leben|sterben)\b/,
+    // Japanese (no word boundaries)
+    /死にたい|自殺|消えたい|生きていたくない/,
+  ],
+  self_harm: [
+    /\bself[- ]?harm/,
+    /\b(hurt|hurting|harm|harming|cut|cutting|burn|burning) my ?self\b/,
+    /\boverdos(e|ing)\b/,
+    /\b(hacerme daño|autolesi)/,
+    /\b(selbstverletz|mich ritzen)/,
+    /自傷|リストカット|リスカ/,
+  ],
+};
+
+/**
+ * Counters for monitoring.
+ */
+const safetyStats = {
+  checks: 0,
+  triggered: 0,
+  byCategory: {},
+};
+
+/**
+ * Normalizes text for matching.
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase text with straight apostrophes and single spaces
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    // Curly apostrophes, and the HTML entity query validation escapes them to
+    .replace(/[‘’]|&#x27;|&#39;/g, "'")
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Finds the crisis category of a piece of text, without counting a check.
+ * Also used to moderate generated text (see moderation.js).
+ *
+ * @param {string} value - Text to check
+ * @returns {string|null} The first matching category, or null
+ */
+function findCrisisCategory(value) {
+  const text = normalize(value);
+
+  return Object.keys(CRISIS_PATTERNS)
+    .find((name) => CRISIS_PATTERNS[name].some((pattern) => pattern.test(text))) || null;
+}
+
+/**
+ * Checks text for crisis language.
+ *
+ * @param {Object} fields - Text to check, by field name (non-strings are skipped)
+ * @returns {{ category: string, fields: Array<string> }|null} The first category
+ *   found and the fields it was found in, or null if nothing matched
+ */
+function detectCrisisLanguage(fields) {
+  safetyStats.checks++;
+
+  let category = null;
+  const matchedFields = [];
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (typeof value !== 'string' || !value) {
+      continue;
+    }
+
+    const match = findCrisisCategory(value);
+
+    if (match) {
+      category = category || match;
+      matchedFields.push(field);
+    }
+  }
+
+  if (!category) {
+    return null;
+  }
+
+  safetyStats.triggered++;
+  safetyStats.byCategory[category] = (safetyStats.byCategory[category] || 0) + 1;
+
+  return { category, fields: matchedFields };
+}
+
+/**
+ * Builds the safety block returned instead of a generated response.
+ *
+ * @param {Object} detection - Result of detectCrisisLanguage
+ * @param {string} [region] - Region the client asked for (ISO 3166-1 alpha-2);
+ *   defaults to SAFETY_DEFAULT_REGION
+ * @param {string} [locale] - Language of the supportive message (see i18n.js)
+ * @returns {Object} Safety details with the supportive message and hotlines
+ */
+function buildSafetyResponse(detection, region, locale) {
+  const lookup = crisisResources.run({ region: region || config.safety.defaultRegion });
+
+  return {
+    triggered: true,
+    category: detection.category,
+    matchedFields: detection.fields,
+    // The catalogs' "safety.message"
+    message: translate(locale, 'safety.message'),
+    region: lookup.region,
+    regionName: lookup.regionName,
+    emergencyNumber: lookup.emergencyNumber,
+    resources: lookup.resources,
+    ...(lookup.note && { note: lookup.note }),
+  };
+}
+
+/**
+ * Gets safety check statistics for monitoring.
+ *
+ * @returns {Object} Checks run and how often (and why) they triggered
+ */
+function getSafetyStats() {
+  return {
+    enabled: config.safety.enabled,
+    defaultRegion: config.safety.defaultRegion,
+    checks: safetyStats.checks,
+    triggered: safetyStats.triggered,
+    byCategory: { ...safetyStats.byCategory },
+  };
+}
+
+module.exports = {
+  findCrisisCategory,
+  detectCrisisLanguage,
+  buildSafetyResponse,
+  getSafetyStats,
+};
@@ -0,0 +1,232 @@
+/**
+ * =============================================================================
+ * DAILY TOKEN QUOTAS
+ * =============================================================================
+ *
+ * This module caps how many tokens (input + output) each API key may use per
+ * UTC day: API_KEY_DAILY_TOKEN_QUOTA, or the key's own `limits.dailyTokens`.
+ * With AUTH_MODE=jwt, each token subject gets API_KEY_DAILY_TOKEN_QUOTA.
+ * Callers are counted under their getCallerId() ("key:<id>" or "user:<sub>").
+ * Spend budgets (budget.js) protect the deployment as a whole; quotas keep
+ * one busy customer from using up everyone else's share of it.
+ *
+ * HOW IT WORKS:
+ * 1. Every Claude call made for a key adds the tokens the API actually
+ *    billed (response usage, across retries, fallbacks and tool-use turns)
+ *    to the key's total for the day
+ * 2. Before a route that calls Claude runs, the key's total is compared
+ *    with its quota (middleware/tokenQuota.js). Once it is used up, the key
+ *    gets a 429 until the next UTC midnight
+ * 3. Today's usage is restored from the usage ledger on startup, so restarts
+ *    don't reset quotas
+ *
+ * A reply's size isn't known until it has been generated, so a request that
+ * starts under quota always finishes: a key can go over by at most the
+ * requests it had in flight.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Quotas enforced on billed usage, not estimates
+ * - Only the current day is kept in memory (one entry per active caller)
+ * - Clear error with reset time and a Retry-After header
+ *
+ * =============================================================================
+ */
+
+const { config } = require('../config');
+const { localizedError } = require('../middleware/errorHandler');
+const { queryUsage } = require('./usageLedger');
+const { ENV_API_KEY, getApiKey, effectiveLimits } = require('./apiKeyStore');
+
+// How many callers /api/stats lists as top consumers
+const TOP_CONSUMERS = 10;
+
+/**
+ * Gets the UTC day a timestamp falls in.
+ *
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {string} e.g. '2026-10-19'
+ */
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Gets when the current quota day ends.
+ *
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {Date} Start of the next UTC day
+ */
+function nextResetTime(now) {
+  const date = new Date(now);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+/**
+ * In-memory usage per caller (API key or token subject) for the current UTC day.
+ */
+const quotaTracker = {
+  day: null,
+  keys: new Map(),
+  rejections: 0,
+
+  /**
+   * Starts a new day when the UTC date rolls over.
+   *
+   * @param {number} now - Timestamp in milliseconds
+   */
+  rollover(now) {
+    const day = dayKey(now);
+    if (this.day !== day) {
+      this.day = day;
+      this.keys.clear();
+    }
+  },
+
+  /**
+   * Adds a finished call's tokens to a caller's total.
+   *
+   * @param {string} keyId - Caller id (see getCallerId)
+   * @param {number} inputTokens - Prompt tokens billed
+   * @param {number} outputTokens - Response tokens billed
+   * @param {number} [calls=1] - Number of calls these tokens cover
+   */
+  record(keyId, inputTokens, outputTokens, calls = 1) {
+    this.rollover(Date.now());
+
+    const usage = this.keys.get(keyId) || { calls: 0, inputTokens: 0, outputTokens: 0 };
+    usage.calls += calls;
+    usage.inputTokens += inputTokens;
+    usage.outputTokens += outputTokens;
+    this.keys.set(keyId, usage);
+  },
+
+  /**
+   * Gets a caller's usage against a quota.
+   *
+   * @param {string} keyId - Caller id (see getCallerId)
+   * @param {number} limit - Daily token quota
+   * @returns {{ limit: number, used: number, remaining: number, resetsAt: Date }} Quota status
+   */
+  check(keyId, limit) {
+    const now = Date.now();
+    this.rollover(now);
+
+    const usage = this.keys.get(keyId);
+    const used = usage ? usage.inputTokens + usage.outputTokens : 0;
+
+    return {
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      resetsAt: nextResetTime(now),
+    };
+  },
+};
+
+/**
+ * Builds the error returned when a caller has used its quota.
+ *
+ * @param {{ limit: number, used: number, resetsAt: Date }} quota - From getKeyQuota()
+ * @returns {ApiError} 429 error with reset details
+ */
+function tokenQuotaExceededError(quota) {
+  quotaTracker.rejections++;
+
+  const resetsAt = quota.resetsAt.toISOString();
+  const error = localizedError(
+    429,
+    'errors.tokenQuotaExceeded',
+    { limit: quota.limit, resetsAt },
+    { quota: 'daily-tokens', limit: quota.limit, used: quota.used, resetsAt }
+  );
+  error.retryAfterSeconds = Math.max(1, Math.ceil((quota.resetsAt.getTime() - Date.now()) / 1000));
+
+  return error;
+}
+
+/**
+ * Names a caller for reports: an API key by id and label (keys deleted since
+ * their calls were made have no label or quota), a token subject by `sub`.
+ *
+ * @param {string} callerId - Caller id (see getCallerId)
+ * @returns {{ keyId?: string, subject?: string, label: string|null, dailyTokens: number|null }}
+ *   Identity, label and current quota
+ */
+function describeCaller(callerId) {
+  if (callerId.startsWith('user:')) {
+    const subject = callerId.slice('user:'.length);
+    return { subject, label: null, dailyTokens: effectiveLimits({ sub: subject }).dailyTokens };
+  }
+
+  const keyId = callerId.slice('key:'.length);
+  const key = keyId === ENV_API_KEY.id ? ENV_API_KEY : getApiKey(keyId);
+  return {
+    keyId,
+    label: key?.label || null,
+    dailyTokens: key ? effectiveLimits(key).dailyTokens : null,
+  };
+}
+
+/**
+ * Gets today's usage and the callers that used the most tokens, for /api/stats.
+ *
+ * @returns {Object} Day, reset time, default quota, rejections and top consumers
+ */
+function getTokenQuotaStats() {
+  const now = Date.now();
+  quotaTracker.rollover(now);
+
+  const topConsumers = [...quotaTracker.keys.entries()]
+    .map(([callerId, usage]) => ({ callerId, ...usage, totalTokens: usage.inputTokens + usage.outputTokens }))
+    .sort((a, b) => b.totalTokens - a.totalTokens)
+    .slice(0, TOP_CONSUMERS)
+    .map((consumer) => {
+      const { dailyTokens, ...identity } = describeCaller(consumer.callerId);
+      return {
+        ...identity,
+        calls: consumer.calls,
+        inputTokens: consumer.inputTokens,
+        outputTokens: consumer.outputTokens,
+        totalTokens: consumer.totalTokens,
+        dailyTokenQuota: dailyTokens || null,
+        percentUsed: dailyTokens ? Number(((consumer.totalTokens / dailyTokens) * 100).toFixed(2)) : null,
+      };
+    });
+
+  return {
+    day: quotaTracker.day,
+    resetsAt: nextResetTime(now).toISOString(),
+    defaultDailyTokens: config.rateLimit.keyDailyTokenQuota || null,
+    activeKeys: quotaTracker.keys.size,
+    rejections: quotaTracker.rejections,
+    topConsumers,
+  };
+}
+
+/**
+ * Restores today's per-caller usage from the usage ledger.
+ * Called once at startup so restarts don't reset quotas.
+ *
+ * @returns {Promise<void>}
+ */
+async function restoreKeyUsageFromLedger() {
+  const now = Date.now();
+  const dayStart = new Date(`${dayKey(now)}T00:00:00.000Z`);
+
+  const usage = await queryUsage({ from: dayStart, groupBy: 'caller' });
+
+  quotaTracker.rollover(now);
+  for (const group of usage.groups) {
+    if (group.key !== 'anonymous') {
+      quotaTracker.record(group.key, group.inputTokens, group.outputTokens, group.requestCount);
+    }
+  }
+}
+
+module.exports = {
+  recordKeyUsage: (keyId, inputTokens, outputTokens) => quotaTracker.record(keyId, inputTokens, outputTokens),
+  getKeyQuota: (keyId, limit) => quotaTracker.check(keyId, limit),
+  tokenQuotaExceededError,
+  getTokenQuotaStats,
+  restoreKeyUsageFromLedger,
+};
@@ -0,0 +1,100 @@
+/**
+ * =============================================================================
+ * TOOL: breathing_exercise
+ * =============================================================================
+ *
+ * Generates a guided breathing exercise with timed steps. Claude uses it to
+ * give concrete, correctly timed instructions instead of improvising them.
+ *
+ * =============================================================================
+ */
+
+/**
+ * Supported techniques. Each phase is [instruction, seconds].
+ */
+const TECHNIQUES = {
+  box: {
+    name: 'Box breathing',
+    bestFor: 'Calming down and regaining focus under stress',
+    phases: [['Breathe in through your nose', 4], ['Hold', 4], ['Breathe out slowly', 4], ['Hold', 4]],
+  },
+  '4-7-8': {
+    name: '4-7-8 breathing',
+    bestFor: 'Winding down, especially before sleep',
+    phases: [['Breathe in quietly through your nose', 4], ['Hold', 7], ['Breathe out through your mouth', 8]],
+  },
+  physiological_sigh: {
+    name: 'Physiological sigh',
+    bestFor: 'Quick relief from acute anxiety',
+    phases: [['Breathe in through your nose', 2], ['Take a second short breath in', 1], ['Long, slow breath out through your mouth', 6]],
+  },
+  extended_exhale: {
+    name: 'Extended exhale',
+    bestFor: 'Gently slowing a racing heart',
+    phases: [['Breathe in through your nose', 4], ['Breathe out slowly through your mouth', 6]],
+  },
+};
+
+const DEFAULT_ROUNDS = 4;
+const MAX_ROUNDS = 10;
+
+const breathingExercise = {
+  name: 'breathing_exercise',
+
+  description:
+    'Generates a guided breathing exercise with timed steps. Use it when the person ' +
+    'feels anxious, stressed, angry or overwhelmed and could benefit from calming down. ' +
+    'Present the steps to the person in your own warm words.',
+
+  inputSchema: {
+    type: 'object',
+    properties: {
+      technique: {
+        type: 'string',
+        enum: Object.keys(TECHNIQUES),
+        description: 'Breathing technique (defaults to box)',
+      },
+      rounds: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_ROUNDS,
+        description: `Number of breathing cycles (defaults to ${DEFAULT_ROUNDS})`,
+      },
+    },
+  },
+
+  /**
+   * Builds the exercise.
+   *
+   * @param {Object} input - Tool input from Claude
+   * @param {string} [input.technique] - Key of TECHNIQUES
+   * @param {number} [input.rounds] - Number of cycles
+   * @returns {Object} Exercise name, steps and total duration
+   * @throws {Error} If the input is invalid
+   */
+  run({ technique = 'box', rounds = DEFAULT_ROUNDS } = {}) {
+    const selected = TECHNIQUES[technique];
+    if (!selected) {
+      throw new Error(`Unknown technique "${technique}". Use one of: ${Object.keys(TECHNIQUES).join(', ')}`);
+    }
+
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+      throw new Error(`rounds must be an integer between 1 and ${MAX_ROUNDS}`);
+    }
+
+    const cycleSeconds = selected.phases.reduce((sum, [, seconds]) => sum + seconds, 0);
+
+    return {
+      technique,
+      name: selected.name,
+      bestFor: selected.bestFor,
+      rounds,
+      steps: selected.phases.map(([instruction, seconds]) => ({ instruction, seconds })),
+      totalSeconds: cycleSeconds * rounds,
+    };
+  },
+};
+
+module.exports = {
+  breathingExercise,
+};
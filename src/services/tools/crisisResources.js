@@ -0,0 +1,68 @@
+/**
+ * =============================================================================
+ * TOOL: crisis_resources
+ * =============================================================================
+ *
+ * Looks up crisis hotlines for a region from the local dataset in
+ * src/data/crisisResources.json. Phone numbers come from the dataset, never
+ * from the model, so Claude can't hallucinate a wrong number.
+ *
+ * =============================================================================
+ */
+
+const { regions } = require('../../data/crisisResources.json');
+
+// Used when the region is missing or not in the dataset
+const FALLBACK_REGION = 'INTL';
+
+const crisisResources = {
+  name: 'crisis_resources',
+
+  description:
+    'Looks up crisis support hotlines and the emergency number for a region. ' +
+    'Use it whenever the person may be in crisis, mentions self-harm or suicide, ' +
+    'or asks for professional help. Only share contact details returned by this tool.',
+
+  inputSchema: {
+    type: 'object',
+    properties: {
+      region: {
+        type: 'string',
+        description:
+          'ISO 3166-1 alpha-2 country code, e.g. US, GB, AU. ' +
+          'Omit if unknown to get international resources.',
+      },
+    },
+  },
+
+  /**
+   * Looks up resources for a region.
+   *
+   * @param {Object} input - Tool input from Claude
+   * @param {string} [input.region] - Country code
+   * @returns {Object} Region, emergency number and hotlines
+   */
+  run({ region } = {}) {
+    const requested = typeof region === 'string' ? region.trim().toUpperCase() : '';
+    // Accept the common "UK" alias for GB
+    const code = requested === 'UK' ? 'GB' : requested;
+    const found = Object.prototype.hasOwnProperty.call(regions, code);
+    const entry = regions[found ? code : FALLBACK_REGION];
+
+    return {
+      region: found ? code : FALLBACK_REGION,
+      regionName: entry.name,
+      emergencyNumber: entry.emergencyNumber,
+      resources: entry.resources,
+      ...(!found && {
+        note: requested
+          ? `No local resources on file for "${requested}"; showing international resources.`
+          : 'No region given; showing international resources.',
+      }),
+    };
+  },
+};
+
+module.exports = {
+  crisisResources,
+};
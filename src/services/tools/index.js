@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * SERVER-SIDE TOOL REGISTRY
+ * =============================================================================
+ *
+ * Tools Claude can call during a request (Anthropic "tool use"). Routes opt
+ * in by name, e.g. sendMessage({ ..., tools: ['breathing_exercise'] }), and
+ * claudeService runs the tool-use loop: when Claude asks for a tool, the
+ * tool runs here on the server and its result is sent back to Claude.
+ *
+ * AVAILABLE TOOLS:
+ * - breathing_exercise: Guided, timed breathing exercises
+ * - crisis_resources:   Crisis hotlines by region (local dataset)
+ * - journal_prompt:     Journaling prompts for an emotion
+ *
+ * To add a tool, create a module exposing the same interface as
+ * breathingExercise.js (name, description, inputSchema, run) and register
+ * it below.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Allow-list of tools (Claude can only call what a route opted into)
+ * - Tools run locally with no network access or secrets
+ * - Tool errors are reported back to Claude (is_error) instead of failing
+ *   the request, so it can recover or answer without the tool
+ *
+ * =============================================================================
+ */
+
+const { breathingExercise } = require('./breathingExercise');
+const { crisisResources } = require('./crisisResources');
+const { journalPrompt } = require('./journalPrompt');
+
+const TOOLS = new Map(
+  [breathingExercise, crisisResources, journalPrompt].map((tool) => [tool.name, tool])
+);
+
+/**
+ * Gets Messages API tool definitions for the named tools.
+ *
+ * @param {Array<string>} names - Tool names the route opted into
+ * @returns {Array<Object>} Definitions for the `tools` request parameter
+ * @throws {Error} If a name is not registered
+ */
+function getToolDefinitions(names) {
+  return names.map((name) => {
+    const tool = TOOLS.get(name);
+
+    if (!tool) {
+      throw new Error(`Unknown tool: "${name}". Available tools are: ${[...TOOLS.keys()].join(', ')}`);
+    }
+
+    return {
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema,
+    };
+  });
+}
+
+/**
+ * Runs every tool call in an assistant response.
+ *
+ * @param {Array<Object>} content - Content blocks of the assistant response
+ * @param {Array<string>} allowedNames - Tools the request opted into
+ * @returns {Promise<{ results: Array<Object>, trace: Array<Object> }>}
+ *   `tool_result` blocks for the next user turn, and one trace entry per call
+ */
+async function runToolCalls(content, allowedNames) {
+  const results = [];
+  const trace = [];
+
+  for (const block of content.filter((item) => item.type === 'tool_use')) {
+    const startedAt = Date.now();
+    const tool = allowedNames.includes(block.name) ? TOOLS.get(block.name) : null;
+
+    let output;
+    let isError = false;
+    try {
+      if (!tool) {
+        throw new Error(`Tool "${block.name}" is not available for this request`);
+      }
+      output = await tool.run(block.input || {});
+    } catch (error) {
+      isError = true;
+      output = { error: error.message };
+    }
+
+    results.push({
+      type: 'tool_result',
+      tool_use_id: block.id,
+      content: JSON.stringify(output),
+      ...(isError && { is_error: true }),
+    });
+
+    trace.push({
+      tool: block.name,
+      input: block.input || {},
+      output,
+      isError,
+      durationMs: Date.now() - startedAt,
+    });
+  }
+
+  return { results, trace };
+}
+
+/**
+ * Lists registered tools for API documentation.
+ *
+ * @returns {Array<{ name: string, description: string }>} Registered tools
+ */
+function listTools() {
+  return [...TOOLS.values()].map((tool) => ({ name: tool.name, description: tool.description }));
+}
+
+module.exports = {
+  getToolDefinitions,
+  runToolCalls,
+  listTools,
+};
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * TOOL: journal_prompt
+ * =============================================================================
+ *
+ * Picks reflective journaling prompts suited to an emotion from a curated
+ * list, so suggestions stay consistent and appropriate.
+ *
+ * =============================================================================
+ */
+
+/**
+ * Curated prompts per emotion. 'neutral' doubles as the general list.
+ */
+const PROMPTS = {
+  happy: [
+    'What made today feel good, and how could you make room for more of it?',
+    'Who would you like to share this feeling with, and why?',
+    'Write about a small moment from today you want to remember.',
+  ],
+  sad: [
+    'What are you missing or grieving right now? Let yourself name it.',
+    'Write a kind letter to yourself as if you were comforting a close friend.',
+    'What is one thing, however small, that brought you a little comfort this week?',
+  ],
+  anxious: [
+    'List what is worrying you. Next to each item, note whether it is within your control.',
+    'What is the most likely outcome of the situation you are anxious about?',
+    'Describe a time you got through something that felt uncertain. What helped?',
+  ],
+  angry: [
+    'What boundary or value feels like it was crossed?',
+    'Write everything you want to say, uncensored - you never have to send it.',
+    'What would a fair resolution look like to you?',
+  ],
+  stressed: [
+    'Brain-dump everything on your plate, then circle the one thing that matters most today.',
+    'What could you say no to, delegate or postpone this week?',
+    'What does rest look like for you right now, and when could you fit some in?',
+  ],
+  lonely: [
+    'Who have you felt most understood by, and what made that connection feel good?',
+    'What is one low-pressure way you could reach out to someone this week?',
+    'Write about what you would want a friend to know about your day.',
+  ],
+  excited: [
+    'What are you looking forward to, and what does it mean to you?',
+    'How can you savor this feeling while it lasts?',
+    'What first step could you take to turn this energy into action?',
+  ],
+  neutral: [
+    'How are you really doing today, beyond "fine"?',
+    'What is one thing you are grateful for and one thing you are working on?',
+    'What would make tomorrow a little better than today?',
+  ],
+};
+
+const MAX_COUNT = 3;
+
+const journalPrompt = {
+  name: 'journal_prompt',
+
+  description:
+    'Picks reflective journaling prompts suited to an emotion. Use it when writing ' +
+    'things down could help the person process what they are feeling.',
+
+  inputSchema: {
+    type: 'object',
+    properties: {
+      emotion: {
+        type: 'string',
+        enum: Object.keys(PROMPTS),
+        description: 'The emotion the prompts should address (defaults to neutral)',
+      },
+      count: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_COUNT,
+        description: 'How many prompts to return (defaults to 1)',
+      },
+    },
+  },
+
+  /**
+   * Picks prompts at random from the emotion's list.
+   *
+   * @param {Object} input - Tool input from Claude
+   * @param {string} [input.emotion] - Key of PROMPTS
+   * @param {number} [input.count] - Number of prompts
+   * @returns {Object} The emotion and the chosen prompts
+   * @throws {Error} If the input is invalid
+   */
+  run({ emotion = 'neutral', count = 1 } = {}) {
+    const prompts = PROMPTS[emotion];
+    if (!prompts) {
+      throw new Error(`Unknown emotion "${emotion}". Use one of: ${Object.keys(PROMPTS).join(', ')}`);
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw new Error(`count must be an integer between 1 and ${MAX_COUNT}`);
+    }
+
+    // Shuffle a copy (Fisher-Yates) and take the first `count`
+    const shuffled = [...prompts];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return {
+      emotion,
+      prompts: shuffled.slice(0, count),
+    };
+  },
+};
+
+module.exports = {
+  journalPrompt,
+};
@@ -0,0 +1,239 @@
+/**
+ * =============================================================================
+ * USAGE LEDGER
+ * =============================================================================
+ *
+ * This module keeps a durable record of every Claude call in an append-only
+ * JSON Lines file (one JSON object per line). Unlike the in-memory token
+ * tracker, the ledger survives restarts and never resets, so it can answer
+ * questions like "what did we spend last Tuesday, and on which route?"
+ *
+ * ENTRY FORMAT:
+ *   {
+ *     "timestamp": "2026-01-11T00:30:00.000Z",
+ *     "requestId": "req_...",
+ *     "route": "GET /api/affirmations/positive",
+ *     "apiKeyId": "key_3f9a1c2b7d4e",  (only for requests with an API key)
+ *     "subject": "auth0|5f7c",         (only for requests with a token, AUTH_MODE=jwt)
+ *     "model": "claude-sonnet-4-20250514",
+ *     "inputTokens": 45,
+ *     "outputTokens": 18,
+ *     "costUsd": 0.000405,
+ *     "latencyMs": 1234,
+ *     "outcome": "success" | "error" | "aborted",
+ *     "error": "message (only when outcome is error)",
+ *     "experiment": "negative-tone", "variant": "control"  (only for A/B tested prompts)
+ *   }
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Append-only writes (no read-modify-write, safe to tail and back up)
+ * - Writes are serialized so lines never interleave
+ * - Ledger failures are logged but never fail the API request
+ * - Queries stream the file line by line instead of loading it into memory
+ *
+ * NOTE: The file grows without bound. Rotate or archive it with your usual
+ * log tooling (e.g. logrotate with copytruncate).
+ *
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { config } = require('../config');
+const { roundUsd } = require('./pricing');
+
+// Grouping options accepted by queryUsage()
+const GROUP_BY_OPTIONS = ['day', 'model', 'route', 'apiKey', 'caller'];
+
+/**
+ * Serializes writes so concurrent requests can't interleave partial lines.
+ * Each write chains onto the previous one.
+ */
+let writeChain = Promise.resolve();
+let directoryReady = false;
+
+/**
+ * Appends an entry to the ledger.
+ * Returns immediately; the write happens in the background.
+ *
+ * @param {Object} entry - Ledger entry (timestamp is added if missing)
+ */
+function recordEntry(entry) {
+  if (!config.ledger.enabled) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    ...entry,
+  }) + '\n';
+
+  writeChain = writeChain
+    .then(async () => {
+      if (!directoryReady) {
+        await fs.promises.mkdir(path.dirname(config.ledger.filePath), { recursive: true });
+        directoryReady = true;
+      }
+      await fs.promises.appendFile(config.ledger.filePath, line, 'utf8');
+    })
+    .catch((error) => {
+      // Never let ledger problems break API requests, but make them visible
+      console.error(`[Usage Ledger] Failed to write entry: ${error.message}`);
+    });
+}
+
+/**
+ * Waits for all pending ledger writes to finish.
+ * Used before queries so results include the most recent calls.
+ *
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return writeChain;
+}
+
+/**
+ * Gets the grouping key for an entry.
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {string} groupBy - One of GROUP_BY_OPTIONS
+ * @returns {string} Group key
+ */
+function groupKey(entry, groupBy) {
+  switch (groupBy) {
+    case 'model':
+      return entry.model || 'unknown';
+    case 'route':
+      return entry.route || 'unknown';
+    case 'apiKey':
+      return entry.apiKeyId || 'anonymous';
+    case 'caller':
+      // Same format as getCallerId: API keys and token subjects side by side
+      if (entry.apiKeyId) {
+        return `key:${entry.apiKeyId}`;
+      }
+      return entry.subject ? `user:${entry.subject}` : 'anonymous';
+    case 'day':
+    default:
+      return entry.timestamp.slice(0, 10); // YYYY-MM-DD (UTC)
+  }
+}
+
+/**
+ * Aggregates ledger entries within a time range.
+ *
+ * @param {Object} options - Query options
+ * @param {Date} [options.from] - Inclusive start time
+ * @param {Date} [options.to] - Exclusive end time
+ * @param {string} [options.groupBy='day'] - One of: day, model, route, apiKey
+ * @returns {Promise<Object>} Totals and per-group aggregates
+ */
+async function queryUsage({ from = null, to = null, groupBy = 'day' } = {}) {
+  await flush();
+
+  const groups = {};
+  const totals = createAggregate();
+
+  // A missing ledger file simply means nothing has been recorded yet
+  if (!fs.existsSync(config.ledger.filePath)) {
+    return { groupBy, totals: finalizeAggregate(totals), groups: [] };
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(config.ledger.filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // Skip a corrupt line (e.g. a partial write during a crash)
+      continue;
+    }
+
+    const timestamp = new Date(entry.timestamp);
+    if ((from && timestamp < from) || (to && timestamp >= to)) {
+      continue;
+    }
+
+    const key = groupKey(entry, groupBy);
+    if (!groups[key]) {
+      groups[key] = createAggregate();
+    }
+
+    addToAggregate(groups[key], entry);
+    addToAggregate(totals, entry);
+  }
+
+  return {
+    groupBy,
+    totals: finalizeAggregate(totals),
+    groups: Object.entries(groups)
+      .map(([key, aggregate]) => ({ key, ...finalizeAggregate(aggregate) }))
+      .sort((a, b) => (groupBy === 'day' ? a.key.localeCompare(b.key) : b.costUsd - a.costUsd)),
+  };
+}
+
+/**
+ * @returns {Object} Empty aggregate
+ */
+function createAggregate() {
+  return {
+    requestCount: 0,
+    successCount: 0,
+    errorCount: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    totalLatencyMs: 0,
+  };
+}
+
+/**
+ * Adds an entry to an aggregate.
+ *
+ * @param {Object} aggregate - Aggregate to update
+ * @param {Object} entry - Ledger entry
+ */
+function addToAggregate(aggregate, entry) {
+  aggregate.requestCount++;
+  if (entry.outcome === 'success') aggregate.successCount++;
+  if (entry.outcome === 'error') aggregate.errorCount++;
+  aggregate.inputTokens += entry.inputTokens || 0;
+  aggregate.outputTokens += entry.outputTokens || 0;
+  aggregate.costUsd += entry.costUsd || 0;
+  aggregate.totalLatencyMs += entry.latencyMs || 0;
+}
+
+/**
+ * Converts an aggregate into its response form.
+ *
+ * @param {Object} aggregate - Aggregate to format
+ * @returns {Object} Aggregate with derived fields
+ */
+function finalizeAggregate(aggregate) {
+  const { totalLatencyMs, ...rest } = aggregate;
+
+  return {
+    ...rest,
+    totalTokens: aggregate.inputTokens + aggregate.outputTokens,
+    costUsd: roundUsd(aggregate.costUsd),
+    avgLatencyMs: aggregate.requestCount > 0
+      ? Math.round(totalLatencyMs / aggregate.requestCount)
+      : 0,
+  };
+}
+
+module.exports = {
+  recordEntry,
+  queryUsage,
+  flushLedger: flush,
+  GROUP_BY_OPTIONS,
+};
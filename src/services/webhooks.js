@@ -0,0 +1,298 @@
+/**
+ * =============================================================================
+ * OUTBOUND WEBHOOKS
+ * =============================================================================
+ *
+ * This module notifies other systems (on-call tooling, chat bots, dashboards)
+ * when something operationally important happens, instead of relying on
+ * someone reading the logs.
+ *
+ * EVENTS:
+ * - circuit.open / circuit.half_open / circuit.closed:
+ *     A model's circuit breaker changed state
+ * - budget.threshold_crossed:  Daily/monthly spend crossed BUDGET_WARNING_THRESHOLDS
+ * - usage.threshold_crossed:   Tokens in the usage window crossed WEBHOOK_TOKEN_THRESHOLDS
+ * - auth.repeated_failures:    One client sent too many invalid API keys
+ * - webhook.test:              Sent on demand via POST /api/admin/webhooks/test
+ *
+ * DELIVERY:
+ * Each event is POSTed as JSON to every subscription (WEBHOOK_SUBSCRIPTIONS)
+ * that lists it:
+ *
+ *   POST https://hooks.example.com/claude-api
+ *   Content-Type: application/json
+ *   X-Webhook-Id: evt_...            (same for every attempt - use it to dedupe)
+ *   X-Webhook-Event: circuit.open
+ *   X-Webhook-Timestamp: 1767225600  (Unix seconds, per attempt)
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ *   { "id": "evt_...", "type": "circuit.open", "createdAt": "...", "data": { ... } }
+ *
+ * Receivers should recompute the signature with the shared secret, compare
+ * it in constant time and reject old timestamps. Any 2xx response counts as
+ * delivered. Network errors, timeouts, 408, 429 and 5xx responses are
+ * retried with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS attempts;
+ * other responses fail the delivery immediately.
+ *
+ * BEST PRACTICES DEMONSTRATED:
+ * - Fire-and-forget: emitting an event never blocks or fails a request
+ * - Signed payloads with a timestamp (authenticity and replay protection)
+ * - Retries with exponential backoff and a per-attempt timeout
+ * - A bounded in-memory delivery log for troubleshooting
+ *
+ * NOTE: Pending retries are held in memory and lost on restart.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Every event this API can emit; subscriptions may also use '*'
+const EVENT_TYPES = [
+  'circuit.open',
+  'circuit.half_open',
+  'circuit.closed',
+  'budget.threshold_crossed',
+  'usage.threshold_crossed',
+  'auth.repeated_failures',
+  'webhook.test',
+];
+
+// Responses worth retrying; any other non-2xx response is final
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Subscriptions from WEBHOOK_SUBSCRIPTIONS with defaults applied.
+ * (validateConfig reports malformed entries; they are skipped here.)
+ */
+const subscriptions = (Array.isArray(config.webhooks.subscriptions) ? config.webhooks.subscriptions : [])
+  .filter((subscription) => subscription && typeof subscription.url === 'string')
+  .map((subscription, index) => ({
+    id: subscription.id || `webhook-${index + 1}`,
+    url: subscription.url,
+    events: Array.isArray(subscription.events) && subscription.events.length > 0 ? subscription.events : ['*'],
+    secret: subscription.secret || config.webhooks.secret,
+  }));
+
+// Catch typos early - a misspelled event name would silently never fire
+subscriptions.forEach((subscription) => {
+  subscription.events
+    .filter((event) => event !== '*' && !EVENT_TYPES.includes(event))
+    .forEach((event) => console.warn(`[Webhooks] Subscription ${subscription.id} lists unknown event "${event}"`));
+});
+
+/**
+ * Delivery log and counters.
+ */
+const deliveryLog = {
+  entries: [],
+  totals: {
+    events: 0,
+    delivered: 0,
+    failed: 0,
+    retries: 0,
+  },
+
+  /**
+   * Adds a delivery, dropping the oldest once the log is full.
+   *
+   * @param {Object} delivery - The delivery
+   */
+  add(delivery) {
+    this.entries.push(delivery);
+    if (this.entries.length > config.webhooks.deliveryLogSize) {
+      this.entries.shift();
+    }
+  },
+};
+
+/**
+ * Signs a payload.
+ *
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Exact request body
+ * @returns {string} Value for X-Webhook-Signature
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Checks whether a subscription wants an event.
+ *
+ * @param {Object} subscription - The subscription
+ * @param {string} type - Event type
+ * @returns {boolean} True if the event should be delivered
+ */
+function isSubscribed(subscription, type) {
+  return subscription.events.includes('*') || subscription.events.includes(type);
+}
+
+/**
+ * Makes one delivery attempt and schedules a retry if it failed.
+ *
+ * @param {Object} delivery - The delivery
+ * @param {Object} subscription - Where it goes
+ * @param {string} body - Serialized event
+ */
+async function attemptDelivery(delivery, subscription, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+  let retryable = true;
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'claude-emotions-api-webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      redirect: 'manual',
+    });
+
+    attempt.statusCode = response.status;
+    retryable = RETRYABLE_STATUS_CODES.includes(response.status);
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `Timed out after ${config.webhooks.timeoutMs}ms`
+      : error.cause?.message || error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (attempt.statusCode !== null && attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    deliveryLog.totals.delivered++;
+    return;
+  }
+
+  if (retryable && delivery.attempts.length < config.webhooks.maxAttempts) {
+    // Exponential backoff: base, 2x base, 4x base...
+    const delay = config.webhooks.retryBaseDelayMs * Math.pow(2, delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    deliveryLog.totals.retries++;
+
+    // unref() so pending retries never keep the process alive during shutdown
+    setTimeout(() => attemptDelivery(delivery, subscription, body), delay).unref();
+    return;
+  }
+
+  delivery.status = 'failed';
+  delivery.nextAttemptAt = null;
+  deliveryLog.totals.failed++;
+  console.warn(
+    `[Webhooks] Delivery of ${delivery.event} to ${subscription.id} failed after ` +
+    `${delivery.attempts.length} attempt(s): ${attempt.error || `HTTP ${attempt.statusCode}`}`
+  );
+}
+
+/**
+ * Emits an event to every subscription that wants it.
+ *
+ * Never throws and never waits for delivery, so it is safe to call from
+ * request handlers and hot paths.
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event details
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allSubscriptions=false] - Ignore subscription event filters (test events)
+ * @returns {Array<Object>} The deliveries created (empty if nobody subscribed)
+ */
+function emitEvent(type, data, { allSubscriptions = false } = {}) {
+  const targets = subscriptions.filter((subscription) => allSubscriptions || isSubscribed(subscription, type));
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+  const body = JSON.stringify(event);
+  deliveryLog.totals.events++;
+
+  return targets.map((subscription) => {
+    const delivery = {
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      eventId: event.id,
+      event: type,
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      status: 'pending',
+      createdAt: event.createdAt,
+      nextAttemptAt: null,
+      attempts: [],
+      payload: event,
+    };
+
+    deliveryLog.add(delivery);
+    attemptDelivery(delivery, subscription, body).catch((error) => {
+      console.error(`[Webhooks] Unexpected delivery error: ${error.message}`);
+    });
+
+    return delivery;
+  });
+}
+
+/**
+ * Lists recent deliveries, newest first.
+ *
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - 'pending', 'delivered' or 'failed'
+ * @param {string} [filters.event] - Event type
+ * @param {number} [filters.limit=50] - Maximum deliveries returned
+ * @returns {Array<Object>} Deliveries
+ */
+function getDeliveries({ status, event, limit = 50 } = {}) {
+  return deliveryLog.entries
+    .filter((delivery) => (!status || delivery.status === status) && (!event || delivery.event === event))
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Lists subscriptions for the admin API (secrets are never included).
+ *
+ * @returns {Array<{ id: string, url: string, events: Array<string> }>} Subscriptions
+ */
+function listSubscriptions() {
+  return subscriptions.map(({ id, url, events }) => ({ id, url, events }));
+}
+
+/**
+ * Gets webhook statistics for monitoring.
+ *
+ * @returns {Object} Subscription count and delivery counters
+ */
+function getWebhookStats() {
+  return {
+    subscriptions: subscriptions.length,
+    pending: deliveryLog.entries.filter((delivery) => delivery.status === 'pending').length,
+    ...deliveryLog.totals,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  emitEvent,
+  signPayload,
+  getDeliveries,
+  listSubscriptions,
+  getWebhookStats,
+};